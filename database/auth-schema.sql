@@ -45,8 +45,10 @@ CREATE TABLE IF NOT EXISTS nextbid_company_credentials (
   company_id UUID REFERENCES nextbid_companies(id) ON DELETE CASCADE,
   source VARCHAR(50) NOT NULL,
   username VARCHAR(255),
-  password_encrypted VARCHAR(255),
-  api_key_encrypted VARCHAR(255),
+  password_encrypted TEXT,
+  api_key_encrypted TEXT,
+  data_key_encrypted TEXT,
+  key_version INTEGER,
   extra_data JSONB,
   is_configured BOOLEAN DEFAULT false,
   status VARCHAR(50) DEFAULT 'pending',
@@ -61,19 +63,40 @@ CREATE TABLE IF NOT EXISTS nextbid_company_credentials (
 );
 CREATE INDEX IF NOT EXISTS idx_company_credentials_company ON nextbid_company_credentials(company_id);
 CREATE INDEX IF NOT EXISTS idx_company_credentials_source ON nextbid_company_credentials(source);
+-- Envelope encryption (lib/credential-vault.js): ciphertext outgrows VARCHAR(255), data key wrapped with master key key_version
+DROP VIEW IF EXISTS v_credential_pool;
+ALTER TABLE nextbid_company_credentials ALTER COLUMN password_encrypted TYPE TEXT, ALTER COLUMN api_key_encrypted TYPE TEXT;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_company_credentials' AND column_name = 'data_key_encrypted') THEN ALTER TABLE nextbid_company_credentials ADD COLUMN data_key_encrypted TEXT; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_company_credentials' AND column_name = 'key_version') THEN ALTER TABLE nextbid_company_credentials ADD COLUMN key_version INTEGER; END IF; END $addcol$;
+CREATE INDEX IF NOT EXISTS idx_company_credentials_key_version ON nextbid_company_credentials(key_version);
 
 -- 5. SESSIONS
 CREATE TABLE IF NOT EXISTS nextbid_sessions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES nextbid_users(id) ON DELETE CASCADE,
   token_hash VARCHAR(255) NOT NULL,
+  family_id UUID NOT NULL,
   ip_address VARCHAR(50),
   user_agent TEXT,
+  authenticated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason VARCHAR(50),
+  replaced_by UUID,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
+-- Refresh token rotation (lib/sessions.js): one row per token, rotated tokens share a family_id
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_sessions' AND column_name = 'family_id') THEN ALTER TABLE nextbid_sessions ADD COLUMN family_id UUID NOT NULL DEFAULT gen_random_uuid(); ALTER TABLE nextbid_sessions ALTER COLUMN family_id DROP DEFAULT; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_sessions' AND column_name = 'authenticated_at') THEN ALTER TABLE nextbid_sessions ADD COLUMN authenticated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(); END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_sessions' AND column_name = 'last_seen_at') THEN ALTER TABLE nextbid_sessions ADD COLUMN last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(); END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_sessions' AND column_name = 'revoked_at') THEN ALTER TABLE nextbid_sessions ADD COLUMN revoked_at TIMESTAMP WITH TIME ZONE; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_sessions' AND column_name = 'revoked_reason') THEN ALTER TABLE nextbid_sessions ADD COLUMN revoked_reason VARCHAR(50); END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_sessions' AND column_name = 'replaced_by') THEN ALTER TABLE nextbid_sessions ADD COLUMN replaced_by UUID; END IF; END $addcol$;
 CREATE INDEX IF NOT EXISTS idx_sessions_user ON nextbid_sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires ON nextbid_sessions(expires_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_token_hash ON nextbid_sessions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_family ON nextbid_sessions(family_id);
 
 -- 6. API TOKENS
 CREATE TABLE IF NOT EXISTS nextbid_api_tokens (
@@ -110,7 +133,7 @@ CREATE INDEX IF NOT EXISTS idx_audit_created ON nextbid_audit_log(created_at);
 -- 8. CREDENTIAL POOL VIEW
 CREATE OR REPLACE VIEW v_credential_pool AS
 SELECT cc.id, cc.company_id, c.name AS company_name, cc.source,
-  cc.username, cc.password_encrypted, cc.api_key_encrypted,
+  cc.username, cc.password_encrypted, cc.api_key_encrypted, cc.data_key_encrypted, cc.key_version,
   cc.status, cc.last_used, cc.use_count, cc.success_count, cc.failure_count
 FROM nextbid_company_credentials cc
 JOIN nextbid_companies c ON cc.company_id = c.id
@@ -118,8 +141,9 @@ WHERE cc.is_configured = true AND cc.status IN ('valid', 'pending') AND c.is_act
 ORDER BY cc.last_used NULLS FIRST, cc.use_count ASC;
 
 -- 9. HELPER FUNCTIONS
+DROP FUNCTION IF EXISTS get_next_credential(VARCHAR);
 CREATE OR REPLACE FUNCTION get_next_credential(p_source VARCHAR)
-RETURNS TABLE (id UUID, company_id UUID, username VARCHAR, password_encrypted VARCHAR, api_key_encrypted VARCHAR) AS $func$
+RETURNS TABLE (id UUID, company_id UUID, source VARCHAR, username VARCHAR, password_encrypted TEXT, api_key_encrypted TEXT, data_key_encrypted TEXT, key_version INTEGER) AS $func$
 DECLARE v_cred RECORD;
 BEGIN
   SELECT cc.* INTO v_cred FROM nextbid_company_credentials cc
@@ -128,7 +152,7 @@ BEGIN
   ORDER BY cc.last_used NULLS FIRST, cc.use_count ASC LIMIT 1;
   IF v_cred IS NOT NULL THEN
     UPDATE nextbid_company_credentials SET last_used = NOW(), use_count = use_count + 1 WHERE nextbid_company_credentials.id = v_cred.id;
-    RETURN QUERY SELECT v_cred.id, v_cred.company_id, v_cred.username, v_cred.password_encrypted, v_cred.api_key_encrypted;
+    RETURN QUERY SELECT v_cred.id, v_cred.company_id, v_cred.source, v_cred.username, v_cred.password_encrypted, v_cred.api_key_encrypted, v_cred.data_key_encrypted, v_cred.key_version;
   END IF;
 END;
 $func$ LANGUAGE plpgsql;
@@ -150,3 +174,389 @@ BEGIN
   UPDATE nextbid_users SET company_id = dev_company_id, domain = 'engine', onboarding_completed = true WHERE role = 'admin' AND company_id IS NULL;
   INSERT INTO nextbid_company_tradelines (company_id, tradeline) SELECT dev_company_id, t.tradeline FROM (VALUES ('security'), ('administrative'), ('facilities'), ('electrical'), ('logistics'), ('lowvoltage'), ('landscaping'), ('hvac'), ('plumbing'), ('janitorial'), ('support'), ('waste'), ('construction'), ('roofing'), ('painting'), ('flooring'), ('demolition'), ('environmental'), ('concrete'), ('fencing')) AS t(tradeline) ON CONFLICT DO NOTHING;
 END $seed$;
+
+-- 11. RATE LIMITS (shared login limiter store - LOGIN_LIMITER_STORE=supabase)
+CREATE TABLE IF NOT EXISTS nextbid_rate_limits (
+  key VARCHAR(320) PRIMARY KEY,
+  value JSONB NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON nextbid_rate_limits(expires_at);
+
+-- One more login failure for p_key, counted under a row lock (lib/login-limiter.js)
+-- Reaching p_limit locks the key for p_lockout_ms and starts the count again
+CREATE OR REPLACE FUNCTION nextbid_rate_limit_fail(p_key VARCHAR, p_limit INTEGER, p_lockout_ms BIGINT, p_window_ms BIGINT)
+RETURNS JSONB AS $func$
+DECLARE
+  now_ms BIGINT := (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT;
+  v_failures INTEGER;
+  v_state JSONB;
+BEGIN
+  INSERT INTO nextbid_rate_limits (key, value, expires_at) VALUES (p_key, '{"failures": 0}', NOW()) ON CONFLICT (key) DO NOTHING;
+  SELECT CASE WHEN expires_at > NOW() THEN COALESCE((value->>'failures')::INTEGER, 0) ELSE 0 END + 1 INTO v_failures
+    FROM nextbid_rate_limits WHERE key = p_key FOR UPDATE;
+
+  IF v_failures >= p_limit THEN
+    v_state := jsonb_build_object('failures', 0, 'lastFailureAt', now_ms, 'lockedUntil', now_ms + p_lockout_ms);
+  ELSE
+    v_state := jsonb_build_object('failures', v_failures, 'lastFailureAt', now_ms);
+  END IF;
+
+  UPDATE nextbid_rate_limits
+    SET value = v_state, expires_at = NOW() + GREATEST(p_window_ms, CASE WHEN v_failures >= p_limit THEN p_lockout_ms ELSE 0 END) * INTERVAL '1 millisecond'
+    WHERE key = p_key;
+  RETURN v_state;
+END;
+$func$ LANGUAGE plpgsql;
+
+-- 12. TWO-FACTOR AUTHENTICATION (lib/two-factor.js)
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_users' AND column_name = 'totp_secret_encrypted') THEN ALTER TABLE nextbid_users ADD COLUMN totp_secret_encrypted TEXT; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_users' AND column_name = 'totp_enabled') THEN ALTER TABLE nextbid_users ADD COLUMN totp_enabled BOOLEAN DEFAULT false; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_users' AND column_name = 'totp_enabled_at') THEN ALTER TABLE nextbid_users ADD COLUMN totp_enabled_at TIMESTAMP WITH TIME ZONE; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_users' AND column_name = 'totp_last_step') THEN ALTER TABLE nextbid_users ADD COLUMN totp_last_step BIGINT; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_users' AND column_name = 'totp_recovery_codes') THEN ALTER TABLE nextbid_users ADD COLUMN totp_recovery_codes TEXT[]; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_companies' AND column_name = 'require_2fa') THEN ALTER TABLE nextbid_companies ADD COLUMN require_2fa BOOLEAN DEFAULT false; END IF; END $addcol$;
+
+-- 13. ONE-TIME TOKENS (password reset, email verification - lib/one-time-tokens.js)
+CREATE TABLE IF NOT EXISTS nextbid_user_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  purpose VARCHAR(50) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL,
+  details JSONB,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_tokens_hash ON nextbid_user_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON nextbid_user_tokens(user_id, purpose);
+
+-- 14. TEAM INVITATIONS (lib/team.js)
+CREATE TABLE IF NOT EXISTS nextbid_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES nextbid_companies(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(50) NOT NULL DEFAULT 'member',
+  products TEXT[] NOT NULL DEFAULT '{}',
+  token_hash VARCHAR(64) NOT NULL,
+  invited_by UUID REFERENCES nextbid_users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  accepted_user_id UUID REFERENCES nextbid_users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_token_hash ON nextbid_invitations(token_hash);
+CREATE INDEX IF NOT EXISTS idx_invitations_company ON nextbid_invitations(company_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON nextbid_invitations(email);
+
+-- 15. SERVICE REGISTRY (SERVICE_REGISTRY_SOURCE=supabase - lib/service-registry.js)
+CREATE TABLE IF NOT EXISTS nextbid_services (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  mount_path VARCHAR(255) NOT NULL UNIQUE,
+  target VARCHAR(255) NOT NULL,
+  path_rewrite JSONB,
+  required_product VARCHAR(50),
+  required_roles TEXT[],
+  shared_assets TEXT[],
+  tradeline VARCHAR(50),
+  product_urls JSONB,
+  health_path VARCHAR(255),
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 16. CROSS-DROPLET SSO EXCHANGE CODES (/sso/:droplet -> /auto-login - lib/sso.js)
+CREATE TABLE IF NOT EXISTS nextbid_sso_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  issuer VARCHAR(50),
+  audience VARCHAR(50) NOT NULL,
+  redirect_url TEXT NOT NULL,
+  ip_address VARCHAR(50),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sso_codes_hash ON nextbid_sso_codes(code_hash);
+CREATE INDEX IF NOT EXISTS idx_sso_codes_expires ON nextbid_sso_codes(expires_at);
+
+-- 17. OPENID CONNECT CLIENTS AND AUTHORIZATION CODES (lib/oidc.js, scripts/create-oidc-client.js)
+CREATE TABLE IF NOT EXISTS nextbid_oidc_clients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id VARCHAR(100) NOT NULL UNIQUE,
+  client_secret_hash VARCHAR(64),
+  name VARCHAR(255) NOT NULL,
+  product VARCHAR(50),
+  redirect_uris TEXT[] NOT NULL DEFAULT '{}',
+  post_logout_redirect_uris TEXT[] NOT NULL DEFAULT '{}',
+  is_public BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS nextbid_oidc_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code_hash VARCHAR(64) NOT NULL,
+  client_id VARCHAR(100) NOT NULL REFERENCES nextbid_oidc_clients(client_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  session_id UUID,
+  redirect_uri TEXT NOT NULL,
+  scope VARCHAR(255) NOT NULL,
+  nonce VARCHAR(255),
+  code_challenge VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_oidc_codes_hash ON nextbid_oidc_codes(code_hash);
+CREATE INDEX IF NOT EXISTS idx_oidc_codes_expires ON nextbid_oidc_codes(expires_at);
+
+-- 18. PERMISSIONS (lib/permissions.js) - extra per-user grants, e.g. {tradeline:security:write}
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_users' AND column_name = 'permissions') THEN ALTER TABLE nextbid_users ADD COLUMN permissions TEXT[] DEFAULT '{}'; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_services' AND column_name = 'required_permission') THEN ALTER TABLE nextbid_services ADD COLUMN required_permission VARCHAR(100); END IF; END $addcol$;
+
+-- 19. ADMIN CONSOLE (/admin) - a forced reset blocks password sign-in until the emailed link is used
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_users' AND column_name = 'password_reset_required') THEN ALTER TABLE nextbid_users ADD COLUMN password_reset_required BOOLEAN DEFAULT false; END IF; END $addcol$;
+
+-- 20. IMPERSONATION (lib/impersonation.js) - admin "view as user" with a hard end
+CREATE TABLE IF NOT EXISTS nextbid_impersonations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  impersonator_id UUID NOT NULL REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  reason TEXT,
+  ip_address VARCHAR(50),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  ended_reason VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_impersonations_impersonator ON nextbid_impersonations(impersonator_id);
+CREATE INDEX IF NOT EXISTS idx_impersonations_user ON nextbid_impersonations(user_id);
+
+-- 21. AUDIT LOG SEARCH (lib/audit.js) - company_id is the acting user's company, set on insert
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_audit_log' AND column_name = 'company_id') THEN ALTER TABLE nextbid_audit_log ADD COLUMN company_id UUID REFERENCES nextbid_companies(id) ON DELETE SET NULL; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_audit_log' AND column_name = 'product') THEN ALTER TABLE nextbid_audit_log ADD COLUMN product VARCHAR(50); END IF; END $addcol$;
+CREATE INDEX IF NOT EXISTS idx_audit_company ON nextbid_audit_log(company_id, created_at);
+
+CREATE OR REPLACE FUNCTION set_audit_company() RETURNS TRIGGER AS $func$
+BEGIN
+  IF NEW.company_id IS NULL AND NEW.user_id IS NOT NULL THEN
+    SELECT company_id INTO NEW.company_id FROM nextbid_users WHERE id = NEW.user_id;
+  END IF;
+  RETURN NEW;
+END;
+$func$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_company ON nextbid_audit_log;
+CREATE TRIGGER trg_audit_company BEFORE INSERT ON nextbid_audit_log FOR EACH ROW EXECUTE FUNCTION set_audit_company();
+
+UPDATE nextbid_audit_log a SET company_id = u.company_id FROM nextbid_users u WHERE a.user_id = u.id AND a.company_id IS NULL;
+
+-- 22. CREDENTIAL POOL LEASES (lib/credential-pool.js) - one worker per login at a time
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_company_credentials' AND column_name = 'lease_id') THEN ALTER TABLE nextbid_company_credentials ADD COLUMN lease_id UUID; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_company_credentials' AND column_name = 'leased_by') THEN ALTER TABLE nextbid_company_credentials ADD COLUMN leased_by VARCHAR(100); END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_company_credentials' AND column_name = 'leased_until') THEN ALTER TABLE nextbid_company_credentials ADD COLUMN leased_until TIMESTAMP WITH TIME ZONE; END IF; END $addcol$;
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_company_credentials' AND column_name = 'consecutive_failures') THEN ALTER TABLE nextbid_company_credentials ADD COLUMN consecutive_failures INTEGER DEFAULT 0; END IF; END $addcol$;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_credentials_lease ON nextbid_company_credentials(lease_id);
+
+-- Invalid after 5 failures in a row (FAILURE_THRESHOLD); a success starts the count again
+CREATE OR REPLACE FUNCTION mark_credential_success(p_credential_id UUID) RETURNS VOID AS $func$
+BEGIN UPDATE nextbid_company_credentials SET status = 'valid', success_count = success_count + 1, consecutive_failures = 0, last_error = NULL, updated_at = NOW() WHERE id = p_credential_id; END;
+$func$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION mark_credential_failure(p_credential_id UUID, p_error TEXT) RETURNS VOID AS $func$
+BEGIN UPDATE nextbid_company_credentials SET failure_count = failure_count + 1, consecutive_failures = consecutive_failures + 1, last_error = p_error, status = CASE WHEN consecutive_failures + 1 >= 5 THEN 'invalid' ELSE status END, updated_at = NOW() WHERE id = p_credential_id; END;
+$func$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS checkout_credential(VARCHAR, VARCHAR, INTEGER);
+CREATE OR REPLACE FUNCTION checkout_credential(p_source VARCHAR, p_worker VARCHAR, p_ttl_seconds INTEGER)
+RETURNS TABLE (id UUID, company_id UUID, source VARCHAR, username VARCHAR, password_encrypted TEXT, api_key_encrypted TEXT, data_key_encrypted TEXT, key_version INTEGER, lease_id UUID, leased_until TIMESTAMP WITH TIME ZONE) AS $func$
+DECLARE v_id UUID;
+BEGIN
+  SELECT cc.id INTO v_id FROM nextbid_company_credentials cc
+  JOIN nextbid_companies c ON cc.company_id = c.id
+  WHERE cc.source = p_source AND cc.is_configured = true AND cc.status IN ('valid', 'pending') AND c.is_active = true
+    AND (cc.leased_until IS NULL OR cc.leased_until < NOW())
+  ORDER BY cc.last_used NULLS FIRST, cc.use_count ASC LIMIT 1
+  FOR UPDATE OF cc SKIP LOCKED;
+  IF NOT FOUND THEN RETURN; END IF;
+  RETURN QUERY UPDATE nextbid_company_credentials cc
+    SET lease_id = gen_random_uuid(), leased_by = p_worker, leased_until = NOW() + make_interval(secs => p_ttl_seconds), last_used = NOW(), use_count = cc.use_count + 1
+    WHERE cc.id = v_id
+    RETURNING cc.id, cc.company_id, cc.source, cc.username, cc.password_encrypted, cc.api_key_encrypted, cc.data_key_encrypted, cc.key_version, cc.lease_id, cc.leased_until;
+END;
+$func$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS report_credential_result(UUID, BOOLEAN, TEXT);
+CREATE OR REPLACE FUNCTION report_credential_result(p_lease_id UUID, p_success BOOLEAN, p_error TEXT)
+RETURNS TABLE (id UUID, company_id UUID, source VARCHAR, status VARCHAR, previous_status VARCHAR) AS $func$
+DECLARE v_id UUID; v_status VARCHAR;
+BEGIN
+  SELECT cc.id, cc.status INTO v_id, v_status FROM nextbid_company_credentials cc
+  WHERE cc.lease_id = p_lease_id AND cc.leased_until >= NOW()
+  FOR UPDATE;
+  IF NOT FOUND THEN RETURN; END IF;
+  UPDATE nextbid_company_credentials cc SET lease_id = NULL, leased_by = NULL, leased_until = NULL WHERE cc.id = v_id;
+  IF p_success THEN PERFORM mark_credential_success(v_id); ELSE PERFORM mark_credential_failure(v_id, p_error); END IF;
+  RETURN QUERY SELECT cc.id, cc.company_id, cc.source, cc.status, v_status FROM nextbid_company_credentials cc WHERE cc.id = v_id;
+END;
+$func$ LANGUAGE plpgsql;
+
+-- 23. SERVICE CLIENTS (lib/service-clients.js, scripts/create-service-client.js) - per-service API keys for /api routes
+CREATE TABLE IF NOT EXISTS nextbid_service_clients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  allowed_ips TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS nextbid_service_client_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES nextbid_service_clients(id) ON DELETE CASCADE,
+  prefix VARCHAR(8) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  last_used TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_service_client_keys_prefix ON nextbid_service_client_keys(prefix);
+CREATE INDEX IF NOT EXISTS idx_service_client_keys_client ON nextbid_service_client_keys(client_id);
+
+-- 24. CREDENTIAL CHECKS (lib/credential-checker.js) - when a saved login was last tested against its source
+DO $addcol$ BEGIN IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'nextbid_company_credentials' AND column_name = 'last_checked_at') THEN ALTER TABLE nextbid_company_credentials ADD COLUMN last_checked_at TIMESTAMP WITH TIME ZONE; END IF; END $addcol$;
+CREATE INDEX IF NOT EXISTS idx_company_credentials_checked ON nextbid_company_credentials(last_checked_at);
+
+-- 25. OPPORTUNITY SEARCH (lib/opportunities.js) - full-text search over every <tradeline>_opportunities table
+-- Re-run after a new tradeline's table is created
+DO $fts$
+DECLARE t RECORD;
+BEGIN
+  FOR t IN SELECT c.table_name FROM information_schema.columns c
+    WHERE c.table_schema = 'public' AND c.table_name LIKE '%\_opportunities' AND c.table_name NOT LIKE 'nextbid\_%' AND c.column_name = 'title'
+  LOOP
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = t.table_name AND column_name = 'search_vector') THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector(''english''::regconfig, coalesce(title, '''') || '' '' || coalesce(agency, '''') || '' '' || coalesce(description, ''''))) STORED', t.table_name);
+    END IF;
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I USING GIN (search_vector)', 'idx_' || t.table_name || '_search', t.table_name);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I (created_at DESC, id DESC)', 'idx_' || t.table_name || '_created', t.table_name);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I (due_date, id)', 'idx_' || t.table_name || '_due', t.table_name);
+  END LOOP;
+END $fts$;
+
+-- 26. BID PIPELINE (lib/bids.js) - My Bids: saved -> interested -> bidding -> submitted -> won | lost
+CREATE TABLE IF NOT EXISTS nextbid_bids (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES nextbid_companies(id) ON DELETE CASCADE,
+  tradeline VARCHAR(50) NOT NULL,
+  opportunity_id VARCHAR(255) NOT NULL,
+  title TEXT NOT NULL,
+  agency VARCHAR(255),
+  source VARCHAR(50),
+  due_date TIMESTAMP WITH TIME ZONE,
+  estimated_value NUMERIC,
+  status VARCHAR(20) NOT NULL DEFAULT 'interested' CHECK (status IN ('saved', 'interested', 'bidding', 'submitted', 'won', 'lost')),
+  assignee_id UUID REFERENCES nextbid_users(id) ON DELETE SET NULL,
+  notes TEXT,
+  attachments JSONB NOT NULL DEFAULT '[]',
+  created_by UUID REFERENCES nextbid_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(company_id, tradeline, opportunity_id)
+);
+CREATE INDEX IF NOT EXISTS idx_bids_company ON nextbid_bids(company_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS nextbid_bid_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bid_id UUID NOT NULL REFERENCES nextbid_bids(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES nextbid_users(id) ON DELETE SET NULL,
+  action VARCHAR(20) NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_bid_history_bid ON nextbid_bid_history(bid_id, created_at DESC);
+
+-- 27. SAVED SEARCHES AND ALERTS (lib/saved-searches.js, lib/notifications.js, lib/alerts.js)
+CREATE TABLE IF NOT EXISTS nextbid_saved_searches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES nextbid_companies(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  shared BOOLEAN NOT NULL DEFAULT false,
+  digest BOOLEAN NOT NULL DEFAULT true,
+  last_digest_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_company ON nextbid_saved_searches(company_id, name);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_digest ON nextbid_saved_searches(last_digest_at) WHERE digest;
+
+-- Delivery channels and reminder offsets (hours before a bid is due)
+CREATE TABLE IF NOT EXISTS nextbid_alert_settings (
+  user_id UUID PRIMARY KEY REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  channels TEXT[] NOT NULL DEFAULT '{email,in_app}',
+  webhook_url TEXT,
+  reminder_offsets INTEGER[] NOT NULL DEFAULT '{168,72,24}',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- In-app notifications
+CREATE TABLE IF NOT EXISTS nextbid_notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  link TEXT,
+  items JSONB NOT NULL DEFAULT '[]',
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON nextbid_notifications(user_id, created_at DESC);
+
+-- One row per reminder sent, so it is only sent once
+CREATE TABLE IF NOT EXISTS nextbid_alert_deliveries (
+  key VARCHAR(255) PRIMARY KEY,
+  user_id UUID REFERENCES nextbid_users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 28. WEBHOOKS (lib/webhooks.js) - outbound gateway events; company_id NULL = system-level
+CREATE TABLE IF NOT EXISTS nextbid_webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID REFERENCES nextbid_companies(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT '{}',
+  description VARCHAR(255),
+  secret_encrypted TEXT NOT NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES nextbid_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhooks_company ON nextbid_webhooks(company_id);
+
+CREATE TABLE IF NOT EXISTS nextbid_webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES nextbid_webhooks(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  response_status INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  redelivery_of UUID REFERENCES nextbid_webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON nextbid_webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON nextbid_webhook_deliveries(webhook_id, created_at DESC);
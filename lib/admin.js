@@ -0,0 +1,238 @@
+/**
+ * Admin Console - users, companies, product access and tradeline subscriptions
+ *
+ * Backs the /admin pages in server.js. Product access is the same
+ * per-product membership tables the gateway checks at login (lib/products.js);
+ * tradeline subscriptions are nextbid_company_tradelines rows.
+ */
+
+const { PRODUCTS } = require('./products');
+
+const TIERS = ['standard', 'premium', 'enterprise'];
+const PAGE_SIZE = 50;
+
+/**
+ * Strip characters that have meaning inside a PostgREST or() filter
+ */
+function searchTerm(q) {
+  return String(q || '').replace(/[,()%*\\]/g, ' ').trim().slice(0, 100);
+}
+
+/**
+ * Create admin helpers bound to a Supabase client
+ */
+function createAdminStore(supabase) {
+  /**
+   * Users matching an email or name fragment (newest first)
+   */
+  async function searchUsers({ q, page = 0 } = {}) {
+    let query = supabase
+      .from('nextbid_users')
+      .select('id, email, name, role, domain, is_active, last_login, created_at, company_id, nextbid_companies(name)')
+      .order('created_at', { ascending: false })
+      .range(page * PAGE_SIZE, page * PAGE_SIZE + PAGE_SIZE - 1);
+
+    const term = searchTerm(q);
+    if (term) {
+      query = query.or(`email.ilike.%${term}%,name.ilike.%${term}%`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to search users: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * One user with their company and every product membership
+   */
+  async function getUser(userId) {
+    const { data: user } = await supabase
+      .from('nextbid_users')
+      .select('id, email, name, role, domain, company_id, permissions, is_active, email_verified, totp_enabled, password_reset_required, last_login, created_at, nextbid_companies(id, name)')
+      .eq('id', userId)
+      .single();
+
+    if (!user) return null;
+
+    const memberships = await Promise.all(PRODUCTS.map(product =>
+      supabase
+        .from(product.table)
+        .select('status')
+        .eq('nextbid_user_id', userId)
+        .single()
+    ));
+
+    user.products = PRODUCTS.map((product, i) => ({
+      name: product.name,
+      status: memberships[i].data ? memberships[i].data.status : null
+    }));
+    return user;
+  }
+
+  async function setUserActive(userId, active) {
+    const { error } = await supabase
+      .from('nextbid_users')
+      .update({ is_active: active })
+      .eq('id', userId);
+
+    if (error) {
+      throw new Error(`Failed to update user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Block password sign-in until the user sets a new password
+   */
+  async function requirePasswordReset(userId) {
+    const { error } = await supabase
+      .from('nextbid_users')
+      .update({ password_reset_required: true })
+      .eq('id', userId);
+
+    if (error) {
+      throw new Error(`Failed to update user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Grant (status active) or revoke (status inactive) one product
+   */
+  async function setProductAccess(userId, productName, active) {
+    const product = PRODUCTS.find(p => p.name === productName);
+    if (!product) {
+      throw new Error(`Unknown product: ${productName}`);
+    }
+
+    const { data: existing } = await supabase
+      .from(product.table)
+      .select('id')
+      .eq('nextbid_user_id', userId)
+      .single();
+
+    const status = active ? 'active' : 'inactive';
+    if (!existing && !active) return;
+
+    const { error } = existing
+      ? await supabase.from(product.table).update({ status }).eq('id', existing.id)
+      : await supabase.from(product.table).insert({ nextbid_user_id: userId, status });
+
+    if (error) {
+      throw new Error(`Failed to update ${productName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Companies matching a name fragment
+   */
+  async function searchCompanies({ q } = {}) {
+    let query = supabase
+      .from('nextbid_companies')
+      .select('id, name, tier, is_active, created_at')
+      .order('name', { ascending: true })
+      .limit(PAGE_SIZE);
+
+    const term = searchTerm(q);
+    if (term) {
+      query = query.ilike('name', `%${term}%`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to search companies: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * One company with its members and tradeline subscriptions
+   */
+  async function getCompany(companyId) {
+    const { data: company } = await supabase
+      .from('nextbid_companies')
+      .select('*')
+      .eq('id', companyId)
+      .single();
+
+    if (!company) return null;
+
+    const [{ data: members }, { data: tradelines }] = await Promise.all([
+      supabase
+        .from('nextbid_users')
+        .select('id, email, name, role, is_active')
+        .eq('company_id', companyId)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('nextbid_company_tradelines')
+        .select('*')
+        .eq('company_id', companyId)
+        .order('tradeline', { ascending: true })
+    ]);
+
+    return { ...company, members: members || [], tradelines: tradelines || [] };
+  }
+
+  async function createCompany({ name, tier }) {
+    const { data, error } = await supabase
+      .from('nextbid_companies')
+      .insert({ name, tier })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create company: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Update name, tier and/or is_active
+   */
+  async function updateCompany(companyId, changes) {
+    const { error } = await supabase
+      .from('nextbid_companies')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', companyId);
+
+    if (error) {
+      throw new Error(`Failed to update company: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add or change a tradeline subscription - expiresAt null means no end date
+   */
+  async function setTradeline(companyId, tradeline, { active, expiresAt }) {
+    const { error } = await supabase
+      .from('nextbid_company_tradelines')
+      .upsert({
+        company_id: companyId,
+        tradeline,
+        is_active: active,
+        expires_at: expiresAt
+      }, { onConflict: 'company_id,tradeline' });
+
+    if (error) {
+      throw new Error(`Failed to update tradeline: ${error.message}`);
+    }
+  }
+
+  return {
+    searchUsers,
+    getUser,
+    setUserActive,
+    requirePasswordReset,
+    setProductAccess,
+    searchCompanies,
+    getCompany,
+    createCompany,
+    updateCompany,
+    setTradeline
+  };
+}
+
+module.exports = {
+  createAdminStore,
+  TIERS
+};
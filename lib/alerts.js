@@ -0,0 +1,270 @@
+/**
+ * Alerts - daily saved search digests and bid due-date reminders
+ *
+ *   digests   - once a day (after digestHour, UTC), each saved search with
+ *               digest on sends the opportunities found since its last
+ *               digest (lib/saved-searches.js)
+ *   reminders - an open bid (saved, interested or bidding) reminds its
+ *               assignee, or whoever added it, when its due date is within
+ *               one of their reminder offsets - the closest offset passed,
+ *               once per bid, offset and due date
+ *
+ * Both go out through lib/notifications.js on each recipient's channels.
+ * Every intervalMs the scheduler catches up on whatever is due, so a restart
+ * only delays alerts. Digests are claimed with a conditional update and
+ * reminders with a unique key in nextbid_alert_deliveries, so two gateways
+ * never send the same one.
+ */
+
+const { MAX_REMINDER_HOURS } = require('./saved-searches');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH = 200;
+const DIGEST_LIMIT = 25;
+const REMINDER_STATUSES = ['saved', 'interested', 'bidding'];
+
+function dueIn(hours) {
+  return hours >= 48 ? `${Math.round(hours / 24)} days` : `${Math.max(1, Math.round(hours))} hours`;
+}
+
+/**
+ * Create an alert scheduler bound to a Supabase client
+ * baseUrl is the gateway's public URL, for links in the notifications
+ */
+function createAlertScheduler(supabase, { opportunitySearch, savedSearches, notifier, baseUrl, intervalMs = 15 * 60 * 1000, digestHour = 12 } = {}) {
+  let running = false;
+  let timer = null;
+
+  const opportunityLink = (tradeline, id) => `${baseUrl}/opportunity/${encodeURIComponent(`${tradeline}:${id}`)}`;
+
+  async function send(user, notification) {
+    const settings = await savedSearches.settings(user.id);
+    return notifier.notify({ ...user, webhook_url: settings.webhook_url }, notification, settings.channels);
+  }
+
+  async function digestRecipients(search) {
+    let query = supabase
+      .from('nextbid_users')
+      .select('id, email, name')
+      .eq('company_id', search.company_id)
+      .eq('is_active', true);
+
+    if (!search.shared) query = query.eq('id', search.user_id);
+    const { data: users } = await query;
+    return users || [];
+  }
+
+  /**
+   * Send one saved search's digest, if no other run has claimed it today
+   * The search runs before the claim, and the claim is given back if the
+   * digest reached nobody (notify() reports the channels that worked), so a
+   * failure only delays the digest to the next run
+   */
+  async function digest(search, now) {
+    const result = await opportunitySearch.search(search.company_id, {
+      ...search.filters,
+      newSince: search.last_digest_at || search.created_at,
+      limit: DIGEST_LIMIT
+    });
+
+    let claim = supabase
+      .from('nextbid_saved_searches')
+      .update({ last_digest_at: now.toISOString() })
+      .eq('id', search.id);
+    claim = search.last_digest_at ? claim.eq('last_digest_at', search.last_digest_at) : claim.is('last_digest_at', null);
+
+    const { data: claimed } = await claim.select('id');
+    if (!claimed || claimed.length === 0) return 0;
+
+    const found = result.opportunities;
+    if (found.length === 0) return 0;
+
+    const count = `${found.length}${result.next_cursor ? '+' : ''}`;
+    const notification = {
+      kind: 'digest',
+      title: `${count} new ${found.length === 1 && !result.next_cursor ? 'opportunity' : 'opportunities'} for "${search.name}"`,
+      text: `New matches for your saved search "${search.name}" since the last digest.`,
+      link: `${baseUrl}/opportunities`,
+      items: found.map(opp => ({
+        title: opp.title,
+        agency: opp.agency || null,
+        due_date: opp.due_date || null,
+        link: opportunityLink(opp.tradeline, opp.id)
+      }))
+    };
+
+    let recipients;
+    let reached = 0;
+    try {
+      recipients = await digestRecipients(search);
+      for (const user of recipients) {
+        if ((await send(user, notification)).length > 0) reached++;
+      }
+      if (recipients.length > 0 && reached === 0) {
+        throw new Error('Not delivered on any channel');
+      }
+    } catch (error) {
+      await supabase
+        .from('nextbid_saved_searches')
+        .update({ last_digest_at: search.last_digest_at })
+        .eq('id', search.id)
+        .eq('last_digest_at', now.toISOString());
+      throw error;
+    }
+    console.log(`[Alerts] Digest "${search.name}" (${search.id}): ${found.length} matches to ${reached} of ${recipients.length} users`);
+    return reached;
+  }
+
+  /**
+   * Send today's digests that haven't gone out yet
+   */
+  async function runDigests(now = new Date()) {
+    if (now.getUTCHours() < digestHour) return 0;
+
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+    const { data: due, error } = await supabase
+      .from('nextbid_saved_searches')
+      .select('id, company_id, user_id, name, filters, shared, last_digest_at, created_at')
+      .eq('digest', true)
+      .or(`last_digest_at.is.null,last_digest_at.lt.${today}`)
+      .limit(BATCH);
+
+    if (error) {
+      console.error('[Alerts] Digest lookup failed:', error.message);
+      return 0;
+    }
+
+    let sent = 0;
+    for (const search of due || []) {
+      try {
+        sent += await digest(search, now);
+      } catch (error) {
+        console.error(`[Alerts] Digest ${search.id} failed:`, error.message);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Remind a bid's assignee (or whoever added it) if a reminder offset has
+   * passed - returns whether one was sent
+   * users caches { user, settings } by user id for the run
+   */
+  async function remind(bid, now, users) {
+    const userId = bid.assignee_id || bid.created_by;
+    if (!userId) return false;
+
+    if (!users.has(userId)) {
+      const { data: user } = await supabase
+        .from('nextbid_users')
+        .select('id, email, name, company_id, is_active')
+        .eq('id', userId)
+        .single();
+      const settings = await savedSearches.settings(userId);
+      users.set(userId, user && { user, settings });
+    }
+
+    const recipient = users.get(userId);
+    if (!recipient || !recipient.user.is_active || recipient.user.company_id !== bid.company_id) return false;
+
+    const hoursLeft = (new Date(bid.due_date) - now) / HOUR_MS;
+    const passed = recipient.settings.reminder_offsets.filter(hours => hoursLeft <= hours);
+    if (passed.length === 0) return false;
+    const offset = Math.min(...passed);
+
+    const { error: claimError } = await supabase
+      .from('nextbid_alert_deliveries')
+      .insert({ key: `reminder:${bid.id}:${offset}:${bid.due_date}`, user_id: userId });
+    if (claimError) {
+      // 23505 - already sent
+      if (claimError.code !== '23505') console.error(`[Alerts] Reminder ${bid.id} claim failed:`, claimError.message);
+      return false;
+    }
+
+    const link = opportunityLink(bid.tradeline, bid.opportunity_id);
+    await notifier.notify(
+      { id: userId, email: recipient.user.email, name: recipient.user.name, webhook_url: recipient.settings.webhook_url },
+      {
+        kind: 'reminder',
+        title: `"${bid.title}" is due in ${dueIn(hoursLeft)}`,
+        text: `Due ${new Date(bid.due_date).toUTCString()}. It's still ${bid.status} in My Bids.`,
+        link,
+        items: [{ title: bid.title, agency: bid.agency || null, due_date: bid.due_date, link }]
+      },
+      recipient.settings.channels
+    );
+    return true;
+  }
+
+  /**
+   * Send reminders for open bids whose due date is within a reminder offset
+   * Goes through every open bid due within MAX_REMINDER_HOURS, BATCH at a time
+   */
+  async function runReminders(now = new Date()) {
+    const users = new Map();
+    let sent = 0;
+
+    for (let from = 0; ; from += BATCH) {
+      const { data: due, error } = await supabase
+        .from('nextbid_bids')
+        .select('id, company_id, tradeline, opportunity_id, title, agency, status, due_date, assignee_id, created_by')
+        .in('status', REMINDER_STATUSES)
+        .gt('due_date', now.toISOString())
+        .lte('due_date', new Date(now.getTime() + MAX_REMINDER_HOURS * HOUR_MS).toISOString())
+        .order('due_date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + BATCH - 1);
+
+      if (error) {
+        console.error('[Alerts] Reminder lookup failed:', error.message);
+        break;
+      }
+
+      for (const bid of due || []) {
+        try {
+          if (await remind(bid, now, users)) sent++;
+        } catch (error) {
+          console.error(`[Alerts] Reminder ${bid.id} failed:`, error.message);
+        }
+      }
+      if ((due || []).length < BATCH) break;
+    }
+    if (sent) console.log(`[Alerts] Sent ${sent} due-date reminders`);
+    return sent;
+  }
+
+  async function run(now = new Date()) {
+    if (running) return;
+    running = true;
+    try {
+      await runDigests(now);
+      await runReminders(now);
+    } catch (error) {
+      console.error('[Alerts] Run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return {
+    runDigests,
+    runReminders,
+    run,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createAlertScheduler
+};
@@ -0,0 +1,218 @@
+/**
+ * Personal API Tokens - backed by nextbid_api_tokens
+ *
+ * Tokens look like nb_<prefix>_<secret>. The prefix is stored in clear so
+ * a token can be found without scanning; only the SHA-256 hash of the
+ * whole token is stored, so a token is shown to its owner exactly once.
+ *
+ * Scopes limit what a token can reach through the gateway:
+ *   product:<name>     - e.g. product:dashboard (covers /dashboard, /patcher, /dev-sync)
+ *   tradeline:<name>   - e.g. tradeline:security (covers /tradelines/security)
+ *   tradeline:*        - every tradeline
+ *
+ * A token only carries the parts of its user's permissions its scopes cover
+ * (scopePermissions): each product's own resources, the scoped tradelines, and
+ * the read-only gateway APIs in TOKEN_READ_PERMISSIONS. Account management
+ * routes refuse tokens outright (requireInteractive in server.js).
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PATTERN = /^nb_([a-f0-9]{8})_([A-Za-z0-9_-]{32,})$/;
+const SCOPE_PATTERN = /^(product|tradeline):([a-z0-9_-]+|\*)$/;
+
+// Gateway APIs any token may read, if its user can
+const TOKEN_READ_PERMISSIONS = ['opportunities:read', 'bids:read'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new token and the values to store for it
+ */
+function generateToken() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const token = `nb_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { token, prefix, token_hash: hashToken(token) };
+}
+
+/**
+ * Does a scope list allow access to a product or tradeline?
+ */
+function hasScope(scopes, type, name) {
+  return (scopes || []).some(scope => scope === `${type}:${name}` || scope === `${type}:*`);
+}
+
+/**
+ * Permission patterns a token's scopes cover - the user's permissions are
+ * narrowed to these (narrowPermissions in lib/permissions.js)
+ * services are the service registry's, for the permissions behind each product
+ */
+function scopePermissions(scopes, services = []) {
+  const allowed = [...TOKEN_READ_PERMISSIONS];
+
+  for (const scope of scopes || []) {
+    const [type, name] = scope.split(':');
+    if (type === 'tradeline') {
+      allowed.push(`tradeline:${name}:*`);
+    }
+    if (type === 'product') {
+      allowed.push(`${name}:*`);
+      for (const service of services) {
+        if (service.product === name && service.permission) {
+          allowed.push(`${service.permission.split(':')[0]}:*`);
+        }
+      }
+    }
+  }
+
+  return [...new Set(allowed)];
+}
+
+/**
+ * Validate requested scopes against what the user can access
+ * Returns the cleaned scope list, or throws with a user-facing message
+ */
+function validateScopes(scopes, { products = [], tradelines = [] }) {
+  const list = [...new Set((Array.isArray(scopes) ? scopes : [scopes]).filter(Boolean))];
+
+  if (list.length === 0) {
+    throw new Error('Select at least one scope');
+  }
+
+  for (const scope of list) {
+    const match = scope.match(SCOPE_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid scope: ${scope}`);
+    }
+
+    const [, type, name] = match;
+    if (type === 'product' && !products.includes(name)) {
+      throw new Error(`You don't have access to product ${name}`);
+    }
+    if (type === 'tradeline' && name !== '*' && !tradelines.includes(name)) {
+      throw new Error(`Your company isn't subscribed to tradeline ${name}`);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Create an API token store bound to a Supabase client
+ */
+function createApiTokenStore(supabase) {
+  /**
+   * Create a token - the plaintext token is only returned here
+   */
+  async function create(userId, { name, scopes, expiresAt }) {
+    const { token, prefix, token_hash } = generateToken();
+
+    const { data: row, error } = await supabase
+      .from('nextbid_api_tokens')
+      .insert({
+        user_id: userId,
+        name,
+        prefix,
+        token_hash,
+        scopes,
+        expires_at: expiresAt ? expiresAt.toISOString() : null
+      })
+      .select('id, name, prefix, scopes, expires_at, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create API token: ${error.message}`);
+    }
+
+    return { ...row, token };
+  }
+
+  /**
+   * Look up an active, unexpired token and record its use
+   * Returns the token row or null
+   */
+  async function authenticate(token) {
+    const match = (token || '').match(TOKEN_PATTERN);
+    if (!match) return null;
+
+    const { data: rows } = await supabase
+      .from('nextbid_api_tokens')
+      .select('*')
+      .eq('prefix', match[1])
+      .eq('is_active', true);
+
+    const expected = Buffer.from(hashToken(token));
+    const row = (rows || []).find(r =>
+      r.token_hash.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(r.token_hash), expected)
+    );
+
+    if (!row || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+      return null;
+    }
+
+    await supabase
+      .from('nextbid_api_tokens')
+      .update({ last_used: new Date().toISOString(), use_count: (row.use_count || 0) + 1 })
+      .eq('id', row.id);
+
+    return row;
+  }
+
+  /**
+   * A user's tokens (never includes the hash)
+   */
+  async function list(userId) {
+    const { data: tokens } = await supabase
+      .from('nextbid_api_tokens')
+      .select('id, name, prefix, scopes, last_used, use_count, expires_at, created_at')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    return tokens || [];
+  }
+
+  /**
+   * Revoke one of a user's tokens - returns false if it isn't theirs
+   */
+  async function revoke(userId, tokenId) {
+    const { data: rows } = await supabase
+      .from('nextbid_api_tokens')
+      .update({ is_active: false })
+      .eq('id', tokenId)
+      .eq('user_id', userId)
+      .select('id');
+
+    return Boolean(rows && rows.length);
+  }
+
+  /**
+   * Revoke all of a user's tokens (deactivation, password change)
+   */
+  async function revokeAll(userId) {
+    await supabase
+      .from('nextbid_api_tokens')
+      .update({ is_active: false })
+      .eq('user_id', userId)
+      .eq('is_active', true);
+  }
+
+  return {
+    create,
+    authenticate,
+    list,
+    revoke,
+    revokeAll
+  };
+}
+
+module.exports = {
+  TOKEN_READ_PERMISSIONS,
+  createApiTokenStore,
+  hasScope,
+  scopePermissions,
+  validateScopes
+};
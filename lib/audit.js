@@ -0,0 +1,110 @@
+/**
+ * Audit Log - search and export nextbid_audit_log
+ *
+ * Rows are written inline where things happen (server.js); this module
+ * only reads them. company_id is filled from the acting user by a trigger
+ * (database/auth-schema.sql), so a company's history survives members
+ * leaving it.
+ *
+ * Filters: userId, companyId, action ("login", or a prefix like "admin_*"),
+ * from / to (ISO dates, to is exclusive).
+ */
+
+const PAGE_SIZE = 100;
+const EXPORT_BATCH = 1000;
+const EXPORT_LIMIT = 50000;
+
+const EXPORT_COLUMNS = ['created_at', 'action', 'user_id', 'user_email', 'company_id', 'resource', 'ip_address', 'user_agent', 'details'];
+
+/**
+ * One row as exported - the user's email flattened, details as JSON
+ */
+function flatten(row) {
+  return {
+    created_at: row.created_at,
+    action: row.action,
+    user_id: row.user_id || null,
+    user_email: row.nextbid_users ? row.nextbid_users.email : null,
+    company_id: row.company_id || null,
+    resource: row.resource || null,
+    ip_address: row.ip_address || null,
+    user_agent: row.user_agent || null,
+    details: row.details || null
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Quote everything that needs it, and defuse spreadsheet formulas
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function csvLine(row) {
+  return EXPORT_COLUMNS.map(column => csvCell(row[column])).join(',') + '\n';
+}
+
+/**
+ * Create an audit log reader bound to a Supabase client
+ */
+function createAuditLog(supabase) {
+  function query({ userId, companyId, action, from, to }) {
+    let q = supabase
+      .from('nextbid_audit_log')
+      .select('id, created_at, action, user_id, company_id, resource, ip_address, user_agent, details, nextbid_users(email, name)')
+      .order('created_at', { ascending: false });
+
+    if (userId) q = q.eq('user_id', userId);
+    if (companyId) q = q.eq('company_id', companyId);
+    if (action) {
+      q = action.endsWith('*') ? q.like('action', `${action.slice(0, -1)}%`) : q.eq('action', action);
+    }
+    if (from) q = q.gte('created_at', from);
+    if (to) q = q.lt('created_at', to);
+    return q;
+  }
+
+  /**
+   * One page of events, newest first - hasMore when another page follows
+   */
+  async function search(filters = {}, { page = 0 } = {}) {
+    const { data, error } = await query(filters).range(page * PAGE_SIZE, page * PAGE_SIZE + PAGE_SIZE);
+
+    if (error) {
+      throw new Error(`Failed to search audit log: ${error.message}`);
+    }
+
+    const rows = data || [];
+    return { events: rows.slice(0, PAGE_SIZE).map(flatten), hasMore: rows.length > PAGE_SIZE };
+  }
+
+  /**
+   * Every matching event, in batches - for exports (capped at EXPORT_LIMIT)
+   */
+  async function* all(filters = {}) {
+    for (let offset = 0; offset < EXPORT_LIMIT; offset += EXPORT_BATCH) {
+      const { data, error } = await query(filters).range(offset, offset + EXPORT_BATCH - 1);
+
+      if (error) {
+        throw new Error(`Failed to export audit log: ${error.message}`);
+      }
+
+      for (const row of data || []) {
+        yield flatten(row);
+      }
+      if (!data || data.length < EXPORT_BATCH) return;
+    }
+  }
+
+  return {
+    search,
+    all
+  };
+}
+
+module.exports = {
+  createAuditLog,
+  EXPORT_COLUMNS,
+  csvLine
+};
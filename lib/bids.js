@@ -0,0 +1,253 @@
+/**
+ * Bid Pipeline - a company's opportunities in "My Bids"
+ *
+ * An opportunity (lib/opportunities.js) enters the pipeline when someone
+ * saves it or marks it interested, and then only moves forward:
+ *
+ *   saved -> interested -> bidding -> submitted -> won | lost
+ *
+ * Each bid keeps a snapshot of the opportunity (title, agency, due date...)
+ * so it survives the tradeline table being cleaned up, plus an assignee,
+ * notes and attachment links. Every change is written to
+ * nextbid_bid_history.
+ */
+
+const STATUSES = ['saved', 'interested', 'bidding', 'submitted', 'won', 'lost'];
+
+const TRANSITIONS = {
+  saved: ['interested'],
+  interested: ['bidding'],
+  bidding: ['submitted'],
+  submitted: ['won', 'lost'],
+  won: [],
+  lost: []
+};
+
+const MAX_ATTACHMENTS = 20;
+const MAX_NOTES_LENGTH = 10000;
+
+const BID_COLUMNS = 'id, company_id, tradeline, opportunity_id, title, agency, source, due_date, estimated_value, status, assignee_id, notes, attachments, created_by, created_at, updated_at, assignee:nextbid_users!assignee_id(id, name, email)';
+
+/**
+ * Statuses a bid may move to next
+ */
+function nextStatuses(status) {
+  return TRANSITIONS[status] || [];
+}
+
+/**
+ * Check attachment links - [{ name, url }] with http(s) URLs; throws on bad ones
+ */
+function validateAttachments(attachments) {
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    throw new Error(`Attachments must be a list of at most ${MAX_ATTACHMENTS} links`);
+  }
+  return attachments.map(attachment => {
+    let url;
+    try {
+      url = new URL(attachment.url);
+    } catch (error) {
+      throw new Error(`Invalid attachment URL: ${attachment.url}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Invalid attachment URL: ${attachment.url}`);
+    }
+    return { name: String(attachment.name || url.pathname.split('/').pop() || url.host).slice(0, 200), url: url.href };
+  });
+}
+
+/**
+ * Number of bids in each status, for the stats cards and tabs
+ */
+function pipelineStats(bids) {
+  const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  for (const bid of bids) {
+    counts[bid.status]++;
+  }
+  return { ...counts, total: bids.length };
+}
+
+function withNext(bid) {
+  return { ...bid, next_statuses: nextStatuses(bid.status) };
+}
+
+/**
+ * Create a bid store bound to a Supabase client
+ */
+function createBidStore(supabase) {
+  async function record(bidId, userId, action, details) {
+    await supabase.from('nextbid_bid_history').insert({
+      bid_id: bidId,
+      user_id: userId,
+      action,
+      details
+    });
+  }
+
+  /**
+   * A company's bids, most recently changed first
+   */
+  async function list(companyId) {
+    const { data, error } = await supabase
+      .from('nextbid_bids')
+      .select(BID_COLUMNS)
+      .eq('company_id', companyId)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list bids: ${error.message}`);
+    }
+    return (data || []).map(withNext);
+  }
+
+  async function find(companyId, id) {
+    const { data: bid } = await supabase
+      .from('nextbid_bids')
+      .select(BID_COLUMNS)
+      .eq('company_id', companyId)
+      .eq('id', id)
+      .single();
+    return bid ? withNext(bid) : null;
+  }
+
+  async function findByOpportunity(companyId, tradeline, opportunityId) {
+    const { data: bid } = await supabase
+      .from('nextbid_bids')
+      .select(BID_COLUMNS)
+      .eq('company_id', companyId)
+      .eq('tradeline', tradeline)
+      .eq('opportunity_id', opportunityId)
+      .single();
+    return bid ? withNext(bid) : null;
+  }
+
+  /**
+   * A bid's changes, newest first
+   */
+  async function history(bidId) {
+    const { data } = await supabase
+      .from('nextbid_bid_history')
+      .select('id, action, details, created_at, user:nextbid_users(id, name, email)')
+      .eq('bid_id', bidId)
+      .order('created_at', { ascending: false });
+    return data || [];
+  }
+
+  /**
+   * Put an opportunity (with its tradeline) into the pipeline as saved or interested
+   */
+  async function create(companyId, opportunity, { status, userId }) {
+    const { data: bid, error } = await supabase
+      .from('nextbid_bids')
+      .insert({
+        company_id: companyId,
+        tradeline: opportunity.tradeline,
+        opportunity_id: String(opportunity.id),
+        title: opportunity.title,
+        agency: opportunity.agency || null,
+        source: opportunity.source || null,
+        due_date: opportunity.due_date || null,
+        estimated_value: opportunity.estimated_value ?? null,
+        status,
+        created_by: userId
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create bid: ${error.message}`);
+    }
+
+    await record(bid.id, userId, 'created', { status });
+    return find(companyId, bid.id);
+  }
+
+  /**
+   * Move a bid to its next status - returns the bid, or null if the move
+   * isn't allowed from where the bid is now
+   */
+  async function transition(companyId, id, to, { userId, note }) {
+    const bid = await find(companyId, id);
+    if (!bid || !nextStatuses(bid.status).includes(to)) return null;
+
+    // Conditional on the old status so two people can't both move it
+    const { data: rows } = await supabase
+      .from('nextbid_bids')
+      .update({ status: to, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('company_id', companyId)
+      .eq('status', bid.status)
+      .select('id');
+
+    if (!rows || rows.length === 0) return null;
+
+    await record(id, userId, 'status', { from: bid.status, to, note: note ? String(note).slice(0, 1000) : null });
+    return find(companyId, id);
+  }
+
+  /**
+   * Change the assignee, notes or attachments - only the fields given
+   * assigneeId must already be checked to be in the company
+   */
+  async function update(companyId, id, { assigneeId, notes, attachments }, { userId }) {
+    const bid = await find(companyId, id);
+    if (!bid) return null;
+
+    const changes = {};
+    if (assigneeId !== undefined && assigneeId !== bid.assignee_id) {
+      changes.assignee_id = assigneeId;
+    }
+    if (notes !== undefined && notes !== bid.notes) {
+      changes.notes = notes ? String(notes).slice(0, MAX_NOTES_LENGTH) : null;
+    }
+    if (attachments !== undefined) {
+      changes.attachments = validateAttachments(attachments);
+    }
+    if (Object.keys(changes).length === 0) return bid;
+
+    const { error } = await supabase
+      .from('nextbid_bids')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('company_id', companyId);
+
+    if (error) {
+      throw new Error(`Failed to update bid: ${error.message}`);
+    }
+
+    if ('assignee_id' in changes) {
+      await record(id, userId, 'assigned', { from: bid.assignee_id, to: changes.assignee_id });
+    }
+    if ('notes' in changes) {
+      await record(id, userId, 'notes', {});
+    }
+    if ('attachments' in changes) {
+      const before = new Set((bid.attachments || []).map(a => a.url));
+      const after = new Set(changes.attachments.map(a => a.url));
+      await record(id, userId, 'attachments', {
+        added: changes.attachments.filter(a => !before.has(a.url)).map(a => a.name),
+        removed: (bid.attachments || []).filter(a => !after.has(a.url)).map(a => a.name)
+      });
+    }
+    return find(companyId, id);
+  }
+
+  return {
+    list,
+    find,
+    findByOpportunity,
+    history,
+    create,
+    transition,
+    update
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  createBidStore,
+  nextStatuses,
+  pipelineStats,
+  validateAttachments
+};
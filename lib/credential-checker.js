@@ -0,0 +1,176 @@
+/**
+ * Credential Checker - runs the source connectors (lib/credential-connectors.js)
+ * against saved company credentials and records the result
+ *
+ *   enqueue(companyId, source) - check one credential in the background,
+ *                                e.g. right after it is saved
+ *   start()                    - also re-check credentials not checked for
+ *                                recheckMs, every intervalMs
+ *
+ * Checks run one at a time in this process. A check that is lost (restart)
+ * is picked up by the next sweep, since last_checked_at is still empty.
+ *
+ * A result only lands if the row hasn't been saved again in the meantime.
+ * 'valid' / 'invalid' set status; 'unknown' keeps it, so a source being
+ * down never takes a working login out of the credential pool.
+ */
+
+const credentialVault = require('./credential-vault');
+
+const SWEEP_BATCH = 100;
+
+/**
+ * What a profile card shows for a credential row (or undefined)
+ *   missing | checking | valid | invalid | unverified
+ */
+function credentialState(row) {
+  if (!row || !row.is_configured) return 'missing';
+  if (row.status === 'valid' || row.status === 'invalid') return row.status;
+  if (!row.last_checked_at || new Date(row.last_checked_at) < new Date(row.updated_at)) return 'checking';
+  return 'unverified';
+}
+
+/**
+ * Create a credential checker bound to a Supabase client
+ * onChange(credential) is called when a check changes a credential's status
+ */
+function createCredentialChecker(supabase, { connectors, intervalMs = 60 * 60 * 1000, recheckMs = 24 * 60 * 60 * 1000, onChange } = {}) {
+  const queue = new Map();
+  let running = false;
+  let timer = null;
+
+  /**
+   * Check one credential now - returns { id, company_id, source, status,
+   * previous_status, error }, or null if there was nothing to check
+   */
+  async function check(companyId, source) {
+    const { data: row } = await supabase
+      .from('nextbid_company_credentials')
+      .select('id, company_id, source, username, password_encrypted, api_key_encrypted, data_key_encrypted, key_version, is_configured, status, updated_at')
+      .eq('company_id', companyId)
+      .eq('source', source)
+      .single();
+
+    if (!row || !row.is_configured) return null;
+
+    const connector = connectors[source];
+    let result;
+    try {
+      result = connector
+        ? await connector.test({ username: row.username, ...credentialVault.decryptCredential(row) })
+        : { status: 'unknown', error: `No connector for ${source}` };
+    } catch (error) {
+      result = { status: 'unknown', error: error.name === 'TimeoutError' ? 'Check timed out' : error.message };
+    }
+
+    const update = { last_checked_at: new Date().toISOString() };
+    if (result.status === 'unknown') {
+      // Keep the last real answer; only explain why a new login is unverified
+      if (row.status === 'pending') update.last_error = result.error;
+    } else {
+      update.status = result.status;
+      update.last_error = result.status === 'valid' ? null : result.error;
+      if (result.status === 'valid') update.consecutive_failures = 0;
+    }
+
+    const { data: updated } = await supabase
+      .from('nextbid_company_credentials')
+      .update(update)
+      .eq('id', row.id)
+      .eq('updated_at', row.updated_at)
+      .select('id');
+
+    if (!updated || updated.length === 0) return null;
+
+    const status = update.status || row.status;
+    const checked = { id: row.id, company_id: companyId, source, status, previous_status: row.status, error: result.error || null };
+    console.log(`[Credentials] Checked ${source} for company ${companyId}: ${result.status}`);
+
+    if (onChange && status !== row.status) {
+      await onChange(checked);
+    }
+    return checked;
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    try {
+      while (queue.size > 0) {
+        const [key, job] = queue.entries().next().value;
+        queue.delete(key);
+        try {
+          await check(job.companyId, job.source);
+        } catch (error) {
+          console.error(`[Credentials] Check of ${key} failed:`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Queue a check - the same credential is only queued once
+   */
+  function enqueue(companyId, source) {
+    queue.set(`${companyId}:${source}`, { companyId, source });
+    drain();
+  }
+
+  /**
+   * Queue every working or unchecked credential that is due a re-check
+   */
+  async function sweep() {
+    if (!credentialVault.isConfigured()) return;
+
+    const cutoff = new Date(Date.now() - recheckMs).toISOString();
+    const { data: due, error } = await supabase
+      .from('nextbid_company_credentials')
+      .select('company_id, source')
+      .eq('is_configured', true)
+      .in('status', ['valid', 'pending'])
+      .or(`last_checked_at.is.null,last_checked_at.lt.${cutoff}`)
+      .order('last_checked_at', { ascending: true, nullsFirst: true })
+      .limit(SWEEP_BATCH);
+
+    if (error) {
+      console.error('[Credentials] Sweep failed:', error.message);
+      return;
+    }
+    for (const row of due || []) {
+      enqueue(row.company_id, row.source);
+    }
+  }
+
+  async function run() {
+    try {
+      await sweep();
+    } catch (error) {
+      console.error('[Credentials] Sweep failed:', error.message);
+    }
+  }
+
+  function start() {
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return {
+    check,
+    enqueue,
+    sweep,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createCredentialChecker,
+  credentialState
+};
@@ -0,0 +1,130 @@
+/**
+ * Credential Connectors - check a company's login against its bid source
+ *
+ * One connector per source: { source, label, test(secrets) }, where secrets
+ * is the decrypted { username, password, api_key } and test resolves to
+ *   { status: 'valid' }
+ *   { status: 'invalid', error }  - the source rejected the login
+ *   { status: 'unknown', error }  - couldn't tell (source down, not set up)
+ *
+ *   samgov          - API key, checked against the public opportunities API
+ *   publicpurchase,
+ *   bidnet,
+ *   planetbids      - browser logins, checked by the scraper fleet's checker
+ *                     (CREDENTIAL_CHECKER_URL: POST /check/<source> with
+ *                     { username, password } -> { valid, error })
+ *
+ * CREDENTIAL_CONNECTORS=mock swaps every source for the mock connector, which
+ * never leaves the machine - for development and tests.
+ */
+
+const CHECK_TIMEOUT_MS = 10000;
+const SAMGOV_API_URL = 'https://api.sam.gov/opportunities/v2/search';
+
+function unknown(error) {
+  return { status: 'unknown', error };
+}
+
+/**
+ * SAM.gov API key - a one-result search; 401/403 means the key is bad
+ */
+function samgovConnector() {
+  return {
+    source: 'samgov',
+    label: 'SAM.gov API',
+    async test({ api_key }) {
+      if (!api_key) return { status: 'invalid', error: 'No API key saved' };
+
+      const today = new Date().toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric' });
+      const url = new URL(SAMGOV_API_URL);
+      url.search = new URLSearchParams({ api_key, limit: '1', postedFrom: today, postedTo: today });
+
+      const res = await fetch(url, { signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+      if (res.status === 401 || res.status === 403) {
+        return { status: 'invalid', error: 'SAM.gov rejected the API key' };
+      }
+      if (!res.ok) {
+        return unknown(`SAM.gov returned HTTP ${res.status}`);
+      }
+      return { status: 'valid' };
+    }
+  };
+}
+
+/**
+ * Username/password sources - these portals need a real browser, so the
+ * check is delegated to the scraper fleet
+ */
+function checkerConnector(source, label, { checkerUrl }) {
+  return {
+    source,
+    label,
+    async test({ username, password }) {
+      if (!username || !password) return { status: 'invalid', error: 'No username or password saved' };
+      if (!checkerUrl) return unknown('Automatic checks are not set up for this source');
+
+      const res = await fetch(new URL(`/check/${source}`, checkerUrl), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+        signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+      });
+      if (!res.ok) {
+        return unknown(`Checker returned HTTP ${res.status}`);
+      }
+
+      const body = await res.json();
+      return body.valid
+        ? { status: 'valid' }
+        : { status: 'invalid', error: body.error || `${label} rejected the login` };
+    }
+  };
+}
+
+/**
+ * Mock connector - secrets starting with "invalid" are rejected, "down"
+ * can't be checked, anything else is valid
+ */
+function mockConnector(source, label) {
+  return {
+    source,
+    label,
+    async test({ username, password, api_key }) {
+      const secret = api_key || password || '';
+      if (!secret || (!api_key && !username)) return { status: 'invalid', error: 'Nothing to check' };
+      if (secret.startsWith('invalid')) return { status: 'invalid', error: `${label} rejected the login (mock)` };
+      if (secret.startsWith('down')) return unknown(`${label} is unavailable (mock)`);
+      return { status: 'valid' };
+    }
+  };
+}
+
+const SOURCES = [
+  { source: 'samgov', label: 'SAM.gov API' },
+  { source: 'publicpurchase', label: 'Public Purchase' },
+  { source: 'bidnet', label: 'BidNet Direct' },
+  { source: 'planetbids', label: 'PlanetBids' }
+];
+
+/**
+ * Connectors by source name
+ */
+function createConnectors({ mode = process.env.CREDENTIAL_CONNECTORS, checkerUrl = process.env.CREDENTIAL_CHECKER_URL } = {}) {
+  const connectors = {};
+  for (const { source, label } of SOURCES) {
+    if (mode === 'mock') {
+      connectors[source] = mockConnector(source, label);
+    } else if (source === 'samgov') {
+      connectors[source] = samgovConnector();
+    } else {
+      connectors[source] = checkerConnector(source, label, { checkerUrl });
+    }
+  }
+  return connectors;
+}
+
+module.exports = {
+  SOURCES,
+  createConnectors,
+  mockConnector
+};
@@ -0,0 +1,84 @@
+/**
+ * Credential Pool - scrapers borrow company credentials through the gateway
+ *
+ *   1. checkout(source) leases the next healthy credential for a source
+ *      (least recently used first) - nobody else gets it until the lease
+ *      is reported back or runs out
+ *   2. report(leaseId, { success }) ends the lease and updates the counters
+ *
+ * Both run as SQL functions (database/auth-schema.sql) so two workers can't
+ * lease the same login. A credential becomes 'invalid' after
+ * FAILURE_THRESHOLD failures in a row and leaves the pool until its company
+ * saves new details.
+ *
+ * Rows come back still encrypted - decrypt with lib/credential-vault.js.
+ */
+
+const DEFAULT_LEASE_SECONDS = 5 * 60;
+const MAX_LEASE_SECONDS = 60 * 60;
+const FAILURE_THRESHOLD = 5; // keep in step with mark_credential_failure
+
+/**
+ * Create a credential pool bound to a Supabase client
+ */
+function createCredentialPool(supabase) {
+  /**
+   * Lease the next credential for a source - returns the row
+   * (with lease_id and leased_until), or null when none is free
+   */
+  async function checkout(source, { worker, ttlSeconds } = {}) {
+    const ttl = Math.min(Math.max(parseInt(ttlSeconds, 10) || DEFAULT_LEASE_SECONDS, 1), MAX_LEASE_SECONDS);
+
+    const { data, error } = await supabase.rpc('checkout_credential', {
+      p_source: source,
+      p_worker: worker || null,
+      p_ttl_seconds: ttl
+    });
+
+    if (error) {
+      throw new Error(`Failed to check out credential: ${error.message}`);
+    }
+    return data && data.length ? data[0] : null;
+  }
+
+  /**
+   * A lease that is still running - { id, source, leased_by, leased_until } or null
+   */
+  async function findLease(leaseId) {
+    const { data } = await supabase
+      .from('nextbid_company_credentials')
+      .select('id, source, leased_by, leased_until')
+      .eq('lease_id', leaseId)
+      .gt('leased_until', new Date().toISOString())
+      .single();
+    return data || null;
+  }
+
+  /**
+   * End a lease with the scraper's result - returns { id, company_id, source,
+   * status, previous_status }, or null if the lease is unknown or ran out
+   */
+  async function report(leaseId, { success, error: message }) {
+    const { data, error } = await supabase.rpc('report_credential_result', {
+      p_lease_id: leaseId,
+      p_success: success,
+      p_error: success ? null : String(message || 'Login failed').slice(0, 1000)
+    });
+
+    if (error) {
+      throw new Error(`Failed to report credential result: ${error.message}`);
+    }
+    return data && data.length ? data[0] : null;
+  }
+
+  return {
+    checkout,
+    findLease,
+    report
+  };
+}
+
+module.exports = {
+  createCredentialPool,
+  FAILURE_THRESHOLD
+};
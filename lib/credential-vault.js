@@ -0,0 +1,241 @@
+/**
+ * Credential Vault - envelope encryption for nextbid_company_credentials
+ *
+ * Every credential row gets its own random data key (AES-256-GCM). The
+ * secrets (password, api_key) are encrypted with that data key, and the
+ * data key itself is wrapped with a master key from the environment.
+ * The row stores the wrapped data key plus the master key version used,
+ * so master keys can be rotated and old rows re-encrypted later
+ * (see scripts/rotate-credential-keys.js).
+ *
+ * Smaller standalone secrets (e.g. TOTP seeds on nextbid_users) use
+ * encryptSecret/decryptSecret, which seal directly with the master key and
+ * carry their key version inline: "v<version>:<iv>:<tag>:<ciphertext>".
+ *
+ * Environment:
+ *   CREDENTIAL_MASTER_KEYS   - comma separated "version:base64key" pairs,
+ *                              e.g. "1:abc...=,2:def...=" (32-byte keys)
+ *   CREDENTIAL_KEY_VERSION   - version used for new writes (default: highest)
+ *
+ * Generate a key with:
+ *   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const SECRET_FIELDS = {
+  password: 'password_encrypted',
+  api_key: 'api_key_encrypted'
+};
+
+/**
+ * Parse CREDENTIAL_MASTER_KEYS into a Map of version -> key buffer
+ */
+function loadMasterKeys(env = process.env) {
+  const keys = new Map();
+
+  (env.CREDENTIAL_MASTER_KEYS || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const [version, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+
+    if (!/^\d+$/.test(version) || key.length !== 32) {
+      throw new Error(`Invalid CREDENTIAL_MASTER_KEYS entry for version "${version}" (expected version:base64 32-byte key)`);
+    }
+    keys.set(parseInt(version, 10), key);
+  });
+
+  return keys;
+}
+
+const masterKeys = loadMasterKeys();
+
+/**
+ * Master key version used for new writes
+ */
+function currentKeyVersion() {
+  if (process.env.CREDENTIAL_KEY_VERSION) {
+    return parseInt(process.env.CREDENTIAL_KEY_VERSION, 10);
+  }
+  return masterKeys.size ? Math.max(...masterKeys.keys()) : null;
+}
+
+function getMasterKey(version) {
+  const key = masterKeys.get(version);
+  if (!key) {
+    throw new Error(`Credential master key version ${version} is not configured`);
+  }
+  return key;
+}
+
+/**
+ * Is the vault usable? (at least the current key is configured)
+ */
+function isConfigured() {
+  const version = currentKeyVersion();
+  return version !== null && masterKeys.has(version);
+}
+
+/**
+ * AES-256-GCM encrypt - returns "iv:tag:ciphertext" (base64 parts)
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64')).join(':');
+}
+
+/**
+ * AES-256-GCM decrypt of a value produced by seal()
+ */
+function open(key, sealed, aad) {
+  const [iv, tag, ciphertext] = sealed.split(':').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Ciphertext is bound to its row so it can't be copied to another company/source
+ */
+function rowAad(companyId, source, field = 'data_key') {
+  return `${companyId}:${source}:${field}`;
+}
+
+/**
+ * Encrypt the secrets for a credential row
+ * Returns the column values to write: password_encrypted, api_key_encrypted,
+ * data_key_encrypted and key_version. Missing secrets are written as null.
+ */
+function encryptCredential({ password, api_key }, { companyId, source }) {
+  const version = currentKeyVersion();
+  const masterKey = getMasterKey(version);
+  const dataKey = crypto.randomBytes(32);
+  const secrets = { password, api_key };
+
+  const columns = {
+    data_key_encrypted: seal(masterKey, dataKey, rowAad(companyId, source)),
+    key_version: version
+  };
+
+  for (const [field, column] of Object.entries(SECRET_FIELDS)) {
+    columns[column] = secrets[field]
+      ? seal(dataKey, Buffer.from(String(secrets[field]), 'utf8'), rowAad(companyId, source, field))
+      : null;
+  }
+
+  return columns;
+}
+
+/**
+ * Decrypt the secrets of a credential row
+ * Rows written before encryption (key_version null) are returned as-is.
+ */
+function decryptCredential(row) {
+  if (row.key_version === null || row.key_version === undefined) {
+    return { password: row.password_encrypted || null, api_key: row.api_key_encrypted || null };
+  }
+
+  const masterKey = getMasterKey(row.key_version);
+  const dataKey = open(masterKey, row.data_key_encrypted, rowAad(row.company_id, row.source));
+
+  const secrets = {};
+  for (const [field, column] of Object.entries(SECRET_FIELDS)) {
+    secrets[field] = row[column]
+      ? open(dataKey, row[column], rowAad(row.company_id, row.source, field)).toString('utf8')
+      : null;
+  }
+  return secrets;
+}
+
+/**
+ * Replace some of the secrets on an existing credential row (row may be null)
+ * Returns the column values to write, like encryptCredential(). Secrets not
+ * given keep their ciphertext: the row's data key is unwrapped and re-wrapped
+ * under the current master key, so they are never decrypted. If the row's data
+ * key can't be unwrapped (retired master key, corrupt data) there is nothing
+ * readable to keep: this throws unless every stored secret is being replaced.
+ */
+function updateCredential(row, { password, api_key }, { companyId, source }) {
+  if (!row) {
+    return encryptCredential({ password, api_key }, { companyId, source });
+  }
+
+  // Rows written before encryption hold their secrets as-is
+  if (row.key_version === null || row.key_version === undefined) {
+    return encryptCredential({
+      password: password || row.password_encrypted || null,
+      api_key: api_key || row.api_key_encrypted || null
+    }, { companyId, source });
+  }
+
+  let dataKey;
+  try {
+    dataKey = open(getMasterKey(row.key_version), row.data_key_encrypted, rowAad(companyId, source));
+  } catch (error) {
+    // Nothing readable to keep - refuse rather than drop a stored secret
+    const kept = Object.entries(SECRET_FIELDS).filter(([field, column]) => !({ password, api_key })[field] && row[column]);
+    if (kept.length > 0) {
+      throw new Error(`The saved ${kept.map(([field]) => field.replace('_', ' ')).join(' and ')} can't be read any more - enter all of this login's secrets again`);
+    }
+    return encryptCredential({ password, api_key }, { companyId, source });
+  }
+
+  const version = currentKeyVersion();
+  const secrets = { password, api_key };
+  const columns = {
+    data_key_encrypted: seal(getMasterKey(version), dataKey, rowAad(companyId, source)),
+    key_version: version
+  };
+
+  for (const [field, column] of Object.entries(SECRET_FIELDS)) {
+    columns[column] = secrets[field]
+      ? seal(dataKey, Buffer.from(String(secrets[field]), 'utf8'), rowAad(companyId, source, field))
+      : row[column] || null;
+  }
+
+  return columns;
+}
+
+/**
+ * Encrypt a standalone secret under the current master key
+ * context binds the ciphertext to its owner (e.g. "totp:<userId>")
+ */
+function encryptSecret(plaintext, context) {
+  const version = currentKeyVersion();
+  return `v${version}:${seal(getMasterKey(version), Buffer.from(String(plaintext), 'utf8'), context)}`;
+}
+
+/**
+ * Decrypt a value produced by encryptSecret()
+ */
+function decryptSecret(sealed, context) {
+  const match = String(sealed || '').match(/^v(\d+):(.+)$/);
+  if (!match) {
+    throw new Error('Malformed encrypted secret');
+  }
+  return open(getMasterKey(parseInt(match[1], 10)), match[2], context).toString('utf8');
+}
+
+/**
+ * Key version of a value produced by encryptSecret()
+ */
+function secretKeyVersion(sealed) {
+  const match = String(sealed || '').match(/^v(\d+):/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = {
+  isConfigured,
+  currentKeyVersion,
+  encryptCredential,
+  decryptCredential,
+  updateCredential,
+  encryptSecret,
+  decryptSecret,
+  secretKeyVersion
+};
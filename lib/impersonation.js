@@ -0,0 +1,80 @@
+/**
+ * Impersonation - support staff see the gateway and products as a customer does
+ *
+ * Each "view as user" is a row in nextbid_impersonations with a hard end
+ * (expires_at). The gateway issues an access token for the target user with
+ * an act claim naming the admin and imp = the row id; there is no refresh
+ * token, so it cannot outlive expires_at. Ending the row (stop, logout or
+ * expiry) makes the token stop working at once.
+ */
+
+/**
+ * Create an impersonation store bound to a Supabase client
+ */
+function createImpersonationStore(supabase) {
+  /**
+   * Start impersonating a user - returns the new row
+   */
+  async function start({ impersonatorId, userId, reason, ip, ttlMs }) {
+    const { data, error } = await supabase
+      .from('nextbid_impersonations')
+      .insert({
+        impersonator_id: impersonatorId,
+        user_id: userId,
+        reason: reason || null,
+        ip_address: ip,
+        expires_at: new Date(Date.now() + ttlMs).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to start impersonation: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * An impersonation that has not ended or run out, or null
+   */
+  async function find(id) {
+    if (!id) return null;
+
+    const { data: row } = await supabase
+      .from('nextbid_impersonations')
+      .select('*')
+      .eq('id', id)
+      .is('ended_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    return row || null;
+  }
+
+  /**
+   * End an impersonation - returns its row, or null if it had already ended
+   */
+  async function end(id, reason) {
+    if (!id) return null;
+
+    // Conditional update so the end is recorded once
+    const { data: rows } = await supabase
+      .from('nextbid_impersonations')
+      .update({ ended_at: new Date().toISOString(), ended_reason: reason })
+      .eq('id', id)
+      .is('ended_at', null)
+      .select('*');
+
+    return rows && rows.length ? rows[0] : null;
+  }
+
+  return {
+    start,
+    find,
+    end
+  };
+}
+
+module.exports = {
+  createImpersonationStore
+};
@@ -0,0 +1,197 @@
+/**
+ * Login Limiter - brute-force protection for POST /login
+ *
+ * Failed attempts are counted per email and per IP. After a few free
+ * failures each further attempt must wait a progressively longer delay,
+ * and after maxFailures the key is locked out for lockoutMs.
+ *
+ * State lives in a pluggable store with async get/recordFailure/delete.
+ * recordFailure counts a failure atomically, so concurrent attempts can't
+ * overwrite each other's counts:
+ *   createMemoryStore()           - single droplet (default)
+ *   createSupabaseStore(supabase) - shared across droplets (nextbid_rate_limits,
+ *                                   counted by the nextbid_rate_limit_fail RPC)
+ *
+ * Keys are per IP, so behind nginx the gateway must trust the proxy's
+ * X-Forwarded-For (TRUST_PROXY in server.js) - otherwise every client shares
+ * the proxy's address and one IP lockout blocks everyone.
+ *
+ * Environment:
+ *   LOGIN_LIMITER_STORE       - "memory" (default) or "supabase"
+ *   LOGIN_MAX_FAILURES        - per email before lockout (default 5)
+ *   LOGIN_MAX_FAILURES_IP     - per IP before lockout (default 20)
+ *   LOGIN_LOCKOUT_MINUTES     - lockout duration (default 15)
+ */
+
+const FREE_FAILURES = 2;          // no delay for the first typos
+const BASE_DELAY_MS = 1000;       // then 1s, 2s, 4s, ...
+const MAX_DELAY_MS = 30 * 1000;
+const WINDOW_MS = 15 * 60 * 1000; // failures are forgotten after 15 quiet minutes
+
+/**
+ * State after one more failure: { failures, lastFailureAt, lockedUntil? }
+ * Reaching limit locks the key and starts the count again
+ */
+function nextFailureState(state, limit, lockoutMs, now) {
+  const failures = (state ? state.failures : 0) + 1;
+  if (failures >= limit) {
+    return { failures: 0, lastFailureAt: now, lockedUntil: now + lockoutMs };
+  }
+  return { failures, lastFailureAt: now };
+}
+
+/**
+ * In-process store - fine for one droplet, lost on restart
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry.value;
+    },
+    async recordFailure(key, limit, lockoutMs) {
+      const now = Date.now();
+      const entry = entries.get(key);
+      const value = nextFailureState(entry && entry.expiresAt > now ? entry.value : null, limit, lockoutMs, now);
+      entries.set(key, { value, expiresAt: now + Math.max(WINDOW_MS, value.lockedUntil ? lockoutMs : 0) });
+      return value;
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Shared store on the nextbid_rate_limits table - for several 7000 droplets
+ */
+function createSupabaseStore(supabase, table = 'nextbid_rate_limits') {
+  return {
+    async get(key) {
+      const { data } = await supabase
+        .from(table)
+        .select('value, expires_at')
+        .eq('key', key)
+        .single();
+      if (!data || new Date(data.expires_at) <= new Date()) return null;
+      return data.value;
+    },
+    async recordFailure(key, limit, lockoutMs) {
+      // Read, count and lock in one statement (see database/auth-schema.sql)
+      const { data, error } = await supabase.rpc('nextbid_rate_limit_fail', {
+        p_key: key,
+        p_limit: limit,
+        p_lockout_ms: lockoutMs,
+        p_window_ms: WINDOW_MS
+      });
+      if (error) {
+        console.error('[LoginLimiter] Store write error:', error.message);
+        return null;
+      }
+      return data;
+    },
+    async delete(key) {
+      await supabase.from(table).delete().eq('key', key);
+    }
+  };
+}
+
+/**
+ * Create a limiter over a store
+ */
+function createLoginLimiter(store, options = {}) {
+  const limits = {
+    email: options.maxFailures || 5,
+    ip: options.maxFailuresPerIp || 20
+  };
+  const lockoutMs = options.lockoutMs || 15 * 60 * 1000;
+
+  function keysFor(email, ip) {
+    return [
+      { type: 'email', key: `login:email:${(email || '').toLowerCase()}` },
+      { type: 'ip', key: `login:ip:${ip}` }
+    ];
+  }
+
+  function delayFor(failures) {
+    if (failures <= FREE_FAILURES) return 0;
+    return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_FAILURES - 1), MAX_DELAY_MS);
+  }
+
+  /**
+   * May this email/IP attempt a login now?
+   * Returns { allowed, locked, retryAfterMs }
+   */
+  async function check(email, ip) {
+    const now = Date.now();
+    let result = { allowed: true, locked: false, retryAfterMs: 0 };
+
+    for (const { key } of keysFor(email, ip)) {
+      const state = await store.get(key);
+      if (!state) continue;
+
+      const nextAllowedAt = (state.lastFailureAt || 0) + delayFor(state.failures);
+      if (state.lockedUntil && state.lockedUntil > now) {
+        result = { allowed: false, locked: true, retryAfterMs: Math.max(result.retryAfterMs, state.lockedUntil - now) };
+      } else if (nextAllowedAt > now) {
+        result = { ...result, allowed: false, retryAfterMs: Math.max(result.retryAfterMs, nextAllowedAt - now) };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Record a failed attempt - returns { locked } if this failure triggered a lockout
+   */
+  async function fail(email, ip) {
+    let locked = false;
+
+    for (const { type, key } of keysFor(email, ip)) {
+      const state = await store.recordFailure(key, limits[type], lockoutMs);
+      if (state && state.lockedUntil) {
+        locked = true;
+      }
+    }
+
+    return { locked };
+  }
+
+  /**
+   * Successful login - forget the email's failures
+   */
+  async function reset(email) {
+    await store.delete(keysFor(email)[0].key);
+  }
+
+  /**
+   * Admin unlock - clear the lockout for an email
+   */
+  async function unlock(email) {
+    await reset(email);
+  }
+
+  return {
+    check,
+    fail,
+    reset,
+    unlock
+  };
+}
+
+module.exports = {
+  createLoginLimiter,
+  createMemoryStore,
+  createSupabaseStore
+};
@@ -0,0 +1,102 @@
+/**
+ * Mailer - one send() interface, pluggable transports
+ *
+ *   console - prints the message (default, local development)
+ *   file    - writes each message as JSON into MAIL_DIR (local development)
+ *   smtp    - sends through an SMTP server (production)
+ *
+ * Templates live in views/emails/<name>.ejs and get the same locals as send().
+ *
+ * Environment:
+ *   MAIL_TRANSPORT  - console | file | smtp
+ *   MAIL_FROM       - From header (default "NextBid <no-reply@nextbidportal.com>")
+ *   MAIL_DIR        - file transport output directory (default ./mail-outbox)
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+function createFileTransport(dir) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      console.log(`[Mail] Wrote ${file}`);
+    }
+  };
+}
+
+function createSmtpTransport(env) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+/**
+ * Create a mailer from environment settings (or an explicit transport)
+ */
+function createMailer({ transport, env = process.env } = {}) {
+  const from = env.MAIL_FROM || 'NextBid <no-reply@nextbidportal.com>';
+
+  if (!transport) {
+    switch (env.MAIL_TRANSPORT || 'console') {
+      case 'smtp':
+        transport = createSmtpTransport(env);
+        break;
+      case 'file':
+        transport = createFileTransport(env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox'));
+        break;
+      case 'console':
+        transport = createConsoleTransport();
+        break;
+      default:
+        throw new Error(`Unknown MAIL_TRANSPORT: ${env.MAIL_TRANSPORT}`);
+    }
+  }
+
+  /**
+   * Send an email
+   * Either pass subject/text/html directly, or a template name plus locals:
+   *   send({ to, subject, template: 'password-reset', locals: { name, link } })
+   * Template emails also get a text part made from `text` or locals.link.
+   */
+  async function send({ to, subject, text, html, template, locals = {} }) {
+    if (template) {
+      html = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.ejs`), { subject, ...locals });
+      text = text || `${subject}\n\n${locals.link || ''}`.trim();
+    }
+
+    await transport.send({ from, to, subject, text, html });
+  }
+
+  return { send };
+}
+
+module.exports = {
+  createMailer,
+  createConsoleTransport,
+  createFileTransport
+};
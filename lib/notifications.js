@@ -0,0 +1,279 @@
+/**
+ * Notifications - one notify() interface, pluggable delivery channels
+ *
+ *   email   - through the mailer (lib/mailer.js), views/emails/alert.ejs
+ *   webhook - POSTs the notification as JSON to the user's webhook URL
+ *             (public addresses only; redirects are not followed)
+ *   in_app  - stored in nextbid_notifications, listed on the profile
+ *
+ * A notification is { kind, title, text, link, items }, where items are the
+ * opportunities or bids it is about ([{ title, agency, due_date, link }]).
+ *
+ * Environment:
+ *   NOTIFICATION_TRANSPORT - live (default) | console | file
+ *                            console and file stand in for email and webhook,
+ *                            so nothing leaves the machine (local development)
+ *   NOTIFICATION_DIR       - file transport output directory
+ *                            (default ./notification-outbox)
+ */
+
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Agent, fetch } = require('undici');
+
+const CHANNELS = ['email', 'webhook', 'in_app'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const INBOX_LIMIT = 50;
+
+// Loopback, private, link-local, CGNAT, benchmarking, documentation, multicast
+// and reserved ranges - the IPv4 ones also cover IPv4-mapped IPv6 addresses
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Console transport - prints each delivery instead of making it
+ */
+function createConsoleTransport() {
+  return {
+    async deliver(channel, recipient, notification) {
+      const items = (notification.items || []).map(item => `  - ${item.title}${item.link ? ` (${item.link})` : ''}`).join('\n');
+      console.log(`[Notify] ${channel} to ${recipient.email} | ${notification.title}\n${notification.text}${items ? `\n${items}` : ''}`);
+    }
+  };
+}
+
+/**
+ * File transport - writes each delivery as JSON into dir
+ */
+function createFileTransport(dir) {
+  return {
+    async deliver(channel, recipient, notification) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${channel}-${recipient.email.replace(/[^a-z0-9@.-]/gi, '_')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ channel, to: recipient.email, ...notification }, null, 2));
+      console.log(`[Notify] Wrote ${file}`);
+    }
+  };
+}
+
+/**
+ * Only http(s) webhook URLs are accepted - throws on anything else
+ */
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error('Invalid webhook URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Invalid webhook URL');
+  }
+  return url.href;
+}
+
+/**
+ * Is an IP address one a company webhook mustn't reach?
+ */
+function isInternalAddress(address) {
+  return INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * The addresses a webhook URL's host resolves to - throws if any is internal
+ */
+async function publicAddresses(href) {
+  const host = new URL(href).hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error('Webhook host could not be resolved');
+  }
+  if (addresses.some(({ address }) => isInternalAddress(address))) {
+    throw new Error('Webhook URL must point to a public address');
+  }
+  return addresses;
+}
+
+/**
+ * validateWebhookUrl, and the host must resolve only to public addresses -
+ * so a webhook can't be pointed at the gateway's own network
+ * allowInternal skips the address check (NextBid's own services)
+ * Returns the URL, throws with a user-facing message
+ */
+async function checkWebhookUrl(value, { allowInternal = false } = {}) {
+  const href = validateWebhookUrl(value);
+  if (!allowInternal) await publicAddresses(href);
+  return href;
+}
+
+/**
+ * POST to a webhook URL, checked as checkWebhookUrl does. The connection
+ * goes to the addresses that were checked, so a host can't resolve to a
+ * public address for the check and an internal one for the request (DNS
+ * rebinding). Redirects are not followed. Resolves to the response status.
+ */
+async function postWebhook(value, { headers, body, timeoutMs }, { allowInternal = false } = {}) {
+  const href = validateWebhookUrl(value);
+  const addresses = allowInternal ? null : await publicAddresses(href);
+
+  const dispatcher = new Agent(addresses ? {
+    connect: {
+      lookup(hostname, options, callback) {
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    }
+  } : {});
+  try {
+    const res = await fetch(href, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+      dispatcher
+    });
+    return { ok: res.ok, status: res.status };
+  } finally {
+    dispatcher.destroy();
+  }
+}
+
+/**
+ * Create a notifier bound to a Supabase client and mailer
+ * (or an explicit transport, which then handles email and webhook)
+ */
+function createNotifier(supabase, { mailer, transport, env = process.env } = {}) {
+  if (!transport) {
+    switch (env.NOTIFICATION_TRANSPORT || 'live') {
+      case 'console':
+        transport = createConsoleTransport();
+        break;
+      case 'file':
+        transport = createFileTransport(env.NOTIFICATION_DIR || path.join(__dirname, '..', 'notification-outbox'));
+        break;
+      case 'live':
+        break;
+      default:
+        throw new Error(`Unknown NOTIFICATION_TRANSPORT: ${env.NOTIFICATION_TRANSPORT}`);
+    }
+  }
+
+  const channels = {
+    async email(recipient, notification) {
+      await mailer.send({
+        to: recipient.email,
+        subject: notification.title,
+        text: [notification.text, ...(notification.items || []).map(item => `- ${item.title}: ${item.link}`), notification.link]
+          .filter(Boolean).join('\n\n'),
+        template: 'alert',
+        locals: { name: recipient.name, ...notification }
+      });
+    },
+
+    async webhook(recipient, notification) {
+      const res = await postWebhook(recipient.webhook_url, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: `alert.${notification.kind}`, sent_at: new Date().toISOString(), ...notification }),
+        timeoutMs: WEBHOOK_TIMEOUT_MS
+      });
+      if (!res.ok) {
+        throw new Error(`Webhook returned HTTP ${res.status}`);
+      }
+    },
+
+    async in_app(recipient, notification) {
+      const { error } = await supabase.from('nextbid_notifications').insert({
+        user_id: recipient.id,
+        kind: notification.kind,
+        title: notification.title,
+        body: notification.text,
+        link: notification.link || null,
+        items: notification.items || []
+      });
+      if (error) {
+        throw new Error(error.message);
+      }
+    }
+  };
+
+  /**
+   * Deliver a notification on each of the recipient's channels
+   * recipient: { id, email, name, webhook_url }
+   * One channel failing doesn't stop the others - returns the channels that worked
+   */
+  async function notify(recipient, notification, wanted) {
+    const delivered = [];
+    for (const channel of wanted.filter(c => CHANNELS.includes(c))) {
+      if (channel === 'webhook' && !recipient.webhook_url) continue;
+      try {
+        if (transport && channel !== 'in_app') {
+          await transport.deliver(channel, recipient, notification);
+        } else {
+          await channels[channel](recipient, notification);
+        }
+        delivered.push(channel);
+      } catch (error) {
+        console.error(`[Notify] ${channel} to ${recipient.email} failed:`, error.message);
+      }
+    }
+    return delivered;
+  }
+
+  /**
+   * A user's in-app notifications, newest first, and how many are unread
+   */
+  async function inbox(userId) {
+    const { data, error } = await supabase
+      .from('nextbid_notifications')
+      .select('id, kind, title, body, link, items, read_at, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(INBOX_LIMIT);
+
+    if (error) {
+      throw new Error(`Failed to load notifications: ${error.message}`);
+    }
+    const notifications = data || [];
+    return { notifications, unread: notifications.filter(n => !n.read_at).length };
+  }
+
+  /**
+   * Mark some (ids) or all of a user's in-app notifications read
+   */
+  async function markRead(userId, ids) {
+    let query = supabase
+      .from('nextbid_notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('read_at', null);
+
+    if (ids) query = query.in('id', ids);
+    await query;
+  }
+
+  return {
+    notify,
+    inbox,
+    markRead
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  checkWebhookUrl,
+  createNotifier,
+  createConsoleTransport,
+  createFileTransport,
+  isInternalAddress,
+  postWebhook
+};
@@ -0,0 +1,330 @@
+/**
+ * OpenID Connect Provider - products sign users in with standard OIDC libraries
+ *
+ * Authorization code flow with PKCE (S256, required for every client):
+ *   GET  /oauth/authorize  - signed-in user gets a code for the client's redirect_uri
+ *   POST /oauth/token      - client exchanges the code for an ID token + access token
+ *   GET  /oauth/userinfo   - claims for an access token
+ *   GET  /oauth/logout     - ends the gateway session (RP-initiated logout) when
+ *                            id_token_hint is the signed-in user's, otherwise
+ *                            asks first and signs out with POST /oauth/logout
+ *   /.well-known/openid-configuration and /.well-known/jwks.json describe the rest
+ *
+ * Clients (nextbid_oidc_clients) are registered per product with
+ * scripts/create-oidc-client.js. Confidential clients authenticate with a
+ * secret (only its SHA-256 hash is stored); public clients rely on PKCE alone.
+ *
+ * Tokens are signed RS256 with keys from the environment, never JWT_SECRET:
+ *   OIDC_SIGNING_KEYS - comma separated "kid:base64" PKCS#8 DER RSA private keys;
+ *                       all are published in the JWKS so keys can be rotated
+ *   OIDC_SIGNING_KID  - key used for new tokens (default: the last one)
+ *
+ * Generate a key with:
+ *   node -e "console.log(require('crypto').generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'))"
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_EXPIRES_IN = 60 * 60; // seconds - same as gateway access tokens
+const SCOPES = ['openid', 'profile', 'email'];
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * client_secret_basic credentials from an Authorization header
+ * Returns { clientId, clientSecret }, null without a Basic header, or false
+ * if the header is malformed (no ":" or a bad percent-escape)
+ */
+function parseBasicAuth(header) {
+  const basic = String(header || '').match(/^Basic\s+(\S+)$/i);
+  if (!basic) return null;
+
+  const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return false;
+
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+    };
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse OIDC_SIGNING_KEYS - without keys an in-memory key is generated
+ * (tokens then stop verifying when the gateway restarts)
+ */
+function loadSigningKeys(env = process.env) {
+  const keys = (env.OIDC_SIGNING_KEYS || '').split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [kid, encoded] = entry.split(':');
+    let privateKey;
+    try {
+      privateKey = crypto.createPrivateKey({ key: Buffer.from(encoded || '', 'base64'), format: 'der', type: 'pkcs8' });
+    } catch (err) {
+      throw new Error(`Invalid OIDC_SIGNING_KEYS entry "${kid}" (expected kid:base64 PKCS#8 DER key)`);
+    }
+    if (!kid || privateKey.asymmetricKeyType !== 'rsa') {
+      throw new Error(`Invalid OIDC_SIGNING_KEYS entry "${kid}" (expected an RSA key)`);
+    }
+    return { kid, privateKey };
+  });
+
+  if (keys.length === 0) {
+    console.warn('[OIDC] OIDC_SIGNING_KEYS is not set - using a temporary signing key');
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    keys.push({ kid: `temp-${crypto.randomBytes(4).toString('hex')}`, privateKey });
+  }
+
+  const current = env.OIDC_SIGNING_KID
+    ? keys.find(k => k.kid === env.OIDC_SIGNING_KID)
+    : keys[keys.length - 1];
+
+  if (!current) {
+    throw new Error(`OIDC_SIGNING_KID ${env.OIDC_SIGNING_KID} is not in OIDC_SIGNING_KEYS`);
+  }
+
+  return {
+    current,
+    keys: keys.map(k => ({ ...k, publicKey: crypto.createPublicKey(k.privateKey) }))
+  };
+}
+
+/**
+ * Create an OIDC provider bound to a Supabase client
+ * issuer is the gateway's public base URL, e.g. https://nextbidportal.com
+ */
+function createOidcProvider(supabase, { issuer, env = process.env }) {
+  const { current, keys } = loadSigningKeys(env);
+
+  function discovery() {
+    return {
+      issuer,
+      authorization_endpoint: `${issuer}/oauth/authorize`,
+      token_endpoint: `${issuer}/oauth/token`,
+      userinfo_endpoint: `${issuer}/oauth/userinfo`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      end_session_endpoint: `${issuer}/oauth/logout`,
+      scopes_supported: SCOPES,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'nonce', 'sid', 'name', 'email', 'email_verified', 'role', 'company_id', 'products']
+    };
+  }
+
+  function jwks() {
+    return {
+      keys: keys.map(k => ({ ...k.publicKey.export({ format: 'jwk' }), kid: k.kid, use: 'sig', alg: 'RS256' }))
+    };
+  }
+
+  /**
+   * An active client by client_id
+   */
+  async function findClient(clientId) {
+    if (!clientId) return null;
+
+    const { data } = await supabase
+      .from('nextbid_oidc_clients')
+      .select('*')
+      .eq('client_id', clientId)
+      .eq('is_active', true)
+      .single();
+    return data || null;
+  }
+
+  /**
+   * Check the secret a confidential client sent - public clients must not send one
+   */
+  function authenticateClient(client, secret) {
+    if (client.is_public) {
+      return !secret;
+    }
+    return Boolean(secret) && safeEqual(hash(secret), client.client_secret_hash);
+  }
+
+  /**
+   * Redirect URIs must match a registered one exactly
+   */
+  function allowsRedirect(client, uri) {
+    return (client.redirect_uris || []).includes(uri);
+  }
+
+  function allowsLogoutRedirect(client, uri) {
+    return (client.post_logout_redirect_uris || []).includes(uri);
+  }
+
+  /**
+   * Issue an authorization code - returns the plaintext code
+   */
+  async function issueCode({ client, userId, sessionId, redirectUri, scope, nonce, codeChallenge }) {
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    const { error } = await supabase
+      .from('nextbid_oidc_codes')
+      .insert({
+        code_hash: hash(code),
+        client_id: client.client_id,
+        user_id: userId,
+        session_id: sessionId || null,
+        redirect_uri: redirectUri,
+        scope,
+        nonce: nonce || null,
+        code_challenge: codeChallenge,
+        expires_at: new Date(Date.now() + CODE_TTL_MS).toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to issue authorization code: ${error.message}`);
+    }
+    return code;
+  }
+
+  /**
+   * Use a code - returns its row, or null if it is unknown, expired, used,
+   * or doesn't match the client, redirect_uri and PKCE verifier
+   */
+  async function redeemCode(code, { clientId, redirectUri, codeVerifier }) {
+    if (!code || !codeVerifier) return null;
+
+    const { data: row } = await supabase
+      .from('nextbid_oidc_codes')
+      .select('*')
+      .eq('code_hash', hash(code))
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    // Checked before the code is used up, so another client can't burn it
+    if (!row || row.client_id !== clientId || row.redirect_uri !== redirectUri) {
+      return null;
+    }
+    const challenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    if (!safeEqual(challenge, row.code_challenge)) {
+      return null;
+    }
+
+    // Conditional update so the code can't be used twice
+    const { data: used } = await supabase
+      .from('nextbid_oidc_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .is('used_at', null)
+      .select('id');
+
+    return used && used.length ? row : null;
+  }
+
+  function sign(claims, options) {
+    return jwt.sign(claims, current.privateKey, {
+      algorithm: 'RS256',
+      keyid: current.kid,
+      issuer,
+      expiresIn: TOKEN_EXPIRES_IN,
+      ...options
+    });
+  }
+
+  /**
+   * Claims about a user for the granted scopes
+   * user needs id, name, email, email_verified, role, company_id and products
+   */
+  function userClaims(user, scope) {
+    const scopes = scope.split(' ');
+    return {
+      ...(scopes.includes('profile') && { name: user.name || '' }),
+      ...(scopes.includes('email') && { email: user.email, email_verified: Boolean(user.email_verified) }),
+      role: user.role || null,
+      company_id: user.company_id || null,
+      products: user.products || []
+    };
+  }
+
+  /**
+   * Token response for a redeemed code
+   */
+  function issueTokens(user, code) {
+    const subject = String(user.id);
+
+    const idToken = sign({
+      ...userClaims(user, code.scope),
+      ...(code.nonce && { nonce: code.nonce }),
+      ...(code.session_id && { sid: code.session_id })
+    }, { subject, audience: code.client_id });
+
+    const accessToken = sign({
+      client_id: code.client_id,
+      scope: code.scope,
+      ...(code.session_id && { sid: code.session_id })
+    }, { subject, audience: code.client_id, header: { typ: 'at+jwt' } });
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_EXPIRES_IN,
+      scope: code.scope,
+      id_token: idToken
+    };
+  }
+
+  /**
+   * Verify a token this provider signed - returns its claims or null
+   * ignoreExpiration is for id_token_hint on logout
+   */
+  function verify(token, { ignoreExpiration = false } = {}) {
+    try {
+      const { header } = jwt.decode(token, { complete: true }) || {};
+      const key = header && keys.find(k => k.kid === header.kid);
+      if (!key) return null;
+
+      return jwt.verify(token, key.publicKey, { algorithms: ['RS256'], issuer, ignoreExpiration });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Verify an access token - ID tokens are not accepted
+   */
+  function verifyAccessToken(token) {
+    const claims = verify(token);
+    return claims && claims.client_id && claims.scope ? claims : null;
+  }
+
+  return {
+    discovery,
+    jwks,
+    findClient,
+    authenticateClient,
+    allowsRedirect,
+    allowsLogoutRedirect,
+    issueCode,
+    redeemCode,
+    issueTokens,
+    userClaims,
+    verify,
+    verifyAccessToken,
+    scopes: SCOPES
+  };
+}
+
+module.exports = {
+  createOidcProvider,
+  parseBasicAuth
+};
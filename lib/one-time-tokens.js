@@ -0,0 +1,98 @@
+/**
+ * One-Time Tokens - single-use, expiring links (password reset, email verification)
+ *
+ * Backed by nextbid_user_tokens. Only the SHA-256 hash of a token is
+ * stored; consuming a token marks it used so the link works exactly once.
+ * Issuing a new token for a purpose invalidates the user's older ones.
+ */
+
+const crypto = require('crypto');
+
+const TTL_MS = {
+  password_reset: 60 * 60 * 1000,             // 1 hour
+  email_verification: 3 * 24 * 60 * 60 * 1000 // 3 days
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a one-time token store bound to a Supabase client
+ */
+function createOneTimeTokenStore(supabase) {
+  /**
+   * Issue a token for a user - returns the plaintext token (put it in the link)
+   */
+  async function issue(userId, purpose, { details } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await supabase
+      .from('nextbid_user_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    const { error } = await supabase
+      .from('nextbid_user_tokens')
+      .insert({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        details: details || null,
+        expires_at: new Date(Date.now() + TTL_MS[purpose]).toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to issue ${purpose} token: ${error.message}`);
+    }
+    return token;
+  }
+
+  /**
+   * Look up an unused, unexpired token without using it
+   */
+  async function find(token, purpose) {
+    if (!token) return null;
+
+    const { data: row } = await supabase
+      .from('nextbid_user_tokens')
+      .select('*')
+      .eq('token_hash', hashToken(token))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    return row || null;
+  }
+
+  /**
+   * Use a token - returns its row, or null if invalid, expired or already used
+   */
+  async function consume(token, purpose) {
+    const row = await find(token, purpose);
+    if (!row) return null;
+
+    // Conditional update so two concurrent requests can't both use it
+    const { data: used } = await supabase
+      .from('nextbid_user_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .is('used_at', null)
+      .select('id');
+
+    return used && used.length ? row : null;
+  }
+
+  return {
+    issue,
+    find,
+    consume
+  };
+}
+
+module.exports = {
+  createOneTimeTokenStore
+};
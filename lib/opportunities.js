@@ -0,0 +1,237 @@
+/**
+ * Opportunities - search across the <tradeline>_opportunities tables
+ *
+ * Each tradeline server writes its own table (GATEWAY.md, section 4); the
+ * gateway reads the ones a company subscribes to and merges them into one
+ * list. Columns used:
+ *   id, title, description, agency, source, status, url,
+ *   due_date, posted_date, estimated_value, created_at (when it was found),
+ *   search_vector (full-text, added by database/auth-schema.sql)
+ * The region filter also needs a state column (two-letter code); a table
+ * without one is reported as unavailable while that filter is on.
+ *
+ * The detail page (opportunityDetail) also reads, where a table has them:
+ *   solicitation_number, naics_codes / naics_code, psc_codes / psc_code,
+ *   questions_due_date, attachments ([{ name, url }] or a list of URLs)
+ *
+ * Sorts: newest (created_at, newest first) or due (due_date, soonest first -
+ * only rows with a due date). Pages are cursor based: pass back next_cursor
+ * (with the same sort) to get the rows after the last one returned.
+ */
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const TRADELINE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const COLUMNS = 'id, title, description, agency, source, status, url, due_date, posted_date, estimated_value, created_at';
+
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  due: { column: 'due_date', ascending: true }
+};
+
+/**
+ * A cursor records the sort it was made for - ids may be numbers, so they
+ * are stored as strings like the sort values
+ */
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify([sort, row[SORTS[sort].column], String(row.id)])).toString('base64url');
+}
+
+/**
+ * [value, id] from a cursor, or null if it isn't one of ours or was made
+ * for another sort (an unknown sort is newest, as in search)
+ */
+function decodeCursor(cursor, sort) {
+  const expected = SORTS[sort] ? sort : 'newest';
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Array.isArray(decoded) && decoded.length === 3 && decoded.every(v => typeof v === 'string') && decoded[0] === expected) {
+      return decoded.slice(1);
+    }
+  } catch (error) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Opportunities are referenced across tradelines as "<tradeline>:<id>"
+ * Returns { tradeline, id } or null
+ */
+function parseOpportunityRef(ref) {
+  const match = String(ref || '').match(/^([a-z][a-z0-9_]*):(.+)$/);
+  return match ? { tradeline: match[1], id: match[2] } : null;
+}
+
+function codeList(list, single) {
+  const codes = Array.isArray(list) ? list : (list || single ? String(list || single).split(',') : []);
+  return codes.map(code => String(code).trim()).filter(Boolean);
+}
+
+/**
+ * Only http(s) links are shown
+ */
+function safeUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The fields the detail page shows, whatever shape the tradeline table uses
+ */
+function opportunityDetail(row) {
+  const attachments = (Array.isArray(row.attachments) ? row.attachments : [])
+    .map(a => (typeof a === 'string' ? { url: a } : a || {}))
+    .map(a => ({ url: safeUrl(a.url), name: a.name || a.title || (a.url ? String(a.url).split('/').pop() : '') }))
+    .filter(a => a.url);
+
+  return {
+    ref: `${row.tradeline}:${row.id}`,
+    id: row.id,
+    tradeline: row.tradeline,
+    title: row.title,
+    description: row.description || null,
+    agency: row.agency || null,
+    source: row.source || null,
+    url: safeUrl(row.url),
+    solicitation_number: row.solicitation_number || null,
+    naics_codes: codeList(row.naics_codes, row.naics_code),
+    psc_codes: codeList(row.psc_codes, row.psc_code),
+    posted_date: row.posted_date || null,
+    questions_due_date: row.questions_due_date || null,
+    due_date: row.due_date || null,
+    estimated_value: row.estimated_value ?? null,
+    attachments
+  };
+}
+
+/**
+ * Order two rows the way a sort lists them (id breaks ties)
+ */
+function compare(a, b, sort) {
+  const { column, ascending } = SORTS[sort];
+  const order = a[column] === b[column]
+    ? (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    : (a[column] < b[column] ? -1 : 1);
+  return ascending ? order : -order;
+}
+
+/**
+ * Create an opportunity search bound to a Supabase client
+ */
+function createOpportunitySearch(supabase) {
+  /**
+   * Tradelines a company subscribes to right now
+   */
+  async function companyTradelines(companyId) {
+    if (!companyId) return [];
+
+    const { data: rows } = await supabase
+      .from('nextbid_company_tradelines')
+      .select('tradeline, expires_at')
+      .eq('company_id', companyId)
+      .eq('is_active', true);
+
+    const now = new Date();
+    return (rows || [])
+      .filter(row => !row.expires_at || new Date(row.expires_at) > now)
+      .map(row => row.tradeline)
+      .filter(tradeline => TRADELINE_PATTERN.test(tradeline));
+  }
+
+  function query(tradeline, { q, source, region, dueAfter, dueBefore, newSince, sort, after, limit }) {
+    const { column, ascending } = SORTS[sort];
+    let builder = supabase
+      .from(`${tradeline}_opportunities`)
+      .select(COLUMNS)
+      .order(column, { ascending })
+      .order('id', { ascending })
+      .limit(limit + 1);
+
+    if (q) builder = builder.textSearch('search_vector', q, { type: 'websearch', config: 'english' });
+    if (source) builder = builder.eq('source', source);
+    if (region) builder = builder.eq('state', region);
+    if (dueAfter) builder = builder.gte('due_date', dueAfter);
+    if (dueBefore) builder = builder.lte('due_date', dueBefore);
+    if (newSince) builder = builder.gte('created_at', newSince);
+    if (sort === 'due') builder = builder.not('due_date', 'is', null);
+
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      const [value, id] = after.map(v => `"${v.replace(/"/g, '')}"`);
+      builder = builder.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id})`);
+    }
+    return builder;
+  }
+
+  /**
+   * One page of a company's opportunities - check the cursor with decodeCursor first
+   * filters: { q, source, tradeline, region, dueAfter, dueBefore, newSince, sort, cursor, limit }
+   * Returns { opportunities, next_cursor, tradelines, unavailable }
+   */
+  async function search(companyId, filters = {}) {
+    const sort = SORTS[filters.sort] ? filters.sort : 'newest';
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const after = filters.cursor ? decodeCursor(filters.cursor, sort) : null;
+
+    const subscribed = await companyTradelines(companyId);
+    const tradelines = filters.tradeline
+      ? subscribed.filter(t => t === filters.tradeline)
+      : subscribed;
+
+    const options = { ...filters, q: filters.q ? String(filters.q).slice(0, 200) : null, sort, after, limit };
+    const unavailable = [];
+    const results = await Promise.all(tradelines.map(async tradeline => {
+      const { data, error } = await query(tradeline, options);
+      if (error) {
+        console.error(`[Opportunities] ${tradeline}_opportunities:`, error.message);
+        unavailable.push(tradeline);
+        return [];
+      }
+      return (data || []).map(row => ({ ...row, tradeline }));
+    }));
+
+    const merged = results.flat().sort((a, b) => compare(a, b, sort));
+    const page = merged.slice(0, limit);
+
+    return {
+      opportunities: page,
+      next_cursor: merged.length > limit ? encodeCursor(page[page.length - 1], sort) : null,
+      tradelines: subscribed,
+      unavailable
+    };
+  }
+
+  /**
+   * One opportunity with every column, if the company subscribes to its tradeline
+   */
+  async function find(companyId, tradeline, id) {
+    if (!(await companyTradelines(companyId)).includes(tradeline)) return null;
+
+    const { data: row } = await supabase
+      .from(`${tradeline}_opportunities`)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    return row ? { ...row, tradeline } : null;
+  }
+
+  return {
+    companyTradelines,
+    search,
+    find
+  };
+}
+
+module.exports = {
+  createOpportunitySearch,
+  decodeCursor,
+  opportunityDetail,
+  parseOpportunityRef
+};
@@ -0,0 +1,162 @@
+/**
+ * Permissions - what a user may do, as resource:action strings
+ *
+ * e.g. patcher:deploy, dashboard:read, tradeline:security:write.
+ * A * segment matches any value there (tradeline:*:read); a trailing *
+ * matches everything below it (dashboard:*, or * for everything).
+ *
+ * A user's permissions are the union of:
+ *   - their role's list below (roles are per domain: engine = NextBid staff,
+ *     portal = customer companies with the lib/team.js roles)
+ *   - tradeline:<name>:read for each tradeline their company subscribes to
+ *     (portal users - nextbid_company_tradelines)
+ *   - extra grants on nextbid_users.permissions, e.g. tradeline:security:write
+ *
+ * The list is embedded in access tokens and gateway assertions;
+ * middleware/gateway-auth.js matches it the same way as hasPermission here.
+ */
+
+const ROLE_PERMISSIONS = {
+  engine: {
+    superadmin: ['*'],
+    admin: ['dashboard:*', 'patcher:*', 'tradeline:*:*', 'users:*', 'companies:*', 'sessions:*', 'audit:read', 'webhooks:*'],
+    editor: ['dashboard:read', 'dashboard:write', 'patcher:read', 'patcher:deploy', 'tradeline:*:read', 'tradeline:*:write'],
+    operator: ['dashboard:read', 'patcher:read', 'patcher:deploy', 'tradeline:*:read'],
+    viewer: ['dashboard:read', 'patcher:read', 'tradeline:*:read']
+  },
+  portal: {
+    owner: ['company:*', 'team:*', 'credentials:*', 'opportunities:read', 'bids:*', 'webhooks:*'],
+    admin: ['company:read', 'company:write', 'credentials:*', 'opportunities:read', 'bids:*', 'webhooks:*'],
+    member: ['company:read', 'credentials:read', 'opportunities:read', 'bids:read', 'bids:write'],
+    viewer: ['company:read', 'opportunities:read', 'bids:read']
+  }
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Does one granted pattern cover a required permission?
+ */
+function matches(granted, required) {
+  const have = granted.split(':');
+  const want = required.split(':');
+
+  for (let i = 0; i < have.length; i++) {
+    if (have[i] === '*' && i === have.length - 1) return i < want.length;
+    if (i >= want.length || (have[i] !== '*' && have[i] !== want[i])) return false;
+  }
+  return have.length === want.length;
+}
+
+/**
+ * Does a permission list allow the required permission?
+ */
+function hasPermission(permissions, required) {
+  return (permissions || []).some(granted => matches(granted, required));
+}
+
+/**
+ * The overlap of two permission patterns, or null if they don't overlap
+ * e.g. tradeline:*:read and tradeline:security:* -> tradeline:security:read
+ */
+function intersect(a, b) {
+  const x = a.split(':');
+  const y = b.split(':');
+  const out = [];
+
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    if (x[i] === '*' && i === x.length - 1 && i < y.length) return [...out, ...y.slice(i)].join(':');
+    if (y[i] === '*' && i === y.length - 1 && i < x.length) return [...out, ...x.slice(i)].join(':');
+    if (i >= x.length || i >= y.length) return null;
+    if (x[i] !== '*' && y[i] !== '*' && x[i] !== y[i]) return null;
+    out.push(x[i] === '*' ? y[i] : x[i]);
+  }
+  return out.join(':');
+}
+
+/**
+ * Narrow granted permissions to what the allowed patterns cover
+ */
+function narrowPermissions(granted, allowed) {
+  const narrowed = [];
+  for (const permission of granted || []) {
+    for (const pattern of allowed) {
+      const overlap = intersect(permission, pattern);
+      if (overlap) narrowed.push(overlap);
+    }
+  }
+  return [...new Set(narrowed)].sort();
+}
+
+/**
+ * Permissions a role grants, before company and per-user additions
+ */
+function rolePermissions(domain, role) {
+  const roles = ROLE_PERMISSIONS[domain || 'portal'] || {};
+  return roles[role] || [];
+}
+
+/**
+ * Create a permission resolver bound to a Supabase client
+ * Company tradeline subscriptions are cached for a short time
+ */
+function createPermissions(supabase, { ttlMs = CACHE_TTL_MS } = {}) {
+  const cache = new Map();
+
+  async function companyTradelines(companyId) {
+    const cached = cache.get(companyId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tradelines;
+    }
+
+    const { data: rows } = await supabase
+      .from('nextbid_company_tradelines')
+      .select('tradeline, expires_at')
+      .eq('company_id', companyId)
+      .eq('is_active', true);
+
+    const now = new Date();
+    const tradelines = (rows || [])
+      .filter(row => !row.expires_at || new Date(row.expires_at) > now)
+      .map(row => row.tradeline);
+
+    cache.set(companyId, { tradelines, expiresAt: Date.now() + ttlMs });
+    return tradelines;
+  }
+
+  /**
+   * A user's permissions - user needs role, domain, company_id and permissions
+   */
+  async function resolve(user) {
+    const granted = [...rolePermissions(user.domain, user.role), ...(user.permissions || [])];
+
+    if ((user.domain || 'portal') === 'portal' && user.company_id) {
+      for (const tradeline of await companyTradelines(user.company_id)) {
+        granted.push(`tradeline:${tradeline}:read`);
+      }
+    }
+
+    return [...new Set(granted)].sort();
+  }
+
+  /**
+   * Forget cached tradelines after a company's subscriptions change
+   */
+  function invalidate(companyId) {
+    cache.delete(companyId);
+  }
+
+  return {
+    resolve,
+    invalidate
+  };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  matches,
+  hasPermission,
+  intersect,
+  narrowPermissions,
+  createPermissions
+};
@@ -0,0 +1,96 @@
+/**
+ * Product Registry - every product the gateway signs users in to
+ *
+ * Each entry maps a product to:
+ *   table      - membership table (rows with nextbid_user_id + status 'active')
+ *   url        - where to land after login (a service's productUrls overrides it)
+ *   roles      - nextbid_users.role values allowed to use it (omit for any role)
+ *   assignable - company owners can grant it from the team page
+ *
+ * Adding a product is one entry here.
+ */
+
+const PRODUCTS = [
+  { name: 'dashboard', table: 'dev_users', url: '/dashboard', assignable: false }, // config/services.json points this at the dev droplet
+  { name: 'portal', table: 'portal_users', url: '/portal', assignable: true },
+  { name: 'nextbidder', table: 'nextbidder_users', url: '/nextbidder', assignable: true },
+  { name: 'nexttech', table: 'nexttech_users', url: '/nexttech', assignable: true },
+  { name: 'nexttask', table: 'nexttask_users', url: '/nexttask', assignable: true },
+  { name: 'nextsource', table: 'nextsource_users', url: '/nextsource', assignable: true }
+];
+
+const CACHE_TTL_MS = 30 * 1000;
+const MAX_CACHED_USERS = 1000;
+
+/**
+ * Landing URL for a product
+ */
+function getProductUrl(product) {
+  const entry = PRODUCTS.find(p => p.name === product);
+  return entry ? entry.url : '/';
+}
+
+/**
+ * Create an entitlement resolver bound to a Supabase client
+ * Memberships are looked up in parallel and cached per user for a short time
+ */
+function createEntitlements(supabase, { products = PRODUCTS, ttlMs = CACHE_TTL_MS } = {}) {
+  const cache = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [userId, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(userId);
+    }
+  }
+
+  async function loadMemberships(userId) {
+    const results = await Promise.all(products.map(product =>
+      supabase
+        .from(product.table)
+        .select('id')
+        .eq('nextbid_user_id', userId)
+        .eq('status', 'active')
+        .single()
+    ));
+
+    return products
+      .filter((product, i) => results[i].data)
+      .map(product => product.name);
+  }
+
+  /**
+   * Products a user can use - user needs id and role
+   */
+  async function resolve(user) {
+    let entry = cache.get(user.id);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entry = { memberships: await loadMemberships(user.id), expiresAt: Date.now() + ttlMs };
+      cache.set(user.id, entry);
+      if (cache.size > MAX_CACHED_USERS) prune();
+    }
+
+    return products
+      .filter(p => entry.memberships.includes(p.name))
+      .filter(p => !p.roles || p.roles.includes(user.role))
+      .map(p => p.name);
+  }
+
+  /**
+   * Forget cached memberships after they change
+   */
+  function invalidate(userId) {
+    cache.delete(userId);
+  }
+
+  return {
+    resolve,
+    invalidate
+  };
+}
+
+module.exports = {
+  PRODUCTS,
+  getProductUrl,
+  createEntitlements
+};
@@ -0,0 +1,208 @@
+/**
+ * Saved Searches - named opportunity filters, and each user's alert settings
+ *
+ * A saved search is either the user's own or shared with their company.
+ * Its filters are the /api/opportunities ones (lib/opportunities.js):
+ *   { q, source, tradeline, region }
+ * With digest on, lib/alerts.js sends its new matches once a day - to the
+ * owner, or to everyone in the company for a shared search.
+ *
+ * Alert settings (per user) pick the delivery channels (lib/notifications.js),
+ * an optional webhook URL and how many hours before a bid's due date to send
+ * reminders.
+ */
+
+const { CHANNELS, checkWebhookUrl } = require('./notifications');
+
+const MAX_SEARCHES_PER_USER = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_REMINDER_HOURS = 30 * 24;
+
+const DEFAULT_SETTINGS = {
+  channels: ['email', 'in_app'],
+  webhook_url: null,
+  reminder_offsets: [168, 72, 24]
+};
+
+const SEARCH_COLUMNS = 'id, company_id, user_id, name, filters, shared, digest, last_digest_at, created_at, updated_at';
+
+/**
+ * Check saved search filters - returns them trimmed, throws on bad ones
+ */
+function validateFilters(filters = {}) {
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Invalid filters');
+  }
+
+  const clean = {};
+  for (const key of ['q', 'source', 'tradeline', 'region']) {
+    const value = filters[key] == null ? '' : String(filters[key]).trim();
+    if (value) clean[key] = value.slice(0, 200);
+  }
+  if (clean.region && !/^[A-Za-z]{2}$/.test(clean.region)) {
+    throw new Error('Region must be a two-letter state code');
+  }
+  if (clean.region) clean.region = clean.region.toUpperCase();
+  return clean;
+}
+
+/**
+ * Check alert settings - returns the cleaned fields given, throws on bad ones
+ */
+async function validateSettings({ channels, webhook_url, reminder_offsets }) {
+  const settings = {};
+
+  if (channels !== undefined) {
+    if (!Array.isArray(channels) || !channels.every(c => CHANNELS.includes(c))) {
+      throw new Error(`Channels must be some of: ${CHANNELS.join(', ')}`);
+    }
+    settings.channels = [...new Set(channels)];
+  }
+  if (webhook_url !== undefined) {
+    settings.webhook_url = webhook_url ? await checkWebhookUrl(webhook_url) : null;
+  }
+  if (reminder_offsets !== undefined) {
+    const hours = Array.isArray(reminder_offsets) ? reminder_offsets.map(Number) : [];
+    if (!Array.isArray(reminder_offsets) || hours.length > 5 || !hours.every(h => Number.isInteger(h) && h > 0 && h <= MAX_REMINDER_HOURS)) {
+      throw new Error(`Reminders must be up to 5 whole numbers of hours, at most ${MAX_REMINDER_HOURS}`);
+    }
+    settings.reminder_offsets = [...new Set(hours)].sort((a, b) => b - a);
+  }
+  return settings;
+}
+
+/**
+ * Create a saved search store bound to a Supabase client
+ */
+function createSavedSearchStore(supabase) {
+  /**
+   * The user's own searches and their company's shared ones, by name
+   */
+  async function list(user) {
+    const { data, error } = await supabase
+      .from('nextbid_saved_searches')
+      .select(SEARCH_COLUMNS)
+      .eq('company_id', user.company_id)
+      .or(`user_id.eq.${user.id},shared.eq.true`)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to list saved searches: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * One search the user can see
+   */
+  async function find(user, id) {
+    const { data: search } = await supabase
+      .from('nextbid_saved_searches')
+      .select(SEARCH_COLUMNS)
+      .eq('company_id', user.company_id)
+      .eq('id', id)
+      .single();
+
+    return search && (search.shared || search.user_id === user.id) ? search : null;
+  }
+
+  /**
+   * Returns the new search, or null if the user already has MAX_SEARCHES_PER_USER
+   */
+  async function create(user, { name, filters, shared, digest }) {
+    const { count } = await supabase
+      .from('nextbid_saved_searches')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id);
+
+    if (count >= MAX_SEARCHES_PER_USER) return null;
+
+    const { data: search, error } = await supabase
+      .from('nextbid_saved_searches')
+      .insert({
+        company_id: user.company_id,
+        user_id: user.id,
+        name: String(name).trim().slice(0, MAX_NAME_LENGTH),
+        filters: validateFilters(filters),
+        shared: Boolean(shared),
+        digest: digest !== false
+      })
+      .select(SEARCH_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save search: ${error.message}`);
+    }
+    return search;
+  }
+
+  /**
+   * Change the name, filters, sharing or digest - only the fields given
+   */
+  async function update(id, { name, filters, shared, digest }) {
+    const changes = {};
+    if (name !== undefined) changes.name = String(name).trim().slice(0, MAX_NAME_LENGTH);
+    if (filters !== undefined) changes.filters = validateFilters(filters);
+    if (shared !== undefined) changes.shared = Boolean(shared);
+    if (digest !== undefined) changes.digest = Boolean(digest);
+
+    const { data: search, error } = await supabase
+      .from('nextbid_saved_searches')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(SEARCH_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update saved search: ${error.message}`);
+    }
+    return search;
+  }
+
+  async function remove(id) {
+    await supabase.from('nextbid_saved_searches').delete().eq('id', id);
+  }
+
+  /**
+   * A user's alert settings, with defaults for anything not set
+   */
+  async function settings(userId) {
+    const { data: row } = await supabase
+      .from('nextbid_alert_settings')
+      .select('channels, webhook_url, reminder_offsets')
+      .eq('user_id', userId)
+      .single();
+
+    return { ...DEFAULT_SETTINGS, ...(row || {}) };
+  }
+
+  async function saveSettings(userId, changes) {
+    const { error } = await supabase
+      .from('nextbid_alert_settings')
+      .upsert({ user_id: userId, ...(await settings(userId)), ...(await validateSettings(changes)), updated_at: new Date().toISOString() });
+
+    if (error) {
+      throw new Error(`Failed to save alert settings: ${error.message}`);
+    }
+    return settings(userId);
+  }
+
+  return {
+    list,
+    find,
+    create,
+    update,
+    remove,
+    settings,
+    saveSettings
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  MAX_REMINDER_HOURS,
+  MAX_SEARCHES_PER_USER,
+  createSavedSearchStore,
+  validateFilters,
+  validateSettings
+};
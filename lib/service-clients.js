@@ -0,0 +1,219 @@
+/**
+ * Service Clients - named internal services calling the gateway's /api routes
+ *
+ * Each service (a scraper, the tradeline engine, ...) is a row in
+ * nextbid_service_clients with its own scopes and optional IP allowlist,
+ * and one or more keys in nextbid_service_client_keys. Keys look like
+ * nbs_<prefix>_<secret>; only the SHA-256 hash is stored.
+ *
+ * Scopes use the same matching as lib/permissions.js:
+ *   credentials:read:<source>        - GET /api/credentials/:companyId/<source>
+ *   credentials:lease:<source>       - check out and report pooled credentials
+ *   tradeline:<name>:companies       - GET /api/tradeline/<name>/companies
+ *   e.g. credentials:lease:* for every source
+ *
+ * Rotating a key issues a new one and lets the old ones keep working for an
+ * overlap window, so services can be redeployed without downtime.
+ * Clients and keys are managed with scripts/create-service-client.js.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+const KEY_PATTERN = /^nbs_([a-f0-9]{8})_([A-Za-z0-9_-]{32,})$/;
+const SCOPE_PATTERN = /^[a-z0-9_-]+(:([a-z0-9_-]+|\*))*$/;
+const DEFAULT_OVERLAP_MS = 24 * 60 * 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * IPv4 clients often show up as ::ffff:1.2.3.4
+ */
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+/**
+ * Check scopes and allowlist entries (addresses or CIDR ranges) - throws on bad ones
+ */
+function validateClient({ scopes = [], allowedIps = [] }) {
+  for (const scope of scopes) {
+    if (!SCOPE_PATTERN.test(scope)) {
+      throw new Error(`Invalid scope: ${scope}`);
+    }
+  }
+  for (const entry of allowedIps) {
+    const [address, bits] = entry.split('/');
+    const version = net.isIP(address);
+    const max = version === 6 ? 128 : 32;
+    if (!version || (bits !== undefined && !(/^\d+$/.test(bits) && parseInt(bits, 10) <= max))) {
+      throw new Error(`Invalid IP or CIDR range: ${entry}`);
+    }
+  }
+}
+
+/**
+ * Is the caller's address on the client's allowlist? An empty list allows any
+ */
+function ipAllowed(client, ip) {
+  const entries = client.allowed_ips || [];
+  if (entries.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  const allowed = new net.BlockList();
+
+  try {
+    for (const entry of entries) {
+      const [range, bits] = entry.split('/');
+      const rangeType = net.isIP(range) === 6 ? 'ipv6' : 'ipv4';
+      if (bits === undefined) {
+        allowed.addAddress(range, rangeType);
+      } else {
+        allowed.addSubnet(range, parseInt(bits, 10), rangeType);
+      }
+    }
+    return allowed.check(address, type);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create a service client store bound to a Supabase client
+ */
+function createServiceClientStore(supabase) {
+  async function findClient(name) {
+    const { data } = await supabase
+      .from('nextbid_service_clients')
+      .select('*')
+      .eq('name', name)
+      .single();
+    return data || null;
+  }
+
+  /**
+   * Register a service
+   */
+  async function register({ name, scopes, allowedIps = [] }) {
+    validateClient({ scopes, allowedIps });
+
+    const { data, error } = await supabase
+      .from('nextbid_service_clients')
+      .insert({ name, scopes, allowed_ips: allowedIps, is_active: true })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to register service client: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Issue a key - the plaintext key is only returned here
+   */
+  async function issueKey(clientId, { expiresAt } = {}) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `nbs_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const { data, error } = await supabase
+      .from('nextbid_service_client_keys')
+      .insert({
+        client_id: clientId,
+        prefix,
+        key_hash: hashKey(key),
+        expires_at: expiresAt ? expiresAt.toISOString() : null
+      })
+      .select('id, prefix, expires_at, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to issue service key: ${error.message}`);
+    }
+    return { ...data, key };
+  }
+
+  /**
+   * Issue a new key; the client's current keys stop working after overlapMs
+   */
+  async function rotate(clientId, { expiresAt, overlapMs = DEFAULT_OVERLAP_MS } = {}) {
+    const cutoff = new Date(Date.now() + overlapMs);
+
+    const { data: current } = await supabase
+      .from('nextbid_service_client_keys')
+      .select('id, expires_at')
+      .eq('client_id', clientId)
+      .is('revoked_at', null);
+
+    for (const row of current || []) {
+      if (!row.expires_at || new Date(row.expires_at) > cutoff) {
+        await supabase
+          .from('nextbid_service_client_keys')
+          .update({ expires_at: cutoff.toISOString() })
+          .eq('id', row.id);
+      }
+    }
+
+    return issueKey(clientId, { expiresAt });
+  }
+
+  /**
+   * Look up the active client for a key and record the key's use
+   * Returns { id, name, scopes, allowed_ips, key_id } or null
+   * The IP allowlist is checked separately (ipAllowed) so callers can tell the failures apart
+   */
+  async function authenticate(key) {
+    const match = (key || '').match(KEY_PATTERN);
+    if (!match) return null;
+
+    const { data: rows } = await supabase
+      .from('nextbid_service_client_keys')
+      .select('*')
+      .eq('prefix', match[1])
+      .is('revoked_at', null);
+
+    const expected = Buffer.from(hashKey(key));
+    const row = (rows || []).find(r =>
+      r.key_hash.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(r.key_hash), expected)
+    );
+
+    if (!row || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+      return null;
+    }
+
+    const { data: client } = await supabase
+      .from('nextbid_service_clients')
+      .select('id, name, scopes, allowed_ips')
+      .eq('id', row.client_id)
+      .eq('is_active', true)
+      .single();
+
+    if (!client) return null;
+
+    await supabase
+      .from('nextbid_service_client_keys')
+      .update({ last_used: new Date().toISOString() })
+      .eq('id', row.id);
+
+    return { ...client, scopes: client.scopes || [], key_id: row.id };
+  }
+
+  return {
+    findClient,
+    register,
+    issueKey,
+    rotate,
+    authenticate
+  };
+}
+
+module.exports = {
+  createServiceClientStore,
+  validateClient,
+  ipAllowed,
+  normalizeIp
+};
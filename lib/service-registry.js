@@ -0,0 +1,214 @@
+/**
+ * Service Registry - backend services the gateway proxies to
+ *
+ * Sources (SERVICE_REGISTRY_SOURCE):
+ *   file     - JSON at SERVICE_REGISTRY_FILE (default config/services.json), reloaded when it changes
+ *   supabase - rows of nextbid_services, reloaded every SERVICE_REGISTRY_RELOAD_SECONDS
+ *
+ * A service:
+ *   name         - label for logs
+ *   mount        - gateway path, e.g. /dashboard
+ *   target       - backend URL, e.g. http://localhost:7500
+ *   pathRewrite  - http-proxy-middleware pathRewrite map
+ *   product      - product required to use it
+ *   roles        - nextbid_users.role values allowed to use it
+ *   permission   - permission required to use it, e.g. patcher:read (lib/permissions.js)
+ *   sharedAssets - root paths served by the same backend, e.g. ["/css", "/js"]
+ *   tradeline    - needs tradeline:<name>:read (or :write for changes); API tokens
+ *                  also need the matching tradeline: scope
+ *   productUrls  - landing URLs this service provides, e.g. { "dashboard": "http://..." }
+ *   healthPath   - path probed by lib/upstream-health.js (default /)
+ *
+ * The file can also list tradeline engines as { host, ports: { name: port } };
+ * each expands to a /tradelines/<name> service. ENGINE_HOST overrides the host.
+ *
+ * A reload that fails validation keeps the previous registry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'services.json');
+const DEFAULT_RELOAD_SECONDS = 30;
+
+/**
+ * Validate one service and fill in defaults - throws on bad entries
+ */
+function normalizeService(raw) {
+  const service = {
+    name: raw.name,
+    mount: raw.mount,
+    target: raw.target,
+    pathRewrite: raw.pathRewrite || null,
+    product: raw.product || null,
+    roles: raw.roles && raw.roles.length ? raw.roles : null,
+    permission: raw.permission || null,
+    sharedAssets: raw.sharedAssets || [],
+    tradeline: raw.tradeline || null,
+    productUrls: raw.productUrls || {},
+    healthPath: raw.healthPath || '/'
+  };
+
+  if (!service.name) {
+    throw new Error('Service is missing a name');
+  }
+  if (typeof service.mount !== 'string' || !service.mount.startsWith('/') || service.mount === '/') {
+    throw new Error(`Service ${service.name}: mount must be a path like /name`);
+  }
+  try {
+    new URL(service.target);
+  } catch (err) {
+    throw new Error(`Service ${service.name}: invalid target ${service.target}`);
+  }
+  if (!service.sharedAssets.every(p => typeof p === 'string' && p.startsWith('/'))) {
+    throw new Error(`Service ${service.name}: sharedAssets must be paths`);
+  }
+
+  return service;
+}
+
+/**
+ * Expand { host, ports } into one service per tradeline
+ */
+function tradelineServices(tradelines, env) {
+  if (!tradelines) return [];
+
+  const host = env.ENGINE_HOST || tradelines.host;
+  return Object.entries(tradelines.ports || {}).map(([name, port]) => ({
+    name: `tradeline:${name}`,
+    mount: `/tradelines/${name}`,
+    target: `http://${host}:${port}`,
+    pathRewrite: { [`^/tradelines/${name}`]: '' },
+    tradeline: name
+  }));
+}
+
+/**
+ * Turn a parsed config file into a validated service list
+ */
+function parseConfig(config, env = process.env) {
+  const raw = [...(config.services || []), ...tradelineServices(config.tradelines, env)];
+  const services = raw.map(normalizeService);
+
+  const mounts = new Set();
+  for (const service of services) {
+    for (const mount of [service.mount, ...service.sharedAssets]) {
+      if (mounts.has(mount)) {
+        throw new Error(`Path ${mount} is used by more than one service`);
+      }
+      mounts.add(mount);
+    }
+  }
+
+  return services;
+}
+
+function fromRow(row) {
+  return {
+    name: row.name,
+    mount: row.mount_path,
+    target: row.target,
+    pathRewrite: row.path_rewrite,
+    product: row.required_product,
+    roles: row.required_roles,
+    permission: row.required_permission,
+    sharedAssets: row.shared_assets,
+    tradeline: row.tradeline,
+    productUrls: row.product_urls,
+    healthPath: row.health_path
+  };
+}
+
+/**
+ * Create a service registry
+ * start(onChange) loads the registry and calls onChange(services) on every successful (re)load
+ */
+function createServiceRegistry({ supabase, env = process.env } = {}) {
+  const source = env.SERVICE_REGISTRY_SOURCE || 'file';
+  const file = env.SERVICE_REGISTRY_FILE || DEFAULT_FILE;
+  const reloadMs = (parseInt(env.SERVICE_REGISTRY_RELOAD_SECONDS, 10) || DEFAULT_RELOAD_SECONDS) * 1000;
+
+  if (!['file', 'supabase'].includes(source)) {
+    throw new Error(`Unknown SERVICE_REGISTRY_SOURCE: ${source}`);
+  }
+
+  let services = [];
+  let listener = () => {};
+  let timer = null;
+
+  async function read() {
+    if (source === 'file') {
+      return parseConfig(JSON.parse(await fs.promises.readFile(file, 'utf8')), env);
+    }
+
+    const { data: rows, error } = await supabase
+      .from('nextbid_services')
+      .select('*')
+      .eq('is_active', true)
+      .order('mount_path', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return parseConfig({ services: rows.map(fromRow) }, env);
+  }
+
+  /**
+   * Reload now - returns true if the registry changed
+   */
+  async function reload() {
+    try {
+      const next = await read();
+      if (JSON.stringify(next) === JSON.stringify(services)) {
+        return false;
+      }
+      services = next;
+      listener(services);
+      console.log(`[Services] Loaded ${services.length} services from ${source === 'file' ? file : 'nextbid_services'}`);
+      return true;
+    } catch (error) {
+      console.error(`[Services] Reload failed, keeping previous registry: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function start(onChange) {
+    listener = onChange;
+    await reload();
+
+    if (source === 'file') {
+      fs.watchFile(file, { interval: 2000 }, () => reload()).unref();
+    } else {
+      timer = setInterval(reload, reloadMs);
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    if (source === 'file') {
+      fs.unwatchFile(file);
+    }
+    clearInterval(timer);
+  }
+
+  /**
+   * Landing URL a service provides for a product, if any
+   */
+  function productUrl(product) {
+    const service = services.find(s => s.productUrls[product]);
+    return service ? service.productUrls[product] : null;
+  }
+
+  return {
+    start,
+    stop,
+    reload,
+    productUrl,
+    services: () => services
+  };
+}
+
+module.exports = {
+  createServiceRegistry,
+  parseConfig
+};
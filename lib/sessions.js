@@ -0,0 +1,225 @@
+/**
+ * Refresh Token Sessions - backed by nextbid_sessions
+ *
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is
+ * stored. Every refresh rotates the token: the presented row is revoked
+ * (reason "rotated") and a new row is created in the same family.
+ *
+ * Presenting a token that was already rotated means it was copied, so the
+ * whole family is revoked (reuse detection). A short grace window lets
+ * parallel requests that raced on the same cookie through without
+ * tripping that.
+ */
+
+const crypto = require('crypto');
+
+const REFRESH_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days, sliding on rotation
+const ROTATION_GRACE_MS = 30 * 1000;            // parallel requests racing one refresh
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function clientInfo(req) {
+  return {
+    ip_address: req.ip,
+    user_agent: (req.headers['user-agent'] || '').slice(0, 500)
+  };
+}
+
+/**
+ * Create a session store bound to a Supabase client
+ */
+function createSessionStore(supabase) {
+  /**
+   * Insert a session row and return it with its plaintext token
+   */
+  async function insertSession(userId, req, { familyId, authenticatedAt } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const { data: session, error } = await supabase
+      .from('nextbid_sessions')
+      .insert({
+        user_id: userId,
+        token_hash: hashToken(token),
+        family_id: familyId || crypto.randomUUID(),
+        authenticated_at: (authenticatedAt || now).toISOString(),
+        last_seen_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + REFRESH_TTL_MS).toISOString(),
+        ...clientInfo(req)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+
+    return { ...session, token };
+  }
+
+  /**
+   * Start a new session (login, registration)
+   */
+  function create(userId, req) {
+    return insertSession(userId, req);
+  }
+
+  /**
+   * Is the newest session in a token family unrevoked and unexpired?
+   */
+  async function familyIsLive(familyId) {
+    const { data: newest } = await supabase
+      .from('nextbid_sessions')
+      .select('revoked_at, expires_at')
+      .eq('family_id', familyId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    return Boolean(newest && !newest.revoked_at && new Date(newest.expires_at) > new Date());
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * Returns { session, token } on success, { session, graced: true } when the
+   * token was rotated moments ago by a parallel request, or null.
+   */
+  async function rotate(refreshToken, req) {
+    if (!refreshToken) return null;
+
+    const { data: session } = await supabase
+      .from('nextbid_sessions')
+      .select('*')
+      .eq('token_hash', hashToken(refreshToken))
+      .single();
+
+    if (!session) return null;
+
+    if (session.revoked_at) {
+      const rotatedAgo = Date.now() - new Date(session.revoked_at).getTime();
+      if (session.revoked_reason === 'rotated' && rotatedAgo < ROTATION_GRACE_MS) {
+        // Only while the family is still live - not after a logout or reuse revoke
+        return (await familyIsLive(session.family_id)) ? { session, graced: true } : null;
+      }
+      if (session.revoked_reason === 'rotated') {
+        await revokeFamily(session.family_id, 'reuse_detected');
+        console.warn(`[Sessions] Refresh token reuse detected for user ${session.user_id} - family revoked`);
+        await supabase.from('nextbid_audit_log').insert({
+          user_id: session.user_id,
+          action: 'refresh_token_reuse',
+          resource: `session:${session.family_id}`,
+          ...clientInfo(req)
+        });
+      }
+      return null;
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      return null;
+    }
+
+    const next = await insertSession(session.user_id, req, {
+      familyId: session.family_id,
+      authenticatedAt: new Date(session.authenticated_at || session.created_at)
+    });
+
+    await supabase
+      .from('nextbid_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: 'rotated', replaced_by: next.id })
+      .eq('id', session.id);
+
+    return { session: next, token: next.token };
+  }
+
+  /**
+   * Revoke every session in a token family
+   */
+  async function revokeFamily(familyId, reason) {
+    await supabase
+      .from('nextbid_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('family_id', familyId)
+      .is('revoked_at', null);
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout)
+   */
+  async function revokeToken(refreshToken, reason = 'logout') {
+    if (!refreshToken) return;
+
+    const { data: session } = await supabase
+      .from('nextbid_sessions')
+      .select('family_id')
+      .eq('token_hash', hashToken(refreshToken))
+      .single();
+
+    if (session) {
+      await revokeFamily(session.family_id, reason);
+    }
+  }
+
+  /**
+   * Revoke one session (by family id), optionally restricted to a user
+   * Returns false when no such session exists for that user
+   */
+  async function revoke(familyId, { userId, reason = 'revoked' } = {}) {
+    let query = supabase
+      .from('nextbid_sessions')
+      .select('id')
+      .eq('family_id', familyId)
+      .limit(1);
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data: rows } = await query;
+    if (!rows || rows.length === 0) return false;
+
+    await revokeFamily(familyId, reason);
+    return true;
+  }
+
+  /**
+   * Revoke all of a user's sessions ("sign out everywhere", deactivation, password change)
+   */
+  async function revokeAll(userId, reason = 'revoked_all') {
+    await supabase
+      .from('nextbid_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+  }
+
+  /**
+   * Active (unrevoked, unexpired) sessions for a user, newest first
+   */
+  async function listActive(userId) {
+    const { data: sessions } = await supabase
+      .from('nextbid_sessions')
+      .select('id, family_id, ip_address, user_agent, authenticated_at, last_seen_at, expires_at')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_seen_at', { ascending: false });
+
+    return sessions || [];
+  }
+
+  return {
+    create,
+    rotate,
+    revoke,
+    revokeAll,
+    revokeToken,
+    listActive
+  };
+}
+
+module.exports = {
+  createSessionStore,
+  hashToken,
+  REFRESH_TTL_MS
+};
@@ -0,0 +1,187 @@
+/**
+ * Cross-Droplet SSO - single-use exchange codes for /auto-login
+ *
+ * Cookies can't cross droplets, so a signed-in user is handed to another
+ * droplet's gateway with a code instead of a token:
+ *
+ *   1. GET /sso/<droplet>?redirect=31006 on the gateway they're signed in to
+ *   2. Redirect to <droplet authUrl>/auto-login?code=...
+ *   3. That droplet redeems the code, sets its own cookies, redirects on
+ *
+ * Codes live in nextbid_sso_codes (shared Supabase). Only their SHA-256
+ * hash is stored; each works once, for 60 seconds, on the droplet it was
+ * issued for. The redirect is fixed when the code is issued.
+ *
+ * Droplets (config/droplets.json, shared by all four droplets):
+ *   authUrl - that droplet's gateway, e.g. http://64.23.151.201:7000
+ *   ports   - ports users may be sent on to, e.g. ["31001-31020"]
+ *   product - product required to be handed over (optional)
+ *
+ * SSO_DROPLET names the droplet this gateway runs on.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'droplets.json');
+const CODE_TTL_MS = 60 * 1000;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Turn "31001-31020" / 7500 entries into [from, to] ranges
+ */
+function parsePorts(name, ports = []) {
+  return ports.map(entry => {
+    const [from, to = from] = String(entry).split('-').map(p => parseInt(p, 10));
+    if (!(from > 0 && to >= from && to < 65536)) {
+      throw new Error(`Droplet ${name}: invalid port ${entry}`);
+    }
+    return [from, to];
+  });
+}
+
+/**
+ * Validate the droplets file - throws on bad entries
+ */
+function parseDroplets(config) {
+  return Object.entries(config.droplets || {}).map(([name, raw]) => {
+    let authUrl;
+    try {
+      authUrl = new URL(raw.authUrl);
+    } catch (err) {
+      throw new Error(`Droplet ${name}: invalid authUrl ${raw.authUrl}`);
+    }
+    return {
+      name,
+      authUrl: authUrl.origin,
+      ports: parsePorts(name, raw.ports),
+      product: raw.product || null
+    };
+  });
+}
+
+/**
+ * Read config/droplets.json (or SSO_DROPLETS_FILE) - no file means no SSO
+ */
+function loadDroplets(env = process.env) {
+  const file = env.SSO_DROPLETS_FILE || DEFAULT_FILE;
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return parseDroplets(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Where a redirect value may take a user on a droplet - returns a URL or null
+ * Accepts a port ("31006"), a path on the droplet's gateway ("/choose"),
+ * or an absolute URL on the droplet's host and an allowed port
+ */
+function resolveRedirect(droplet, redirect) {
+  const base = new URL(droplet.authUrl);
+
+  if (!redirect) {
+    return `${base.origin}/`;
+  }
+
+  if (typeof redirect !== 'string') {
+    return null;
+  }
+
+  let url;
+  try {
+    // Paths resolve against the droplet's gateway; the host check below catches "//evil.com"
+    url = /^\d+$/.test(redirect)
+      ? new URL(`${base.protocol}//${base.hostname}:${redirect}/`)
+      : new URL(redirect, redirect.startsWith('/') ? base : undefined);
+  } catch (err) {
+    // Not a URL, or a port out of range
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || url.hostname !== base.hostname || url.username || url.password) {
+    return null;
+  }
+  if (url.origin === base.origin) {
+    return url.href;
+  }
+
+  const port = parseInt(url.port || (url.protocol === 'https:' ? '443' : '80'), 10);
+  return droplet.ports.some(([from, to]) => port >= from && port <= to) ? url.href : null;
+}
+
+/**
+ * Create an SSO exchange bound to a Supabase client
+ */
+function createSsoExchange(supabase, { droplets = loadDroplets(), self = process.env.SSO_DROPLET } = {}) {
+  const current = self ? droplets.find(d => d.name === self) : null;
+
+  if (self && !current) {
+    throw new Error(`SSO_DROPLET ${self} is not in the droplets file`);
+  }
+
+  function droplet(name) {
+    return droplets.find(d => d.name === name) || null;
+  }
+
+  /**
+   * Issue a code for a user to redeem on another droplet - returns the plaintext code
+   */
+  async function issue(userId, { audience, redirectUrl, ip }) {
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    const { error } = await supabase
+      .from('nextbid_sso_codes')
+      .insert({
+        user_id: userId,
+        code_hash: hashCode(code),
+        issuer: self || null,
+        audience,
+        redirect_url: redirectUrl,
+        ip_address: ip,
+        expires_at: new Date(Date.now() + CODE_TTL_MS).toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to issue SSO code: ${error.message}`);
+    }
+    return code;
+  }
+
+  /**
+   * Use a code on this droplet - returns its row, or null if invalid, expired,
+   * already used or issued for another droplet
+   */
+  async function redeem(code) {
+    if (!code || !current) return null;
+
+    // Conditional update so the code can't be used twice
+    const { data: rows } = await supabase
+      .from('nextbid_sso_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('code_hash', hashCode(code))
+      .eq('audience', current.name)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('*');
+
+    return rows && rows.length ? rows[0] : null;
+  }
+
+  return {
+    self: current,
+    droplet,
+    droplets: () => droplets,
+    issue,
+    redeem
+  };
+}
+
+module.exports = {
+  createSsoExchange,
+  parseDroplets,
+  resolveRedirect
+};
@@ -0,0 +1,373 @@
+/**
+ * Team - company invitations and member management
+ *
+ * Owners invite coworkers by email with a role and a set of products
+ * (nextbid_invitations). Accepting the emailed link creates the user inside
+ * the inviting company instead of registering a new one.
+ *
+ * Product access is granted through each product's user table - the same
+ * tables the gateway checks at login - by setting status active/inactive.
+ * Owners can only hand out products their company already has: ones staff
+ * granted to an active member (companyProducts).
+ */
+
+const crypto = require('crypto');
+const { PRODUCTS } = require('./products');
+
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// Products an owner can hand out (see lib/products.js)
+const PRODUCT_TABLES = Object.fromEntries(
+  PRODUCTS.filter(p => p.assignable).map(p => [p.name, p.table])
+);
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check a role and product list - returns an error message or null
+ * allowed is the company's products (companyProducts)
+ */
+function validateMember({ role, products }, allowed = Object.keys(PRODUCT_TABLES)) {
+  if (!ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (!Array.isArray(products) || products.length === 0) {
+    return 'Choose at least one product';
+  }
+  const unknown = products.filter(p => !PRODUCT_TABLES[p]);
+  if (unknown.length) {
+    return `Unknown product: ${unknown.join(', ')}`;
+  }
+  const missing = products.filter(p => !allowed.includes(p));
+  if (missing.length) {
+    return `Your company doesn't have: ${missing.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create team helpers bound to a Supabase client
+ */
+function createTeamStore(supabase) {
+  /**
+   * Activate the given products for a user and deactivate the rest
+   * Returns { granted, revoked } - the products that actually changed
+   */
+  async function setProducts(userId, products) {
+    const changes = { granted: [], revoked: [] };
+
+    for (const [product, table] of Object.entries(PRODUCT_TABLES)) {
+      if (!products.includes(product)) {
+        const { data: revoked } = await supabase
+          .from(table)
+          .update({ status: 'inactive' })
+          .eq('nextbid_user_id', userId)
+          .eq('status', 'active')
+          .select('id');
+        if (revoked && revoked.length) changes.revoked.push(product);
+        continue;
+      }
+
+      const { data: existing } = await supabase
+        .from(table)
+        .select('id, status')
+        .eq('nextbid_user_id', userId)
+        .single();
+
+      if (existing && existing.status === 'active') continue;
+
+      const { error } = existing
+        ? await supabase.from(table).update({ status: 'active' }).eq('id', existing.id)
+        : await supabase.from(table).insert({ nextbid_user_id: userId, status: 'active' });
+
+      if (error) {
+        throw new Error(`Failed to grant ${product}: ${error.message}`);
+      }
+      changes.granted.push(product);
+    }
+    return changes;
+  }
+
+  /**
+   * Company users with their active products
+   */
+  async function listMembers(companyId) {
+    const { data: members } = await supabase
+      .from('nextbid_users')
+      .select('id, email, name, role, is_active, totp_enabled, last_login, created_at')
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: true });
+
+    if (!members || members.length === 0) {
+      return [];
+    }
+
+    const ids = members.map(m => m.id);
+    const byUser = new Map(ids.map(id => [id, []]));
+
+    for (const [product, table] of Object.entries(PRODUCT_TABLES)) {
+      const { data: rows } = await supabase
+        .from(table)
+        .select('nextbid_user_id')
+        .in('nextbid_user_id', ids)
+        .eq('status', 'active');
+
+      for (const row of rows || []) {
+        byUser.get(row.nextbid_user_id).push(product);
+      }
+    }
+
+    return members.map(m => ({ ...m, products: byUser.get(m.id) }));
+  }
+
+  /**
+   * Assignable products at least one active company member has
+   */
+  async function companyProducts(companyId) {
+    const { data: members } = await supabase
+      .from('nextbid_users')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('is_active', true);
+
+    const ids = (members || []).map(m => m.id);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const products = [];
+    for (const [product, table] of Object.entries(PRODUCT_TABLES)) {
+      const { data: rows } = await supabase
+        .from(table)
+        .select('id')
+        .in('nextbid_user_id', ids)
+        .eq('status', 'active')
+        .limit(1);
+
+      if (rows && rows.length) products.push(product);
+    }
+    return products;
+  }
+
+  async function getMember(companyId, userId) {
+    const { data } = await supabase
+      .from('nextbid_users')
+      .select('id, email, name, role, is_active')
+      .eq('id', userId)
+      .eq('company_id', companyId)
+      .single();
+    return data || null;
+  }
+
+  /**
+   * Number of active owners - a company must always keep one
+   */
+  async function countOwners(companyId) {
+    const { data } = await supabase
+      .from('nextbid_users')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('role', 'owner')
+      .eq('is_active', true);
+    return (data || []).length;
+  }
+
+  /**
+   * Change a member's role and/or products
+   * Returns the product changes ({ granted, revoked }, both empty if products
+   * weren't given)
+   */
+  async function updateMember(companyId, userId, { role, products }) {
+    if (role) {
+      const { error } = await supabase
+        .from('nextbid_users')
+        .update({ role })
+        .eq('id', userId)
+        .eq('company_id', companyId);
+
+      if (error) {
+        throw new Error(`Failed to update role: ${error.message}`);
+      }
+    }
+    return products ? setProducts(userId, products) : { granted: [], revoked: [] };
+  }
+
+  /**
+   * Deactivate or reactivate a member
+   */
+  async function setActive(companyId, userId, active) {
+    const { error } = await supabase
+      .from('nextbid_users')
+      .update({ is_active: active })
+      .eq('id', userId)
+      .eq('company_id', companyId);
+
+    if (error) {
+      throw new Error(`Failed to update member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pending (unaccepted, unrevoked, unexpired) invitations
+   */
+  async function listInvitations(companyId) {
+    const { data } = await supabase
+      .from('nextbid_invitations')
+      .select('id, email, role, products, invited_by, expires_at, created_at')
+      .eq('company_id', companyId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+    return data || [];
+  }
+
+  /**
+   * Invite someone - returns { invitation, token }; the token goes in the link
+   * Re-inviting an email replaces its pending invitation
+   */
+  async function invite(companyId, { email, role, products, invitedBy }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await supabase
+      .from('nextbid_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('company_id', companyId)
+      .eq('email', email)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    const { data: invitation, error } = await supabase
+      .from('nextbid_invitations')
+      .insert({
+        company_id: companyId,
+        email,
+        role,
+        products,
+        token_hash: hashToken(token),
+        invited_by: invitedBy,
+        expires_at: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+      })
+      .select('id, email, role, products, expires_at, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create invitation: ${error.message}`);
+    }
+    return { invitation, token };
+  }
+
+  /**
+   * Withdraw a pending invitation - returns false if there was none
+   */
+  async function revokeInvitation(companyId, invitationId) {
+    const { data } = await supabase
+      .from('nextbid_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('company_id', companyId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('id');
+    return Boolean(data && data.length);
+  }
+
+  /**
+   * Look up a usable invitation by its link token (includes the company name)
+   */
+  async function findInvitation(token) {
+    if (!token) return null;
+
+    const { data } = await supabase
+      .from('nextbid_invitations')
+      .select('*, nextbid_companies(name)')
+      .eq('token_hash', hashToken(token))
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+    return data || null;
+  }
+
+  /**
+   * Accept an invitation - creates the user in the inviting company
+   * Returns { user, invitation, granted } (the products the user was given),
+   * or null if the invitation is no longer usable
+   */
+  async function acceptInvitation(token, { name, passwordHash }) {
+    const invitation = await findInvitation(token);
+    if (!invitation) return null;
+
+    // Claim the invitation first so two submits can't create two users
+    const { data: claimed } = await supabase
+      .from('nextbid_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (!claimed || !claimed.length) return null;
+
+    // The link was delivered to this address, and company onboarding is already done
+    const { data: user, error } = await supabase
+      .from('nextbid_users')
+      .insert({
+        email: invitation.email,
+        password_hash: passwordHash,
+        name,
+        company_id: invitation.company_id,
+        domain: 'portal',
+        role: invitation.role,
+        email_verified: true,
+        onboarding_completed: true,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      await supabase
+        .from('nextbid_invitations')
+        .update({ accepted_at: null })
+        .eq('id', invitation.id);
+      throw new Error(`Failed to create user: ${error.message}`);
+    }
+
+    // Only products the company still has - they may have gone since the invite
+    const allowed = await companyProducts(invitation.company_id);
+    invitation.products = (invitation.products || []).filter(p => allowed.includes(p));
+    const { granted } = await setProducts(user.id, invitation.products);
+    await supabase
+      .from('nextbid_invitations')
+      .update({ accepted_user_id: user.id })
+      .eq('id', invitation.id);
+
+    return { user, invitation, granted };
+  }
+
+  return {
+    listMembers,
+    companyProducts,
+    getMember,
+    countOwners,
+    updateMember,
+    setActive,
+    setProducts,
+    listInvitations,
+    invite,
+    revokeInvitation,
+    findInvitation,
+    acceptInvitation
+  };
+}
+
+module.exports = {
+  createTeamStore,
+  validateMember,
+  ROLES,
+  PRODUCT_TABLES
+};
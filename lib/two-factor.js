@@ -0,0 +1,193 @@
+/**
+ * Two-Factor Authentication - TOTP enrollment and verification
+ *
+ * State lives on nextbid_users:
+ *   totp_secret_encrypted  - sealed with the credential vault master key
+ *   totp_enabled           - set once the user confirms a first code
+ *   totp_last_step         - last accepted time step (blocks code replay)
+ *   totp_recovery_codes    - SHA-256 hashes of unused recovery codes
+ *
+ * Policy: 2FA is required for anyone with the dashboard product, and for
+ * every user of a company whose owner turned on require_2fa.
+ */
+
+const QRCode = require('qrcode');
+const totp = require('./totp');
+const credentialVault = require('./credential-vault');
+
+const MANDATORY_PRODUCTS = ['dashboard'];
+
+function secretContext(userId) {
+  return `totp:${userId}`;
+}
+
+/**
+ * Create 2FA helpers bound to a Supabase client
+ */
+function createTwoFactor(supabase) {
+  async function loadState(userId) {
+    const { data } = await supabase
+      .from('nextbid_users')
+      .select('id, email, company_id, totp_secret_encrypted, totp_enabled, totp_last_step, totp_recovery_codes')
+      .eq('id', userId)
+      .single();
+    return data;
+  }
+
+  /**
+   * Must this user have 2FA?
+   */
+  async function isRequired(user, products = []) {
+    if (products.some(p => MANDATORY_PRODUCTS.includes(p))) {
+      return true;
+    }
+    if (!user.company_id) {
+      return false;
+    }
+
+    const { data: company } = await supabase
+      .from('nextbid_companies')
+      .select('require_2fa')
+      .eq('id', user.company_id)
+      .single();
+
+    return Boolean(company && company.require_2fa);
+  }
+
+  /**
+   * Start (or resume) enrollment - stores a pending secret
+   * Returns { secret, uri, qr } where qr is a data: URL image
+   */
+  async function beginEnrollment(userId) {
+    const state = await loadState(userId);
+    if (!state) {
+      throw new Error('User not found');
+    }
+    if (state.totp_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    let secret;
+    if (state.totp_secret_encrypted) {
+      secret = credentialVault.decryptSecret(state.totp_secret_encrypted, secretContext(userId));
+    } else {
+      secret = totp.generateSecret();
+      await supabase
+        .from('nextbid_users')
+        .update({ totp_secret_encrypted: credentialVault.encryptSecret(secret, secretContext(userId)) })
+        .eq('id', userId);
+    }
+
+    const uri = totp.provisioningUri({ secret, account: state.email });
+    const qr = await QRCode.toDataURL(uri);
+
+    return { secret, uri, qr };
+  }
+
+  /**
+   * Confirm enrollment with a first code
+   * Returns the plaintext recovery codes (show once), or null if the code is wrong
+   */
+  async function confirmEnrollment(userId, code) {
+    const state = await loadState(userId);
+    if (!state || state.totp_enabled || !state.totp_secret_encrypted) {
+      return null;
+    }
+
+    const secret = credentialVault.decryptSecret(state.totp_secret_encrypted, secretContext(userId));
+    const step = totp.verify(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await supabase
+      .from('nextbid_users')
+      .update({
+        totp_enabled: true,
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_step: step,
+        totp_recovery_codes: recoveryCodes.map(totp.hashRecoveryCode)
+      })
+      .eq('id', userId);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a login code - a TOTP code or an unused recovery code
+   * Returns 'totp', 'recovery' or null
+   */
+  async function verifyCode(userId, code) {
+    const state = await loadState(userId);
+    if (!state || !state.totp_enabled) {
+      return null;
+    }
+
+    const secret = credentialVault.decryptSecret(state.totp_secret_encrypted, secretContext(userId));
+    const step = totp.verify(secret, code, { lastStep: state.totp_last_step });
+    if (step !== null) {
+      // Conditional update so two concurrent logins can't both use the code
+      const { data: used } = await supabase
+        .from('nextbid_users')
+        .update({ totp_last_step: step })
+        .eq('id', userId)
+        .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+        .select('id');
+      return used && used.length ? 'totp' : null;
+    }
+
+    const hash = totp.hashRecoveryCode(code || '');
+    const remaining = state.totp_recovery_codes || [];
+    if (remaining.includes(hash)) {
+      await supabase
+        .from('nextbid_users')
+        .update({ totp_recovery_codes: remaining.filter(h => h !== hash) })
+        .eq('id', userId);
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the recovery codes - returns the new plaintext codes
+   */
+  async function regenerateRecoveryCodes(userId) {
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await supabase
+      .from('nextbid_users')
+      .update({ totp_recovery_codes: recoveryCodes.map(totp.hashRecoveryCode) })
+      .eq('id', userId);
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off and forget the secret
+   */
+  async function disable(userId) {
+    await supabase
+      .from('nextbid_users')
+      .update({
+        totp_enabled: false,
+        totp_enabled_at: null,
+        totp_secret_encrypted: null,
+        totp_last_step: null,
+        totp_recovery_codes: null
+      })
+      .eq('id', userId);
+  }
+
+  return {
+    isRequired,
+    beginEnrollment,
+    confirmEnrollment,
+    verifyCode,
+    regenerateRecoveryCodes,
+    disable
+  };
+}
+
+module.exports = {
+  createTwoFactor
+};
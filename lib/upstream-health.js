@@ -0,0 +1,176 @@
+/**
+ * Upstream Health - active probes and a circuit breaker per proxied service
+ *
+ * Every registered service is probed (GET target + healthPath) on an interval;
+ * any response below 500 counts as up. Probe failures and proxy errors both
+ * count against the service:
+ *
+ *   closed    - requests pass through
+ *   open      - after `failureThreshold` consecutive failures; requests fail fast
+ *   half-open - after `cooldownMs`; requests pass again, the next failure re-opens
+ *
+ * Any success (probe or proxied response) closes the circuit.
+ */
+
+const PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * Create a health monitor
+ */
+function createHealthMonitor({ intervalMs = 15000, failureThreshold = 3, cooldownMs = 30000 } = {}) {
+  const upstreams = new Map();
+  let timer = null;
+
+  function blankState(service) {
+    return {
+      service,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      latencyMs: null,
+      lastCheckedAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Track the current service list - keeps state for services that still exist
+   */
+  function setServices(services) {
+    const names = new Set(services.map(s => s.name));
+    for (const name of upstreams.keys()) {
+      if (!names.has(name)) upstreams.delete(name);
+    }
+    for (const service of services) {
+      const existing = upstreams.get(service.name);
+      if (existing && existing.service.target === service.target) {
+        existing.service = service;
+      } else {
+        upstreams.set(service.name, blankState(service));
+      }
+    }
+  }
+
+  function recordSuccess(name, latencyMs) {
+    const upstream = upstreams.get(name);
+    if (!upstream) return;
+
+    if (upstream.state !== 'closed') {
+      console.log(`[Health] ${name} recovered - circuit closed`);
+    }
+    upstream.state = 'closed';
+    upstream.consecutiveFailures = 0;
+    upstream.openedAt = null;
+    upstream.lastError = null;
+    if (latencyMs !== undefined) upstream.latencyMs = latencyMs;
+  }
+
+  function recordFailure(name, error) {
+    const upstream = upstreams.get(name);
+    if (!upstream) return;
+
+    upstream.consecutiveFailures++;
+    upstream.lastError = error;
+
+    if (upstream.state === 'half-open' || (upstream.state === 'closed' && upstream.consecutiveFailures >= failureThreshold)) {
+      upstream.state = 'open';
+      upstream.openedAt = Date.now();
+      console.warn(`[Health] ${name} is down (${error}) - circuit open`);
+    }
+  }
+
+  /**
+   * May a request go to this service right now?
+   */
+  function allow(name) {
+    const upstream = upstreams.get(name);
+    if (!upstream || upstream.state !== 'open') return true;
+
+    if (Date.now() - upstream.openedAt >= cooldownMs) {
+      upstream.state = 'half-open';
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Seconds until an open circuit lets requests through again
+   */
+  function retryAfter(name) {
+    const upstream = upstreams.get(name);
+    if (!upstream || upstream.state !== 'open') return 0;
+    return Math.max(1, Math.ceil((upstream.openedAt + cooldownMs - Date.now()) / 1000));
+  }
+
+  async function probe(upstream) {
+    const { name, target, healthPath } = upstream.service;
+    const started = Date.now();
+    upstream.lastCheckedAt = new Date().toISOString();
+
+    try {
+      const res = await fetch(new URL(healthPath || '/', target), {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+      });
+      if (res.status >= 500) {
+        recordFailure(name, `HTTP ${res.status}`);
+      } else {
+        recordSuccess(name, Date.now() - started);
+      }
+    } catch (error) {
+      upstream.latencyMs = null;
+      recordFailure(name, error.cause ? error.cause.code || error.cause.message : error.message);
+    }
+  }
+
+  /**
+   * Probe every service once
+   */
+  async function checkAll() {
+    await Promise.all([...upstreams.values()].map(probe));
+  }
+
+  function start() {
+    checkAll();
+    timer = setInterval(checkAll, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  /**
+   * Per-service state for /health and /api/status
+   */
+  function status({ detailed = false } = {}) {
+    return [...upstreams.values()].map(u => ({
+      name: u.service.name,
+      mount: u.service.mount,
+      state: u.state,
+      healthy: u.state === 'closed' && u.consecutiveFailures === 0 && u.lastCheckedAt !== null,
+      latencyMs: u.latencyMs,
+      lastCheckedAt: u.lastCheckedAt,
+      ...(detailed && {
+        consecutiveFailures: u.consecutiveFailures,
+        lastError: u.lastError
+      })
+    }));
+  }
+
+  return {
+    setServices,
+    recordSuccess,
+    recordFailure,
+    allow,
+    retryAfter,
+    checkAll,
+    start,
+    stop,
+    status
+  };
+}
+
+module.exports = {
+  createHealthMonitor
+};
@@ -0,0 +1,431 @@
+/**
+ * Webhooks - gateway events POSTed to subscribed URLs
+ *
+ * A subscription belongs to a company (it gets that company's events) or is
+ * system-level (company_id null - every event, for NextBid's own services
+ * such as the Patcher and the dashboard). Events are listed in EVENTS; a
+ * subscription to "*" gets all of them.
+ *
+ * emit() logs one delivery per matching subscription in
+ * nextbid_webhook_deliveries and the sender POSTs it in the background:
+ *
+ *   { id, event, created_at, company_id, data }
+ *
+ *   X-NextBid-Event:     user.registered
+ *   X-NextBid-Delivery:  <delivery id>
+ *   X-NextBid-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Anything but a 2xx is retried with exponential backoff (1 minute,
+ * doubling, MAX_ATTEMPTS in all) and then marked failed. redeliver() sends
+ * one again as a new delivery with the same event id, so receivers can
+ * de-duplicate on id.
+ *
+ * Company subscriptions must resolve to public addresses, checked when saved
+ * and on each attempt, which connects to the checked addresses (postWebhook in
+ * lib/notifications.js); only system-level ones may point at internal hosts.
+ *
+ * Signing secrets ("whsec_...") are only shown when created or rotated and
+ * are stored encrypted with lib/credential-vault.js.
+ */
+
+const crypto = require('crypto');
+const credentialVault = require('./credential-vault');
+const { postWebhook } = require('./notifications');
+
+const EVENTS = [
+  'user.registered',
+  'user.onboarded',
+  'credential.updated',
+  'credential.invalidated',
+  'product.granted',
+  'product.revoked',
+  'tradeline.subscribed',
+  'tradeline.unsubscribed'
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 60 * 1000;
+const SEND_TIMEOUT_MS = 10000;
+const CLAIM_MS = 5 * 60 * 1000;
+const SEND_BATCH = 50;
+const DELIVERY_LOG_LIMIT = 100;
+
+const WEBHOOK_COLUMNS = 'id, company_id, url, events, description, is_active, created_by, created_at, updated_at';
+const DELIVERY_COLUMNS = 'id, webhook_id, event_id, event, payload, status, attempts, next_attempt_at, response_status, last_error, delivered_at, redelivery_of, created_at';
+
+/**
+ * X-NextBid-Signature value for a body
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a received X-NextBid-Signature - for services receiving our webhooks
+ * Signatures older than toleranceSeconds are rejected
+ */
+function verifySignature(secret, header, body, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, body, timestamp).split('v1=')[1]);
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Check subscribed events - throws on unknown ones
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || !events.every(e => e === '*' || EVENTS.includes(e))) {
+    throw new Error(`Events must be "*" or some of: ${EVENTS.join(', ')}`);
+  }
+  return [...new Set(events)];
+}
+
+/**
+ * Wait before the next try after `attempts` failed ones
+ */
+function backoff(attempts) {
+  return BASE_DELAY_MS * 2 ** (attempts - 1);
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function secretContext(webhookId) {
+  return `webhook:${webhookId}`;
+}
+
+/**
+ * Create a webhook store and sender bound to a Supabase client
+ * companyId null means system-level subscriptions throughout
+ */
+function createWebhookStore(supabase, { intervalMs = 30 * 1000 } = {}) {
+  let running = false;
+  let again = false;
+  let timer = null;
+
+  function scoped(query, companyId) {
+    return companyId ? query.eq('company_id', companyId) : query.is('company_id', null);
+  }
+
+  async function list(companyId) {
+    const { data, error } = await scoped(
+      supabase.from('nextbid_webhooks').select(WEBHOOK_COLUMNS),
+      companyId
+    ).order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list webhooks: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async function find(companyId, id) {
+    const { data: webhook } = await scoped(
+      supabase.from('nextbid_webhooks').select(WEBHOOK_COLUMNS).eq('id', id),
+      companyId
+    ).single();
+    return webhook || null;
+  }
+
+  /**
+   * Returns { webhook, secret } - the secret is not available again
+   */
+  async function create(companyId, { url, events, description, userId }) {
+    const id = crypto.randomUUID();
+    const secret = newSecret();
+
+    const { data: webhook, error } = await supabase
+      .from('nextbid_webhooks')
+      .insert({
+        id,
+        company_id: companyId,
+        url,
+        events: validateEvents(events),
+        description: description ? String(description).slice(0, 255) : null,
+        secret_encrypted: credentialVault.encryptSecret(secret, secretContext(id)),
+        created_by: userId
+      })
+      .select(WEBHOOK_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+    return { webhook, secret };
+  }
+
+  /**
+   * Change the URL, events, description or is_active - only the fields given
+   */
+  async function update(companyId, id, { url, events, description, is_active }) {
+    const changes = {};
+    if (url !== undefined) changes.url = url;
+    if (events !== undefined) changes.events = validateEvents(events);
+    if (description !== undefined) changes.description = description ? String(description).slice(0, 255) : null;
+    if (is_active !== undefined) changes.is_active = Boolean(is_active);
+
+    const { data: webhook, error } = await scoped(
+      supabase.from('nextbid_webhooks').update({ ...changes, updated_at: new Date().toISOString() }).eq('id', id),
+      companyId
+    ).select(WEBHOOK_COLUMNS).single();
+
+    if (error) {
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+    return webhook;
+  }
+
+  async function remove(companyId, id) {
+    await scoped(supabase.from('nextbid_webhooks').delete().eq('id', id), companyId);
+  }
+
+  /**
+   * A new signing secret - the old one stops working straight away
+   */
+  async function rotateSecret(companyId, id) {
+    const secret = newSecret();
+    const { error } = await scoped(
+      supabase
+        .from('nextbid_webhooks')
+        .update({ secret_encrypted: credentialVault.encryptSecret(secret, secretContext(id)), updated_at: new Date().toISOString() })
+        .eq('id', id),
+      companyId
+    );
+
+    if (error) {
+      throw new Error(`Failed to rotate webhook secret: ${error.message}`);
+    }
+    return secret;
+  }
+
+  /**
+   * A webhook's deliveries, newest first
+   */
+  async function deliveries(webhookId) {
+    const { data, error } = await supabase
+      .from('nextbid_webhook_deliveries')
+      .select(DELIVERY_COLUMNS)
+      .eq('webhook_id', webhookId)
+      .order('created_at', { ascending: false })
+      .limit(DELIVERY_LOG_LIMIT);
+
+    if (error) {
+      throw new Error(`Failed to list deliveries: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async function findDelivery(webhookId, id) {
+    const { data: delivery } = await supabase
+      .from('nextbid_webhook_deliveries')
+      .select(DELIVERY_COLUMNS)
+      .eq('webhook_id', webhookId)
+      .eq('id', id)
+      .single();
+    return delivery || null;
+  }
+
+  /**
+   * Send an event to every active subscription that wants it
+   * Never throws - a failure here mustn't undo the change it reports
+   */
+  async function emit(event, data, { companyId = null } = {}) {
+    try {
+      let query = supabase
+        .from('nextbid_webhooks')
+        .select('id, events')
+        .eq('is_active', true);
+      query = companyId ? query.or(`company_id.is.null,company_id.eq.${companyId}`) : query.is('company_id', null);
+
+      const { data: subscriptions, error } = await query;
+      if (error) throw new Error(error.message);
+
+      const wanted = (subscriptions || []).filter(s => s.events.includes('*') || s.events.includes(event));
+      if (wanted.length === 0) return;
+
+      const payload = { id: crypto.randomUUID(), event, created_at: new Date().toISOString(), company_id: companyId, data };
+      const { error: insertError } = await supabase.from('nextbid_webhook_deliveries').insert(wanted.map(webhook => ({
+        webhook_id: webhook.id,
+        event_id: payload.id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: payload.created_at
+      })));
+      if (insertError) throw new Error(insertError.message);
+
+      sendDue();
+    } catch (error) {
+      console.error(`[Webhooks] Emit ${event} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Send a delivery again, as a new delivery of the same event
+   */
+  async function redeliver(delivery) {
+    const { data: copy, error } = await supabase
+      .from('nextbid_webhook_deliveries')
+      .insert({
+        webhook_id: delivery.webhook_id,
+        event_id: delivery.event_id,
+        event: delivery.event,
+        payload: delivery.payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        redelivery_of: delivery.id
+      })
+      .select(DELIVERY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to redeliver: ${error.message}`);
+    }
+    sendDue();
+    return copy;
+  }
+
+  /**
+   * One attempt at a claimed delivery - records the result
+   */
+  async function attempt(delivery) {
+    const { data: webhook } = await supabase
+      .from('nextbid_webhooks')
+      .select('id, company_id, url, secret_encrypted, is_active')
+      .eq('id', delivery.webhook_id)
+      .single();
+
+    let result;
+    if (!webhook || !webhook.is_active) {
+      result = { ok: false, error: 'Webhook is disabled', final: true };
+    } else {
+      try {
+        const body = JSON.stringify(delivery.payload);
+        const secret = credentialVault.decryptSecret(webhook.secret_encrypted, secretContext(webhook.id));
+        const res = await postWebhook(webhook.url, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'NextBid-Webhooks/1.0',
+            'X-NextBid-Event': delivery.event,
+            'X-NextBid-Delivery': delivery.id,
+            'X-NextBid-Signature': sign(secret, body)
+          },
+          body,
+          timeoutMs: SEND_TIMEOUT_MS
+        }, { allowInternal: !webhook.company_id });
+        result = res.ok ? { ok: true, status: res.status } : { ok: false, status: res.status, error: `HTTP ${res.status}` };
+      } catch (error) {
+        result = { ok: false, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+      }
+    }
+
+    const attempts = delivery.attempts + 1;
+    const failed = !result.ok && (result.final || attempts >= MAX_ATTEMPTS);
+    await supabase
+      .from('nextbid_webhook_deliveries')
+      .update({
+        status: result.ok ? 'delivered' : failed ? 'failed' : 'pending',
+        response_status: result.status || null,
+        last_error: result.ok ? null : result.error,
+        delivered_at: result.ok ? new Date().toISOString() : null,
+        next_attempt_at: result.ok || failed ? null : new Date(Date.now() + backoff(attempts)).toISOString()
+      })
+      .eq('id', delivery.id);
+
+    if (!result.ok) {
+      console.error(`[Webhooks] ${delivery.event} delivery ${delivery.id} failed (attempt ${attempts}): ${result.error}`);
+    }
+  }
+
+  /**
+   * Send every delivery that is due - each is claimed first (attempts and
+   * next_attempt_at move on) so two gateways never send the same attempt
+   */
+  async function sendDue() {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        const now = new Date();
+        const { data: due, error } = await supabase
+          .from('nextbid_webhook_deliveries')
+          .select('id, webhook_id, event, payload, attempts, next_attempt_at')
+          .eq('status', 'pending')
+          .lte('next_attempt_at', now.toISOString())
+          .order('next_attempt_at', { ascending: true })
+          .limit(SEND_BATCH);
+
+        if (error) {
+          console.error('[Webhooks] Lookup failed:', error.message);
+          break;
+        }
+
+        for (const delivery of due || []) {
+          const { data: claimed } = await supabase
+            .from('nextbid_webhook_deliveries')
+            .update({ attempts: delivery.attempts + 1, next_attempt_at: new Date(now.getTime() + CLAIM_MS).toISOString() })
+            .eq('id', delivery.id)
+            .eq('status', 'pending')
+            .eq('attempts', delivery.attempts)
+            .select('id');
+
+          if (claimed && claimed.length > 0) {
+            await attempt(delivery);
+          }
+        }
+        if ((due || []).length === SEND_BATCH) again = true;
+      } while (again);
+    } catch (error) {
+      console.error('[Webhooks] Send failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    sendDue();
+    timer = setInterval(sendDue, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return {
+    list,
+    find,
+    create,
+    update,
+    remove,
+    rotateSecret,
+    deliveries,
+    findDelivery,
+    emit,
+    redeliver,
+    sendDue,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  EVENTS,
+  MAX_ATTEMPTS,
+  createWebhookStore,
+  sign,
+  validateEvents,
+  verifySignature
+};
@@ -4,12 +4,22 @@
  * Drop this file into any backend service (Dashboard, Patcher, Tradelines)
  * to make it trust authentication from the gateway.
  *
- * The gateway validates JWT tokens and passes user info via headers.
- * Backend services just need to read these headers.
+ * The gateway validates JWT tokens and sends a signed, short-lived
+ * X-Gateway-Assertion (HS256 JWT) with every proxied request. This file
+ * verifies its signature, issuer, audience, expiry, method and path before
+ * trusting the user. Plain X-User-* headers are never trusted.
+ *
+ * When a NextBid admin is viewing as the user, getUser(req).impersonator
+ * is { sub, email } of the admin (also sent as X-Gateway-Impersonator).
+ *
+ * Configuration (environment):
+ *   GATEWAY_ASSERTION_SECRET - same value as the gateway
+ *   GATEWAY_AUDIENCE         - this service's name in the gateway's config/services.json
+ *                              (tradelines are tradeline:<name>, e.g. tradeline:security)
  *
  * Usage in your Express app:
  *
- *   const { requireGatewayAuth, getUser } = require('./middleware/gateway-auth');
+ *   const { requireGatewayAuth, requirePermission, getUser } = require('./middleware/gateway-auth');
  *
  *   // Protect all routes
  *   app.use(requireGatewayAuth);
@@ -19,6 +29,9 @@
  *     console.log('User:', req.gatewayUser);
  *   });
  *
+ *   // Require a permission (see the gateway's lib/permissions.js)
+ *   app.post('/deploy', requirePermission('patcher:deploy'), deployHandler);
+ *
  *   // Access user in any route
  *   app.get('/profile', (req, res) => {
  *     const user = getUser(req);
@@ -26,21 +39,101 @@
  *   });
  */
 
+const crypto = require('crypto');
+
+const ISSUER = 'nextbid-gateway';
+const CLOCK_SKEW_SECONDS = 30;
+
 /**
- * Extract user from gateway headers
+ * Does a permission list allow the required permission?
+ * Same rules as the gateway: * matches one segment, a trailing * matches the rest
+ */
+function hasPermission(permissions, required) {
+  const want = required.split(':');
+
+  return (permissions || []).some(granted => {
+    const have = granted.split(':');
+    for (let i = 0; i < have.length; i++) {
+      if (have[i] === '*' && i === have.length - 1) return i < want.length;
+      if (i >= want.length || (have[i] !== '*' && have[i] !== want[i])) return false;
+    }
+    return have.length === want.length;
+  });
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify an assertion - returns its claims, or null if anything is off
+ */
+function verifyAssertion(token, {
+  secret = process.env.GATEWAY_ASSERTION_SECRET,
+  audience = process.env.GATEWAY_AUDIENCE,
+  method,
+  path
+} = {}) {
+  if (!token || !secret || !audience) {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const header = decodeSegment(parts[0]);
+    if (header.alg !== 'HS256') {
+      return null;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const actual = Buffer.from(parts[2], 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    const claims = decodeSegment(parts[1]);
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== ISSUER || !audiences.includes(audience)) return null;
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) return null;
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) return null;
+    if (method && claims.htm !== method) return null;
+    if (path && claims.htu !== path) return null;
+
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract user from the gateway assertion
  */
 function getUser(req) {
-  if (req.headers['x-gateway-auth'] !== 'true') {
+  const claims = verifyAssertion(req.headers['x-gateway-assertion'], {
+    method: req.method,
+    path: req.originalUrl
+  });
+
+  if (!claims) {
     return null;
   }
 
   return {
-    id: req.headers['x-user-id'],
-    email: req.headers['x-user-email'],
-    name: req.headers['x-user-name'],
-    role: req.headers['x-user-role'],
-    domain: req.headers['x-user-domain'],
-    company_id: req.headers['x-company-id']
+    id: claims.sub,
+    email: claims.email,
+    name: claims.name,
+    role: claims.role,
+    domain: claims.domain,
+    company_id: claims.company_id,
+    products: claims.products || [],
+    permissions: claims.permissions || [],
+    impersonator: claims.act || null
   };
 }
 
@@ -51,7 +144,7 @@ function requireGatewayAuth(req, res, next) {
   const user = getUser(req);
 
   if (!user) {
-    // Not coming through gateway - reject
+    // Not coming through gateway (or assertion invalid/expired) - reject
     return res.status(401).json({
       error: 'Unauthorized',
       message: 'Access this service through the gateway at /login'
@@ -64,23 +157,30 @@ function requireGatewayAuth(req, res, next) {
 }
 
 /**
- * Middleware: Require admin role
+ * Middleware: Require a permission, e.g. requirePermission('tradeline:security:write')
  */
-function requireAdmin(req, res, next) {
-  const user = getUser(req);
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const user = getUser(req);
 
-  if (!user) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-  if (user.role !== 'superadmin' && user.domain !== 'engine') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
+    if (!hasPermission(user.permissions, permission)) {
+      return res.status(403).json({ error: `Forbidden - ${permission} permission required` });
+    }
 
-  req.gatewayUser = user;
-  next();
+    req.gatewayUser = user;
+    next();
+  };
 }
 
+/**
+ * Middleware: Require NextBid staff (every staff role has dashboard:read)
+ */
+const requireAdmin = requirePermission('dashboard:read');
+
 /**
  * Optional: Attach user to all requests (doesn't block if not authenticated)
  */
@@ -89,9 +189,16 @@ function attachUser(req, res, next) {
   next();
 }
 
+if (!process.env.GATEWAY_ASSERTION_SECRET || !process.env.GATEWAY_AUDIENCE) {
+  console.warn('[GatewayAuth] GATEWAY_ASSERTION_SECRET and GATEWAY_AUDIENCE must be set - all requests will be rejected');
+}
+
 module.exports = {
   getUser,
+  verifyAssertion,
+  hasPermission,
   requireGatewayAuth,
+  requirePermission,
   requireAdmin,
   attachUser
 };
@@ -3,10 +3,13 @@
  *
  * Run this once to create your first superadmin user:
  *   node scripts/create-admin-user.js
+ *
+ * The user gets the dashboard product, so they can sign in and manage
+ * everyone else at /admin (2FA is set up on first sign-in).
  */
 
 require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
-const bcrypt = require('bcrypt');
+const bcrypt = require('bcryptjs');
 const { createClient } = require('@supabase/supabase-js');
 const readline = require('readline');
 
@@ -42,11 +45,22 @@ async function createUser() {
       password_hash: passwordHash,
       name,
       role,
+      domain: 'engine',
       is_active: true
     })
     .select()
     .single();
 
+  if (!error) {
+    const { error: productError } = await supabase
+      .from('dev_users')
+      .insert({ nextbid_user_id: data.id, status: 'active' });
+
+    if (productError) {
+      console.error('\nUser created, but granting the dashboard product failed:', productError.message);
+    }
+  }
+
   if (error) {
     console.error('\nError creating user:', error.message);
   } else {
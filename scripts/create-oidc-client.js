@@ -0,0 +1,88 @@
+/**
+ * Register an OpenID Connect Client
+ *
+ * One client per product (e.g. NextBidder on its own domain). Prints the
+ * client secret once - only its hash is stored:
+ *   node scripts/create-oidc-client.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const readline = require('readline');
+const { PRODUCTS } = require('../lib/products');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+const ask = (q) => new Promise(resolve => rl.question(q, resolve));
+const list = (answer) => answer.split(',').map(s => s.trim()).filter(Boolean);
+
+async function createOidcClient() {
+  console.log('\n=== NextBid Register OIDC Client ===\n');
+
+  const clientId = await ask('Client ID (e.g. nextbidder): ');
+  const name = await ask('Name: ');
+  const product = await ask(`Required product (${PRODUCTS.map(p => p.name).join('/')}, blank for none): `);
+  const redirectUris = list(await ask('Redirect URIs (comma separated): '));
+  const logoutUris = list(await ask('Post-logout redirect URIs (comma separated, optional): '));
+  const isPublic = (await ask('Public client without a secret, e.g. a SPA? (y/N): ')).toLowerCase() === 'y';
+
+  if (product && !PRODUCTS.some(p => p.name === product)) {
+    console.error(`\nUnknown product: ${product}`);
+    return rl.close();
+  }
+  for (const uri of [...redirectUris, ...logoutUris]) {
+    try {
+      new URL(uri);
+    } catch (err) {
+      console.error(`\nInvalid URI: ${uri}`);
+      return rl.close();
+    }
+  }
+  if (!clientId || redirectUris.length === 0) {
+    console.error('\nClient ID and at least one redirect URI are required');
+    return rl.close();
+  }
+
+  const secret = isPublic ? null : crypto.randomBytes(32).toString('base64url');
+
+  const { data, error } = await supabase
+    .from('nextbid_oidc_clients')
+    .insert({
+      client_id: clientId,
+      client_secret_hash: secret ? crypto.createHash('sha256').update(secret).digest('hex') : null,
+      name,
+      product: product || null,
+      redirect_uris: redirectUris,
+      post_logout_redirect_uris: logoutUris,
+      is_public: isPublic,
+      is_active: true
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('\nError registering client:', error.message);
+  } else {
+    console.log('\n✓ Client registered!');
+    console.log(`  Client ID: ${data.client_id}`);
+    console.log(`  Product: ${data.product || '(any)'}`);
+    console.log(`  Redirect URIs: ${data.redirect_uris.join(', ')}`);
+    if (secret) {
+      console.log(`  Client secret: ${secret}`);
+      console.log('\n  Store the secret now - it cannot be shown again.');
+    }
+  }
+
+  rl.close();
+}
+
+createOidcClient();
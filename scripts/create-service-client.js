@@ -0,0 +1,90 @@
+/**
+ * Register an Internal Service, or Rotate its Key
+ *
+ * Each service calling /api/credentials or /api/tradeline gets its own
+ * key and scopes. Prints the key once - only its hash is stored:
+ *   node scripts/create-service-client.js
+ *
+ * Entering an existing name issues a new key; the old ones keep working
+ * for the overlap window so the service can be redeployed first.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { createClient } = require('@supabase/supabase-js');
+const readline = require('readline');
+const { createServiceClientStore, validateClient } = require('../lib/service-clients');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+const serviceClients = createServiceClientStore(supabase);
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+const ask = (q) => new Promise(resolve => rl.question(q, resolve));
+const list = (answer) => answer.split(',').map(s => s.trim()).filter(Boolean);
+
+function expiryFrom(days) {
+  const n = parseInt(days, 10);
+  return n > 0 ? new Date(Date.now() + n * 24 * 60 * 60 * 1000) : null;
+}
+
+async function createServiceClient() {
+  console.log('\n=== NextBid Register Service Client ===\n');
+
+  const name = (await ask('Service name (e.g. samgov-scraper): ')).trim();
+  if (!name) {
+    console.error('\nService name is required');
+    return rl.close();
+  }
+
+  try {
+    const existing = await serviceClients.findClient(name);
+    let issued;
+
+    if (existing) {
+      console.log(`\n${name} exists - scopes: ${existing.scopes.join(', ') || '(none)'}`);
+      if ((await ask('Rotate its key? (y/N): ')).toLowerCase() !== 'y') {
+        return rl.close();
+      }
+      const overlap = parseInt(await ask('Hours the old keys keep working (default 24): '), 10);
+      const days = await ask('New key expires after days (blank for never): ');
+
+      issued = await serviceClients.rotate(existing.id, {
+        expiresAt: expiryFrom(days),
+        overlapMs: (overlap >= 0 ? overlap : 24) * 60 * 60 * 1000
+      });
+      console.log('\n✓ Key rotated!');
+    } else {
+      const scopes = list(await ask('Scopes (comma separated, e.g. credentials:read:samgov): '));
+      const allowedIps = list(await ask('Allowed IPs or CIDR ranges (comma separated, blank for any): '));
+      const days = await ask('Key expires after days (blank for never): ');
+
+      validateClient({ scopes, allowedIps });
+      if (scopes.length === 0) {
+        console.error('\nAt least one scope is required');
+        return rl.close();
+      }
+
+      const client = await serviceClients.register({ name, scopes, allowedIps });
+      issued = await serviceClients.issueKey(client.id, { expiresAt: expiryFrom(days) });
+      console.log('\n✓ Service registered!');
+      console.log(`  Scopes: ${client.scopes.join(', ')}`);
+      console.log(`  Allowed IPs: ${client.allowed_ips.join(', ') || '(any)'}`);
+    }
+
+    console.log(`  Expires: ${issued.expires_at || 'never'}`);
+    console.log(`  API key: ${issued.key}`);
+    console.log('\n  Send it as X-API-Key. Store it now - it cannot be shown again.');
+  } catch (error) {
+    console.error('\nError:', error.message);
+  }
+
+  rl.close();
+}
+
+createServiceClient();
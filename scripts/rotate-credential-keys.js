@@ -0,0 +1,121 @@
+/**
+ * Rotate Credential Encryption Keys
+ *
+ * Re-encrypts every nextbid_company_credentials row that is not on the
+ * current master key version (CREDENTIAL_KEY_VERSION), including legacy
+ * plaintext rows. Each row gets a fresh data key. TOTP secrets on
+ * nextbid_users are re-sealed too.
+ *
+ * Keep the old key in CREDENTIAL_MASTER_KEYS until this has run cleanly:
+ *   node scripts/rotate-credential-keys.js            # re-encrypt
+ *   node scripts/rotate-credential-keys.js --dry-run  # count only
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { createClient } = require('@supabase/supabase-js');
+const credentialVault = require('../lib/credential-vault');
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function rotateKeys() {
+  console.log('\n=== NextBid Rotate Credential Keys ===\n');
+
+  if (!credentialVault.isConfigured()) {
+    console.error('CREDENTIAL_MASTER_KEYS does not contain the current key version');
+    process.exit(1);
+  }
+
+  const version = credentialVault.currentKeyVersion();
+  console.log(`Target key version: ${version}${dryRun ? ' (dry run)' : ''}\n`);
+
+  let rotated = 0;
+  let failed = 0;
+  let offset = 0;
+
+  while (true) {
+    const { data: rows, error } = await supabase
+      .from('nextbid_company_credentials')
+      .select('id, company_id, source, password_encrypted, api_key_encrypted, data_key_encrypted, key_version')
+      .or(`key_version.is.null,key_version.neq.${version}`)
+      .order('id')
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) {
+      console.error('Error loading credentials:', error.message);
+      process.exit(1);
+    }
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      try {
+        const secrets = credentialVault.decryptCredential(row);
+        if (!dryRun) {
+          const { error: updateError } = await supabase
+            .from('nextbid_company_credentials')
+            .update(credentialVault.encryptCredential(secrets, { companyId: row.company_id, source: row.source }))
+            .eq('id', row.id);
+          if (updateError) throw updateError;
+        }
+        rotated++;
+      } catch (err) {
+        failed++;
+        console.error(`  ✗ ${row.company_id}/${row.source}: ${err.message}`);
+      }
+    }
+
+    // Re-encrypted rows drop out of the filter, so only skip past failures
+    offset = dryRun ? offset + rows.length : failed;
+  }
+
+  console.log(`\n✓ ${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${rotated} credential(s), ${failed} failed`);
+
+  const totpFailed = await rotateTotpSecrets(version);
+  process.exit(failed || totpFailed ? 1 : 0);
+}
+
+/**
+ * Re-seal TOTP secrets (nextbid_users.totp_secret_encrypted)
+ */
+async function rotateTotpSecrets(version) {
+  const { data: users, error } = await supabase
+    .from('nextbid_users')
+    .select('id, totp_secret_encrypted')
+    .not('totp_secret_encrypted', 'is', null);
+
+  if (error) {
+    console.error('Error loading TOTP secrets:', error.message);
+    return 1;
+  }
+
+  let rotated = 0;
+  let failed = 0;
+
+  for (const user of users.filter(u => credentialVault.secretKeyVersion(u.totp_secret_encrypted) !== version)) {
+    try {
+      const context = `totp:${user.id}`;
+      const secret = credentialVault.decryptSecret(user.totp_secret_encrypted, context);
+      if (!dryRun) {
+        const { error: updateError } = await supabase
+          .from('nextbid_users')
+          .update({ totp_secret_encrypted: credentialVault.encryptSecret(secret, context) })
+          .eq('id', user.id);
+        if (updateError) throw updateError;
+      }
+      rotated++;
+    } catch (err) {
+      failed++;
+      console.error(`  ✗ totp ${user.id}: ${err.message}`);
+    }
+  }
+
+  console.log(`✓ ${dryRun ? 'Would re-seal' : 'Re-sealed'} ${rotated} TOTP secret(s), ${failed} failed`);
+  return failed;
+}
+
+rotateKeys();
@@ -22,6 +22,33 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const { createClient } = require('@supabase/supabase-js');
+const credentialVault = require('./lib/credential-vault');
+const { createSessionStore } = require('./lib/sessions');
+const { createApiTokenStore, hasScope, scopePermissions, validateScopes } = require('./lib/api-tokens');
+const { createLoginLimiter, createMemoryStore, createSupabaseStore } = require('./lib/login-limiter');
+const { createTwoFactor } = require('./lib/two-factor');
+const { createMailer } = require('./lib/mailer');
+const { createOneTimeTokenStore } = require('./lib/one-time-tokens');
+const { createTeamStore, validateMember, ROLES } = require('./lib/team');
+const { PRODUCTS, createEntitlements, getProductUrl: defaultProductUrl } = require('./lib/products');
+const { createPermissions, hasPermission, narrowPermissions } = require('./lib/permissions');
+const { createServiceRegistry } = require('./lib/service-registry');
+const { createHealthMonitor } = require('./lib/upstream-health');
+const { createSsoExchange, resolveRedirect } = require('./lib/sso');
+const { createOidcProvider, parseBasicAuth } = require('./lib/oidc');
+const { createAdminStore, TIERS } = require('./lib/admin');
+const { createImpersonationStore } = require('./lib/impersonation');
+const { createAuditLog, EXPORT_COLUMNS, csvLine } = require('./lib/audit');
+const { createCredentialPool, FAILURE_THRESHOLD: CREDENTIAL_FAILURE_THRESHOLD } = require('./lib/credential-pool');
+const { createServiceClientStore, ipAllowed } = require('./lib/service-clients');
+const { SOURCES: CREDENTIAL_SOURCES, createConnectors } = require('./lib/credential-connectors');
+const { createCredentialChecker, credentialState } = require('./lib/credential-checker');
+const { createOpportunitySearch, decodeCursor, opportunityDetail, parseOpportunityRef } = require('./lib/opportunities');
+const { createBidStore, pipelineStats, validateAttachments } = require('./lib/bids');
+const { CHANNELS: NOTIFICATION_CHANNELS, checkWebhookUrl, createNotifier } = require('./lib/notifications');
+const { MAX_SEARCHES_PER_USER, createSavedSearchStore, validateFilters, validateSettings } = require('./lib/saved-searches');
+const { createAlertScheduler } = require('./lib/alerts');
+const { EVENTS: WEBHOOK_EVENTS, createWebhookStore, validateEvents: validateWebhookEvents } = require('./lib/webhooks');
 
 const app = express();
 const PORT = process.env.GATEWAY_PORT || 7000;
@@ -29,20 +56,141 @@ const PORT = process.env.GATEWAY_PORT || 7000;
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'nextbid-jwt-secret-change-in-production';
 const JWT_EXPIRES_IN = '1h';           // Access token: 1 hour
-const REFRESH_EXPIRES_IN = '7d';       // Refresh token: 7 days
+const MFA_EXPIRES_IN = '5m';           // Password accepted, waiting for 2FA code
 const COOKIE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days in ms
 
+// Signed identity for backend services (verified by middleware/gateway-auth.js)
+const GATEWAY_ASSERTION_SECRET = process.env.GATEWAY_ASSERTION_SECRET;
+const GATEWAY_ASSERTION_EXPIRES_IN = 60; // seconds - one proxied request
+
+// Ids in route params and filters are checked before they reach a query
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // Supabase client
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Refresh token sessions (nextbid_sessions)
+const sessionStore = createSessionStore(supabase);
+
+// Personal API tokens (nextbid_api_tokens)
+const apiTokenStore = createApiTokenStore(supabase);
+
+// Login brute-force protection - use the supabase store when several droplets run this service
+const loginLimiter = createLoginLimiter(
+  process.env.LOGIN_LIMITER_STORE === 'supabase' ? createSupabaseStore(supabase) : createMemoryStore(),
+  {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_IP, 10) || 20,
+    lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+  }
+);
+
+// TOTP two-factor authentication
+const twoFactor = createTwoFactor(supabase);
+
+// Outgoing email (MAIL_TRANSPORT=console|file|smtp) and single-use email links
+const mailer = createMailer();
+const oneTimeTokens = createOneTimeTokenStore(supabase);
+
+// Product entitlements (registry in lib/products.js)
+const entitlements = createEntitlements(supabase);
+
+// Role, company tradeline and per-user permissions (lib/permissions.js)
+const permissions = createPermissions(supabase);
+
+// Company invitations and member management
+const team = createTeamStore(supabase);
+
+// Admin console (/admin)
+const admin = createAdminStore(supabase);
+
+// Audit log search and export (/audit, /api/audit)
+const auditLog = createAuditLog(supabase);
+
+// Leased company credentials for scrapers (/api/credentials/checkout)
+const credentialPool = createCredentialPool(supabase);
+
+// Internal services calling /api/credentials and /api/tradeline (X-API-Key)
+const serviceClients = createServiceClientStore(supabase);
+
+// Opportunities from the company's subscribed <tradeline>_opportunities tables
+const opportunitySearch = createOpportunitySearch(supabase);
+
+// Company bid pipelines (My Bids)
+const bids = createBidStore(supabase);
+
+// Saved opportunity searches and per-user alert settings
+const savedSearches = createSavedSearchStore(supabase);
+
+// Alert delivery - email, webhook, in-app (NOTIFICATION_TRANSPORT=console|file in development)
+const notifier = createNotifier(supabase, { mailer });
+
+// Daily saved search digests and bid due-date reminders
+const alertScheduler = createAlertScheduler(supabase, {
+  opportunitySearch,
+  savedSearches,
+  notifier,
+  baseUrl: (process.env.GATEWAY_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, ''),
+  intervalMs: (parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES, 10) || 15) * 60 * 1000,
+  digestHour: parseInt(process.env.ALERT_DIGEST_HOUR_UTC, 10) || 12
+});
+
+// Saved credentials are tested against their source after saving and on a schedule
+const credentialChecker = createCredentialChecker(supabase, {
+  connectors: createConnectors(),
+  intervalMs: (parseInt(process.env.CREDENTIAL_CHECK_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+  recheckMs: (parseInt(process.env.CREDENTIAL_RECHECK_HOURS, 10) || 24) * 60 * 60 * 1000,
+  onChange: credential => credentialStatusChanged(credential)
+});
+
+// Outbound webhooks for gateway events - company and system-level subscriptions
+const webhooks = createWebhookStore(supabase);
+
+// "View as user" for support staff - hard time limit, no refresh
+const impersonations = createImpersonationStore(supabase);
+const IMPERSONATION_TTL_MS = (parseInt(process.env.IMPERSONATION_MINUTES, 10) || 30) * 60 * 1000;
+
+// Cross-droplet SSO exchange codes (config/droplets.json, SSO_DROPLET = this droplet)
+const sso = createSsoExchange(supabase);
+
+// OpenID Connect provider for products on other domains (nextbid_oidc_clients)
+const oidc = createOidcProvider(supabase, {
+  issuer: (process.env.OIDC_ISSUER || process.env.GATEWAY_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '')
+});
+
+// Proxied backend services (config/services.json or nextbid_services) - hot reloaded
+const serviceRegistry = createServiceRegistry({ supabase });
+
+// Upstream health probes and circuit breakers
+const upstreamHealth = createHealthMonitor({
+  intervalMs: (parseInt(process.env.UPSTREAM_HEALTH_INTERVAL_SECONDS, 10) || 15) * 1000,
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+  cooldownMs: (parseInt(process.env.CIRCUIT_COOLDOWN_SECONDS, 10) || 30) * 1000
+});
+const UPSTREAM_TIMEOUT_MS = (parseInt(process.env.UPSTREAM_TIMEOUT_SECONDS, 10) || 30) * 1000;
+
+// Block product access until the user confirms their email address
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// nginx on the droplet forwards every request (docs/DOMAINS-AND-AUTH.md), so
+// req.ip comes from its X-Forwarded-For. TRUST_PROXY takes Express's
+// 'trust proxy' values: a hop count, addresses/subnets, or false when clients
+// connect directly. Login limits, audit IPs and service allowlists use req.ip.
+const TRUST_PROXY = (() => {
+  const value = process.env.TRUST_PROXY || 'loopback';
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+})();
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
+app.set('trust proxy', TRUST_PROXY);
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
@@ -53,35 +201,139 @@ app.use((req, res, next) => {
   next();
 });
 
+// Identity headers only ever come from the gateway - drop any the client sent
+app.use((req, res, next) => {
+  for (const header of Object.keys(req.headers)) {
+    if (header.startsWith('x-user-') || header.startsWith('x-gateway-') || header === 'x-company-id') {
+      delete req.headers[header];
+    }
+  }
+  next();
+});
+
 // ============================================================
 // JWT HELPERS
 // ============================================================
 
 /**
  * Generate access and refresh tokens
- * Now includes products[] array instead of role/domain
+ * Carries products[], role, domain, company_id and the resolved permissions[]
+ * The refresh token is the opaque session token from lib/sessions.js
  */
-function generateTokens(user) {
+async function generateTokens(user, session) {
   const payload = {
+    ...await userClaims(user),
+    sid: session.family_id
+  };
+
+  const accessToken = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+  return { accessToken, refreshToken: session.token };
+}
+
+/**
+ * Access token claims about a user (user.products already resolved)
+ */
+async function userClaims(user) {
+  return {
     id: user.id,
     email: user.email,
     name: user.name,
+    role: user.role,
+    domain: user.domain || 'portal',
+    company_id: user.company_id || null,
     products: user.products || [],
-    onboarding_completed: user.onboarding_completed || false
+    permissions: await permissions.resolve(user),
+    onboarding_completed: user.onboarding_completed || false,
+    email_verified: user.email_verified || false
   };
+}
 
-  const accessToken = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-  const refreshToken = jwt.sign({ id: user.id, type: 'refresh' }, JWT_SECRET, { expiresIn: REFRESH_EXPIRES_IN });
+/**
+ * Access token for an admin viewing the gateway as another user
+ * act names the admin; the token ends with the impersonation and has no refresh token
+ */
+async function generateImpersonationToken(user, impersonation, impersonator) {
+  const expiresIn = Math.floor((new Date(impersonation.expires_at).getTime() - Date.now()) / 1000);
+
+  return jwt.sign({
+    ...await userClaims(user),
+    act: { sub: impersonator.id, email: impersonator.email },
+    imp: impersonation.id
+  }, JWT_SECRET, { expiresIn });
+}
 
-  return { accessToken, refreshToken };
+/**
+ * Read an impersonation token even after it expired - so the end can be recorded
+ */
+function verifyImpersonationToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+    return payload.act && payload.imp ? payload : null;
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
  * Verify access token
+ * Typed tokens (e.g. the pending 2FA token) are never accepted as access tokens
  */
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type ? null : payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sign the identity assertion for one proxied request
+ * Bound to the receiving service (aud) and the exact method and path it will see
+ */
+function signGatewayAssertion(user, { audience, method, path: requestPath }) {
+  return jwt.sign({
+    sub: user.id,
+    email: user.email,
+    name: user.name || '',
+    role: user.role || 'user',
+    domain: user.domain || 'portal',
+    company_id: user.company_id || null,
+    products: user.products || [],
+    permissions: user.permissions || [],
+    ...(user.act && { act: user.act }),
+    htm: method,
+    htu: requestPath
+  }, GATEWAY_ASSERTION_SECRET, {
+    algorithm: 'HS256',
+    issuer: 'nextbid-gateway',
+    audience,
+    expiresIn: GATEWAY_ASSERTION_EXPIRES_IN
+  });
+}
+
+/**
+ * Set the pending 2FA cookie - password was accepted, code still needed
+ */
+function setMfaCookie(res, user, { enroll }) {
+  const mfaToken = jwt.sign({ id: user.id, type: 'mfa', enroll }, JWT_SECRET, { expiresIn: MFA_EXPIRES_IN });
+  res.cookie('mfaToken', mfaToken, {
+    httpOnly: true,
+    secure: false, // Set to true when using HTTPS
+    sameSite: 'lax',
+    path: '/login',
+    maxAge: 5 * 60 * 1000
+  });
+}
+
+/**
+ * Read the pending 2FA cookie
+ */
+function verifyMfaToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type === 'mfa' ? payload : null;
   } catch (error) {
     return null;
   }
@@ -110,109 +362,266 @@ function clearAuthCookies(res) {
   res.clearCookie('refreshToken', { path: '/' });
 }
 
+/**
+ * Remember where a signed-out user was going (e.g. /oauth/authorize?...)
+ */
+function setReturnTo(res, url) {
+  res.cookie('returnTo', url, {
+    httpOnly: true,
+    secure: false, // Set to true when using HTTPS
+    sameSite: 'lax',
+    path: '/',
+    maxAge: 10 * 60 * 1000
+  });
+}
+
+/**
+ * Read and clear the remembered path - only local paths are returned
+ */
+function takeReturnTo(req, res) {
+  const url = req.cookies.returnTo;
+  if (!url) return null;
+
+  res.clearCookie('returnTo', { path: '/' });
+  return url.startsWith('/') && !url.startsWith('//') && !url.includes('\\') ? url : null;
+}
+
 // ============================================================
 // AUTH MIDDLEWARE
 // ============================================================
 
+/**
+ * Authenticate a personal API token (Authorization: Bearer nb_...)
+ * Products and permissions are narrowed to the token's scopes
+ */
+async function authenticateApiToken(token) {
+  const apiToken = await apiTokenStore.authenticate(token);
+  if (!apiToken) return null;
+
+  const { data: dbUser } = await supabase
+    .from('nextbid_users')
+    .select('*')
+    .eq('id', apiToken.user_id)
+    .eq('is_active', true)
+    .single();
+
+  if (!dbUser) return null;
+
+  const products = await entitlements.resolve(dbUser);
+
+  return {
+    id: dbUser.id,
+    email: dbUser.email,
+    name: dbUser.name,
+    role: dbUser.role,
+    domain: dbUser.domain,
+    company_id: dbUser.company_id,
+    products: products.filter(p => hasScope(apiToken.scopes, 'product', p)),
+    permissions: narrowPermissions(
+      await permissions.resolve(dbUser),
+      scopePermissions(apiToken.scopes, serviceRegistry.services())
+    ),
+    onboarding_completed: dbUser.onboarding_completed || false,
+    apiToken: { id: apiToken.id, scopes: apiToken.scopes || [] }
+  };
+}
+
+/**
+ * End an impersonation and audit it - a no-op if it already ended
+ * claims are the impersonation token's (id, email, act, imp)
+ */
+async function endImpersonation(req, claims, reason) {
+  const ended = await impersonations.end(claims.imp, reason);
+  if (!ended) return;
+
+  await supabase.from('nextbid_audit_log').insert({
+    user_id: claims.act.sub,
+    action: 'impersonation_ended',
+    resource: `user:${claims.id}`,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    details: { impersonation: claims.imp, reason }
+  });
+
+  console.log(`[Admin] ${claims.act.email} stopped impersonating ${claims.email} (${reason})`);
+}
+
 /**
  * Check if user is authenticated via JWT
  * Automatically refreshes token if expired but refresh token is valid
+ * Refresh tokens are rotated on every use (see lib/sessions.js)
+ * Scripts can send a personal API token instead: Authorization: Bearer nb_...
  */
 async function requireAuth(req, res, next) {
-  const accessToken = req.cookies.accessToken;
-  const refreshToken = req.cookies.refreshToken;
-
-  // Try access token first
-  let user = verifyToken(accessToken);
+  try {
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(nb_\S+)$/i);
+    if (bearer) {
+      const tokenUser = await authenticateApiToken(bearer[1]);
+      if (!tokenUser) {
+        return res.status(401).json({ error: 'Invalid API token' });
+      }
+      req.user = tokenUser;
+      return next();
+    }
 
-  // If access token expired, try refresh
-  if (!user && refreshToken) {
-    const refreshPayload = verifyToken(refreshToken);
+    const accessToken = req.cookies.accessToken;
+    const refreshToken = req.cookies.refreshToken;
 
-    if (refreshPayload && refreshPayload.type === 'refresh') {
-      // Get fresh user data from database
-      const { data: dbUser } = await supabase
-        .from('nextbid_users')
-        .select('*')
-        .eq('id', refreshPayload.id)
-        .eq('is_active', true)
-        .single();
+    // Try access token first
+    let user = verifyToken(accessToken);
 
-      if (dbUser) {
-        // Re-check all 6 product tables for fresh products list
-        const products = [];
+    // Impersonation tokens stop at the time limit or when stopped -
+    // the admin's own refresh token below takes over again
+    const impersonation = accessToken && verifyImpersonationToken(accessToken);
+    if (impersonation && !(user && await impersonations.find(impersonation.imp))) {
+      await endImpersonation(req, impersonation, 'expired');
+      res.clearCookie('accessToken', { path: '/' });
+      user = null;
+    }
 
-        const { data: devUser } = await supabase
-          .from('dev_users')
-          .select('id')
-          .eq('nextbid_user_id', dbUser.id)
-          .eq('status', 'active')
+    // If access token expired, try refresh
+    if (!user && refreshToken) {
+      const rotated = await sessionStore.rotate(refreshToken, req);
+
+      if (rotated) {
+        // Get fresh user data from database
+        const { data: dbUser } = await supabase
+          .from('nextbid_users')
+          .select('*')
+          .eq('id', rotated.session.user_id)
+          .eq('is_active', true)
           .single();
-        if (devUser) products.push('dashboard');
 
-        const { data: portalUser } = await supabase
-          .from('portal_users')
-          .select('id')
-          .eq('nextbid_user_id', dbUser.id)
-          .eq('status', 'active')
-          .single();
-        if (portalUser) products.push('portal');
+        if (!dbUser) {
+          // Deactivated since the session started
+          await sessionStore.revokeAll(rotated.session.user_id, 'deactivated');
+        } else {
+          // Re-check product memberships for a fresh products list
+          const products = await entitlements.resolve(dbUser);
+
+          dbUser.products = products;
+
+          // Generate new tokens
+          const tokens = await generateTokens(dbUser, rotated.session);
+          if (!rotated.graced) {
+            // Graced: a parallel request already rotated this cookie and set the new one
+            setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
+            await supabase.from('nextbid_audit_log').insert({
+              user_id: dbUser.id,
+              action: 'token_refreshed',
+              resource: `session:${rotated.session.family_id}`,
+              ip_address: req.ip,
+              user_agent: req.headers['user-agent']
+            });
+            console.log(`[Auth] Token refreshed for: ${dbUser.email}`);
+          }
+          user = verifyToken(tokens.accessToken);
+        }
+      }
+    }
 
-        const { data: nextbidderUser } = await supabase
-          .from('nextbidder_users')
-          .select('id')
-          .eq('nextbid_user_id', dbUser.id)
-          .eq('status', 'active')
-          .single();
-        if (nextbidderUser) products.push('nextbidder');
+    if (!user) {
+      // API requests get 401
+      if (req.path.startsWith('/api/')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      // Browser requests redirect to login, and come back here afterwards
+      if (req.method === 'GET') {
+        setReturnTo(res, req.originalUrl);
+      }
+      return res.redirect('/login');
+    }
 
-        const { data: nexttechUser } = await supabase
-          .from('nexttech_users')
-          .select('id')
-          .eq('nextbid_user_id', dbUser.id)
-          .eq('status', 'active')
-          .single();
-        if (nexttechUser) products.push('nexttech');
+    // Every request made while impersonating is audited against the admin
+    if (user.act) {
+      await supabase.from('nextbid_audit_log').insert({
+        user_id: user.act.sub,
+        action: 'impersonation_request',
+        resource: `user:${user.id}`,
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+        details: { impersonation: user.imp, method: req.method, path: req.originalUrl }
+      });
+      res.locals.impersonation = { email: user.email, impersonator: user.act.email, expiresAt: new Date(user.exp * 1000) };
 
-        const { data: nexttaskUser } = await supabase
-          .from('nexttask_users')
-          .select('id')
-          .eq('nextbid_user_id', dbUser.id)
-          .eq('status', 'active')
-          .single();
-        if (nexttaskUser) products.push('nexttask');
+      // The admin console and admin APIs are never reachable as the customer,
+      // whatever guards a route adds
+      if (/^\/(api\/)?admin(\/|\?|$)/.test(req.originalUrl)) {
+        return res.status(403).json({ error: 'Forbidden - not available while impersonating' });
+      }
+    }
 
-        const { data: nextsourceUser } = await supabase
-          .from('nextsource_users')
-          .select('id')
-          .eq('nextbid_user_id', dbUser.id)
-          .eq('status', 'active')
-          .single();
-        if (nextsourceUser) products.push('nextsource');
+    // Attach user to request
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('[Auth] Authentication error:', error.message);
+    next(error);
+  }
+}
 
-        dbUser.products = products;
+/**
+ * Reject API token requests - for account management routes that need a browser session
+ * Impersonating admins can look but not manage the account (or sign in elsewhere as the user)
+ */
+function requireInteractive(req, res, next) {
+  if (req.user && req.user.apiToken) {
+    return res.status(403).json({ error: 'Forbidden - API tokens cannot manage accounts' });
+  }
+  if (req.user && req.user.act) {
+    return res.status(403).json({ error: 'Forbidden - not available while impersonating' });
+  }
+  next();
+}
 
-        // Generate new tokens
-        const tokens = generateTokens(dbUser);
-        setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
-        user = verifyToken(tokens.accessToken);
-        console.log(`[Auth] Token refreshed for: ${dbUser.email}`);
-      }
+/**
+ * Require a confirmed email address before product access (REQUIRE_EMAIL_VERIFICATION=true)
+ * The token may predate verification, so unverified users are re-checked against the database
+ */
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    if (!REQUIRE_EMAIL_VERIFICATION || req.user.email_verified) {
+      return next();
     }
-  }
 
-  if (!user) {
-    // API requests get 401
-    if (req.path.startsWith('/api/')) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const { data: account } = await supabase
+      .from('nextbid_users')
+      .select('email_verified')
+      .eq('id', req.user.id)
+      .single();
+
+    if (account && account.email_verified) {
+      req.user.email_verified = true;
+      return next();
+    }
+
+    if (req.path.startsWith('/api/') || req.user.apiToken) {
+      return res.status(403).json({ error: 'Forbidden - email address not verified' });
     }
-    // Browser requests redirect to login
-    return res.redirect('/login');
+    res.redirect('/verify-email');
+  } catch (error) {
+    console.error('[Auth] Email verification check error:', error.message);
+    next(error);
   }
+}
 
-  // Attach user to request
-  req.user = user;
-  next();
+/**
+ * Refuse a signed-in user and audit it
+ */
+async function denyAccess(req, res, error) {
+  try {
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user ? req.user.id : null,
+      action: 'access_denied',
+      resource: `path:${req.originalUrl}`.slice(0, 255),
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { method: req.method, error }
+    });
+  } catch (err) {
+    console.error('[Auth] Failed to audit denied access:', err.message);
+  }
+  res.status(403).json({ error });
 }
 
 /**
@@ -223,18 +632,89 @@ function requireProduct(productName) {
     if (req.user && req.user.products && req.user.products.includes(productName)) {
       return next();
     }
-    res.status(403).json({ error: `Forbidden - ${productName} access required` });
+    denyAccess(req, res, `Forbidden - ${productName} access required`);
   };
 }
 
 /**
- * Check if user has dashboard access (for admin routes)
+ * Check if user has one of the given roles
+ * Falls back to the database when the token doesn't carry a role
  */
-function requireDashboard(req, res, next) {
-  if (req.user && req.user.products && req.user.products.includes('dashboard')) {
-    return next();
+function requireRole(roles) {
+  return async (req, res, next) => {
+    try {
+      let role = req.user && req.user.role;
+      if (!role && req.user) {
+        const { data: account } = await supabase
+          .from('nextbid_users')
+          .select('role')
+          .eq('id', req.user.id)
+          .single();
+        role = account && account.role;
+      }
+
+      if (roles.includes(role)) {
+        return next();
+      }
+      denyAccess(req, res, `Forbidden - ${roles.join(' or ')} role required`);
+    } catch (error) {
+      console.error('[Auth] Role check error:', error.message);
+      next(error);
+    }
+  };
+}
+
+/**
+ * Check if user has a permission, e.g. requirePermission('patcher:deploy')
+ * Tokens issued before permissions were embedded are resolved from the database
+ */
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      let granted = req.user && req.user.permissions;
+      if (!granted && req.user) {
+        const { data: account } = await supabase
+          .from('nextbid_users')
+          .select('*')
+          .eq('id', req.user.id)
+          .single();
+        granted = account ? await permissions.resolve(account) : [];
+        req.user.permissions = granted;
+      }
+
+      if (hasPermission(granted, permission)) {
+        return next();
+      }
+      denyAccess(req, res, `Forbidden - ${permission} permission required`);
+    } catch (error) {
+      console.error('[Auth] Permission check error:', error.message);
+      next(error);
+    }
+  };
+}
+
+/**
+ * Company owners only - sets req.companyId
+ * Role comes from the database so a demoted owner loses access immediately
+ */
+async function requireCompanyOwner(req, res, next) {
+  try {
+    const { data: account } = await supabase
+      .from('nextbid_users')
+      .select('role, company_id')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!account || account.role !== 'owner' || !account.company_id) {
+      return res.status(403).json({ error: 'Forbidden - company owner required' });
+    }
+
+    req.companyId = account.company_id;
+    next();
+  } catch (error) {
+    console.error('[Team] Owner check error:', error.message);
+    next(error);
   }
-  res.status(403).json({ error: 'Forbidden - Dashboard access required' });
 }
 
 // ============================================================
@@ -245,11 +725,14 @@ function requireDashboard(req, res, next) {
  * Health check
  */
 app.get('/health', (req, res) => {
+  const upstreams = upstreamHealth.status();
+
   res.json({
-    status: 'healthy',
+    status: upstreams.some(u => u.state === 'open') ? 'degraded' : 'healthy',
     service: 'auth-gateway',
     port: PORT,
     auth: 'jwt',
+    upstreams,
     timestamp: new Date().toISOString()
   });
 });
@@ -266,88 +749,82 @@ app.get('/login', (req, res) => {
   res.render('login', { error: null });
 });
 
+/**
+ * Record a failed login against the limiter and the audit log
+ */
+async function recordLoginFailure(req, email, user, reason) {
+  const { locked } = await loginLimiter.fail(email, req.ip);
+
+  await supabase.from('nextbid_audit_log').insert({
+    user_id: user ? user.id : null,
+    action: locked ? 'login_locked' : 'login_failed',
+    resource: `email:${email}`,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    details: { reason }
+  });
+
+  if (locked) {
+    console.warn(`[Auth] Login locked out: ${email} from ${req.ip}`);
+  }
+}
+
 /**
  * Process login - issues JWT tokens
  * Now checks all product tables to build products[] array
+ * Rate limited per email and per IP (lib/login-limiter.js)
  */
 app.post('/login', async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
+  const email = String(req.body.email || '').toLowerCase();
 
   try {
+    const limit = await loginLimiter.check(email, req.ip);
+    if (!limit.allowed) {
+      const wait = Math.ceil(limit.retryAfterMs / 1000);
+      await supabase.from('nextbid_audit_log').insert({
+        action: 'login_blocked',
+        resource: `email:${email}`,
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+        details: { locked: limit.locked, retry_after_seconds: wait }
+      });
+
+      res.set('Retry-After', String(wait));
+      return res.status(429).render('login', {
+        error: limit.locked
+          ? `Too many failed attempts. Try again in ${Math.ceil(wait / 60)} minute(s).`
+          : `Please wait ${wait} second(s) before trying again.`
+      });
+    }
+
     // Find user in central auth table
     const { data: user, error } = await supabase
       .from('nextbid_users')
       .select('*')
-      .eq('email', email.toLowerCase())
+      .eq('email', email)
       .eq('is_active', true)
       .single();
 
     if (error || !user) {
+      await recordLoginFailure(req, email, null, 'unknown_email');
       return res.render('login', { error: 'Invalid email or password' });
     }
 
     // Verify password
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    const validPassword = await bcrypt.compare(password || '', user.password_hash);
     if (!validPassword) {
+      await recordLoginFailure(req, email, user, 'bad_password');
       return res.render('login', { error: 'Invalid email or password' });
     }
 
-    // Check all 6 product tables to build products[] array
-    const products = [];
-
-    // Product 1: Dashboard (dev_users)
-    const { data: devUser } = await supabase
-      .from('dev_users')
-      .select('id')
-      .eq('nextbid_user_id', user.id)
-      .eq('status', 'active')
-      .single();
-    if (devUser) products.push('dashboard');
-
-    // Product 2: Portal (portal_users)
-    const { data: portalUser } = await supabase
-      .from('portal_users')
-      .select('id')
-      .eq('nextbid_user_id', user.id)
-      .eq('status', 'active')
-      .single();
-    if (portalUser) products.push('portal');
-
-    // Product 3: NextBidder (nextbidder_users)
-    const { data: nextbidderUser } = await supabase
-      .from('nextbidder_users')
-      .select('id')
-      .eq('nextbid_user_id', user.id)
-      .eq('status', 'active')
-      .single();
-    if (nextbidderUser) products.push('nextbidder');
-
-    // Product 4: NextTech (nexttech_users)
-    const { data: nexttechUser } = await supabase
-      .from('nexttech_users')
-      .select('id')
-      .eq('nextbid_user_id', user.id)
-      .eq('status', 'active')
-      .single();
-    if (nexttechUser) products.push('nexttech');
-
-    // Product 5: NextTask (nexttask_users)
-    const { data: nexttaskUser } = await supabase
-      .from('nexttask_users')
-      .select('id')
-      .eq('nextbid_user_id', user.id)
-      .eq('status', 'active')
-      .single();
-    if (nexttaskUser) products.push('nexttask');
+    // An admin forced a reset - the emailed link is the only way back in
+    if (user.password_reset_required) {
+      return res.render('login', { error: 'Your password must be reset. Use the link we emailed you, or Forgot password.' });
+    }
 
-    // Product 6: NextSource (nextsource_users)
-    const { data: nextsourceUser } = await supabase
-      .from('nextsource_users')
-      .select('id')
-      .eq('nextbid_user_id', user.id)
-      .eq('status', 'active')
-      .single();
-    if (nextsourceUser) products.push('nextsource');
+    // Resolve products from the product registry
+    const products = await entitlements.resolve(user);
 
     // User must have access to at least one product
     if (products.length === 0) {
@@ -357,40 +834,13 @@ app.post('/login', async (req, res) => {
     // Add products to user object for token generation
     user.products = products;
 
-    // Generate JWT tokens
-    const tokens = generateTokens(user);
-    setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
-
-    // Update last login
-    await supabase
-      .from('nextbid_users')
-      .update({ last_login: new Date().toISOString() })
-      .eq('id', user.id);
-
-    // Log the login
-    await supabase.from('nextbid_audit_log').insert({
-      user_id: user.id,
-      action: 'login',
-      product: products.length === 1 ? products[0] : 'multiple',
-      ip_address: req.ip,
-      details: { user_agent: req.headers['user-agent'], products }
-    });
-
-    console.log(`[Auth] User logged in: ${user.email} (products: ${products.join(', ')})`);
-
-    // Check if first time user needs onboarding
-    if (!user.onboarding_completed) {
-      return res.redirect('/onboarding');
+    // Second step: TOTP code, or forced enrollment when 2FA is required
+    if (user.totp_enabled || await twoFactor.isRequired(user, products)) {
+      setMfaCookie(res, user, { enroll: !user.totp_enabled });
+      return res.redirect('/login/2fa');
     }
 
-    // Redirect based on number of products
-    if (products.length === 1) {
-      // Single product - go directly there
-      return res.redirect(getProductUrl(products[0]));
-    } else {
-      // Multiple products - show choice page
-      return res.redirect('/choose');
-    }
+    res.redirect(await completeLogin(req, res, user));
 
   } catch (error) {
     console.error('[Auth] Login error:', error.message);
@@ -399,43 +849,449 @@ app.post('/login', async (req, res) => {
 });
 
 /**
- * Get the URL for a specific product
+ * Landing URL for a product - services in the registry can override lib/products.js
  */
 function getProductUrl(product) {
-  const productUrls = {
-    'dashboard': 'http://134.199.209.140:7500/dashboard',  // Dev dashboard - direct
-    'portal': '/portal',
-    'nextbidder': '/nextbidder',
-    'nexttech': '/nexttech',
-    'nexttask': '/nexttask',
-    'nextsource': '/nextsource'
-  };
-  return productUrls[product] || '/';
+  return serviceRegistry.productUrl(product) || defaultProductUrl(product);
 }
 
 /**
- * Logout - clears JWT cookies
+ * Finish a fully authenticated login - issues tokens and returns where to go next
+ * user.products must already be set
  */
-app.get('/logout', async (req, res) => {
-  const user = verifyToken(req.cookies.accessToken);
-  if (user) {
-    console.log(`[Auth] User logged out: ${user.email}`);
-    await supabase.from('nextbid_audit_log').insert({
-      user_id: user.id,
-      action: 'logout',
-      ip_address: req.ip
-    });
+async function completeLogin(req, res, user) {
+  const products = user.products;
+
+  await loginLimiter.reset(user.email);
+
+  // Start a server-side session and generate JWT tokens
+  const session = await sessionStore.create(user.id, req);
+  const tokens = await generateTokens(user, session);
+  setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
+
+  // Update last login
+  await supabase
+    .from('nextbid_users')
+    .update({ last_login: new Date().toISOString() })
+    .eq('id', user.id);
+
+  // Log the login
+  await supabase.from('nextbid_audit_log').insert({
+    user_id: user.id,
+    action: 'login',
+    resource: `session:${session.family_id}`,
+    product: products.length === 1 ? products[0] : 'multiple',
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    details: { products }
+  });
+
+  console.log(`[Auth] User logged in: ${user.email} (products: ${products.join(', ')})`);
+
+  // Check if first time user needs onboarding
+  if (!user.onboarding_completed) {
+    return '/onboarding';
   }
-  clearAuthCookies(res);
-  res.redirect('/login');
-});
+
+  // Sent to login from a page (or an OIDC client) - go back there
+  const returnTo = takeReturnTo(req, res);
+  if (returnTo) {
+    return returnTo;
+  }
+
+  // Single product - go directly there, multiple products - show choice page
+  return products.length === 1 ? getProductUrl(products[0]) : '/choose';
+}
 
 /**
- * Registration page
+ * Load the user behind a pending 2FA cookie (with fresh products)
  */
-app.get('/register', (req, res) => {
-  res.render('register', { error: null });
-});
+async function getMfaUser(req) {
+  const pending = verifyMfaToken(req.cookies.mfaToken);
+  if (!pending) return null;
+
+  const { data: user } = await supabase
+    .from('nextbid_users')
+    .select('*')
+    .eq('id', pending.id)
+    .eq('is_active', true)
+    .single();
+
+  if (!user) return null;
+
+  user.products = await entitlements.resolve(user);
+  return { user, enroll: pending.enroll };
+}
+
+/**
+ * 2FA step - enter a code, or enroll first when 2FA is required
+ */
+app.get('/login/2fa', async (req, res) => {
+  try {
+    const pending = await getMfaUser(req);
+    if (!pending) {
+      return res.redirect('/login');
+    }
+
+    const enrollment = pending.enroll ? await twoFactor.beginEnrollment(pending.user.id) : null;
+    res.render('login-2fa', { error: null, enrollment, recoveryCodes: null, continueUrl: null });
+
+  } catch (error) {
+    console.error('[2FA] Login step error:', error.message);
+    res.render('login', { error: 'An error occurred. Please try again.' });
+  }
+});
+
+/**
+ * Verify the 2FA code and finish the login
+ */
+app.post('/login/2fa', async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const pending = await getMfaUser(req);
+    if (!pending) {
+      return res.redirect('/login');
+    }
+    const { user, enroll } = pending;
+
+    const limit = await loginLimiter.check(user.email, req.ip);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+      return res.status(429).render('login', { error: 'Too many failed attempts. Please try again later.' });
+    }
+
+    if (enroll) {
+      const recoveryCodes = await twoFactor.confirmEnrollment(user.id, code);
+      if (!recoveryCodes) {
+        await recordLoginFailure(req, user.email, user, 'bad_totp');
+        const enrollment = await twoFactor.beginEnrollment(user.id);
+        return res.render('login-2fa', { error: 'Invalid code', enrollment, recoveryCodes: null, continueUrl: null });
+      }
+
+      await supabase.from('nextbid_audit_log').insert({
+        user_id: user.id,
+        action: '2fa_enabled',
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent']
+      });
+
+      res.clearCookie('mfaToken', { path: '/login' });
+      const continueUrl = await completeLogin(req, res, user);
+      return res.render('login-2fa', { error: null, enrollment: null, recoveryCodes, continueUrl });
+    }
+
+    const method = await twoFactor.verifyCode(user.id, code);
+    if (!method) {
+      await recordLoginFailure(req, user.email, user, 'bad_totp');
+      return res.render('login-2fa', { error: 'Invalid code', enrollment: null, recoveryCodes: null, continueUrl: null });
+    }
+
+    if (method === 'recovery') {
+      await supabase.from('nextbid_audit_log').insert({
+        user_id: user.id,
+        action: '2fa_recovery_code_used',
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent']
+      });
+    }
+
+    res.clearCookie('mfaToken', { path: '/login' });
+    res.redirect(await completeLogin(req, res, user));
+
+  } catch (error) {
+    console.error('[2FA] Verify error:', error.message);
+    res.render('login', { error: 'An error occurred. Please try again.' });
+  }
+});
+
+/**
+ * Absolute URL for links in emails
+ */
+function publicUrl(req, pathname) {
+  const base = process.env.GATEWAY_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${pathname}`;
+}
+
+/**
+ * Email a verification link to a user
+ */
+async function sendVerificationEmail(req, user) {
+  const token = await oneTimeTokens.issue(user.id, 'email_verification', { details: { email: user.email } });
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirm your NextBid email address',
+    template: 'verify-email',
+    locals: { name: user.name, link: publicUrl(req, `/verify-email/${token}`) }
+  });
+}
+
+/**
+ * Forgot password page
+ */
+app.get('/forgot-password', (req, res) => {
+  res.render('forgot-password', { error: null, notice: null });
+});
+
+/**
+ * Send a password reset link
+ * Always answers the same way so the form can't be used to discover accounts
+ */
+app.post('/forgot-password', async (req, res) => {
+  const email = String(req.body.email || '').toLowerCase().trim();
+  const notice = 'If an account exists for that email, we\'ve sent a link to reset your password.';
+
+  try {
+    const { data: user } = await supabase
+      .from('nextbid_users')
+      .select('id, email, name')
+      .eq('email', email)
+      .eq('is_active', true)
+      .single();
+
+    // Sent after responding, so the response time is the same whether or not
+    // the account exists
+    if (user) {
+      sendPasswordReset(req, user).catch(error => {
+        console.error(`[Auth] Password reset email to ${user.email} failed:`, error.message);
+      });
+    }
+
+    res.render('forgot-password', { error: null, notice });
+
+  } catch (error) {
+    console.error('[Auth] Forgot password error:', error.message);
+    res.render('forgot-password', { error: 'An error occurred. Please try again.', notice: null });
+  }
+});
+
+/**
+ * Issue a reset link, email it and audit the request
+ */
+async function sendPasswordReset(req, user) {
+  const token = await oneTimeTokens.issue(user.id, 'password_reset');
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your NextBid password',
+    template: 'password-reset',
+    locals: { name: user.name, link: publicUrl(req, `/reset-password/${token}`) }
+  });
+
+  await supabase.from('nextbid_audit_log').insert({
+    user_id: user.id,
+    action: 'password_reset_requested',
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent']
+  });
+
+  console.log(`[Auth] Password reset requested: ${user.email}`);
+}
+
+/**
+ * Reset password page
+ */
+app.get('/reset-password/:token', async (req, res) => {
+  try {
+    const row = await oneTimeTokens.find(req.params.token, 'password_reset');
+    res.render('reset-password', { error: null, valid: Boolean(row), token: req.params.token });
+  } catch (error) {
+    console.error('[Auth] Reset link error:', error.message);
+    res.status(500).send('Error loading password reset');
+  }
+});
+
+/**
+ * Set a new password - signs the user out everywhere
+ */
+app.post('/reset-password/:token', async (req, res) => {
+  const { token } = req.params;
+  const { password, confirm_password } = req.body;
+
+  if (!password || password.length < 8) {
+    return res.render('reset-password', { error: 'Password must be at least 8 characters', valid: true, token });
+  }
+  if (password !== confirm_password) {
+    return res.render('reset-password', { error: 'Passwords do not match', valid: true, token });
+  }
+
+  try {
+    const row = await oneTimeTokens.consume(token, 'password_reset');
+    if (!row) {
+      return res.render('reset-password', { error: null, valid: false, token });
+    }
+
+    const password_hash = await bcrypt.hash(password, 12);
+
+    // The reset link proves the user owns the address
+    const { data: user } = await supabase
+      .from('nextbid_users')
+      .update({ password_hash, email_verified: true, password_reset_required: false })
+      .eq('id', row.user_id)
+      .select('id, email')
+      .single();
+
+    await sessionStore.revokeAll(row.user_id, 'password_reset');
+    await apiTokenStore.revokeAll(row.user_id);
+    if (user) {
+      await loginLimiter.unlock(user.email);
+    }
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: row.user_id,
+      action: 'password_reset',
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[Auth] Password reset: ${user ? user.email : row.user_id}`);
+    clearAuthCookies(res);
+    res.render('login', { error: null, notice: 'Your password has been changed. Please sign in.' });
+
+  } catch (error) {
+    console.error('[Auth] Reset password error:', error.message);
+    res.render('reset-password', { error: 'An error occurred. Please try again.', valid: true, token });
+  }
+});
+
+/**
+ * Confirm an email address from the emailed link
+ */
+app.get('/verify-email/:token', async (req, res) => {
+  try {
+    const row = await oneTimeTokens.consume(req.params.token, 'email_verification');
+    if (!row) {
+      return res.render('login', { error: 'This confirmation link is invalid or has expired.' });
+    }
+
+    // Only confirm the address the link was sent to
+    const { data: user } = await supabase
+      .from('nextbid_users')
+      .select('id, email')
+      .eq('id', row.user_id)
+      .single();
+
+    if (!user || (row.details && row.details.email !== user.email)) {
+      return res.render('login', { error: 'This confirmation link is invalid or has expired.' });
+    }
+
+    await supabase
+      .from('nextbid_users')
+      .update({ email_verified: true })
+      .eq('id', user.id);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: user.id,
+      action: 'email_verified',
+      resource: `email:${user.email}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[Auth] Email verified: ${user.email}`);
+
+    if (verifyToken(req.cookies.accessToken)) {
+      return res.redirect('/');
+    }
+    res.render('login', { error: null, notice: 'Your email address is confirmed. Please sign in.' });
+
+  } catch (error) {
+    console.error('[Auth] Verify email error:', error.message);
+    res.render('login', { error: 'An error occurred. Please try again.' });
+  }
+});
+
+/**
+ * Logout - revokes the session and clears JWT cookies
+ */
+app.get('/logout', async (req, res) => {
+  try {
+    let user = verifyToken(req.cookies.accessToken);
+    if (user && user.act) {
+      // Signing out while impersonating signs the admin out too
+      await endImpersonation(req, user, 'logout');
+      user = { id: user.act.sub, email: user.act.email };
+    }
+    await sessionStore.revokeToken(req.cookies.refreshToken, 'logout');
+    if (user) {
+      console.log(`[Auth] User logged out: ${user.email}`);
+      await supabase.from('nextbid_audit_log').insert({
+        user_id: user.id,
+        action: 'logout',
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent']
+      });
+    }
+  } catch (error) {
+    // The cookies still go, whatever the database said
+    console.error('[Auth] Logout error:', error.message);
+  }
+  clearAuthCookies(res);
+  res.redirect('/login');
+});
+
+/**
+ * Auto-login - redeem an SSO code issued by another droplet's gateway
+ * Sets this droplet's cookies and continues to the redirect fixed when the code was issued
+ */
+app.get('/auto-login', async (req, res) => {
+  // The code is in the URL - don't leak it to the next page
+  res.set('Referrer-Policy', 'no-referrer');
+  const rejected = () => res.status(400).render('login', { error: 'That sign-in link is invalid or has expired. Please sign in.' });
+
+  try {
+    const code = await sso.redeem(req.query.code);
+    const redirectUrl = code && resolveRedirect(sso.self, code.redirect_url);
+    if (!redirectUrl) {
+      console.warn(`[SSO] Rejected auto-login code from ${req.ip}`);
+      return rejected();
+    }
+
+    const { data: user } = await supabase
+      .from('nextbid_users')
+      .select('*')
+      .eq('id', code.user_id)
+      .eq('is_active', true)
+      .single();
+
+    if (!user) {
+      return rejected();
+    }
+
+    user.products = await entitlements.resolve(user);
+    if (sso.self.product && !user.products.includes(sso.self.product)) {
+      return res.status(403).render('login', { error: 'Your account does not have access here.' });
+    }
+
+    const session = await sessionStore.create(user.id, req);
+    const tokens = await generateTokens(user, session);
+    setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: user.id,
+      action: 'sso_login',
+      resource: `session:${session.family_id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { issuer: code.issuer, audience: code.audience, redirect: redirectUrl }
+    });
+
+    console.log(`[SSO] Auto-login: ${user.email} (from ${code.issuer || 'unknown'})`);
+    res.redirect(redirectUrl);
+
+  } catch (error) {
+    console.error('[SSO] Auto-login error:', error.message);
+    res.status(500).render('login', { error: 'An error occurred. Please sign in.' });
+  }
+});
+
+/**
+ * Registration page
+ */
+app.get('/register', (req, res) => {
+  res.render('register', { error: null });
+});
 
 /**
  * Process registration
@@ -503,10 +1359,40 @@ app.post('/register', async (req, res) => {
       });
     }
 
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: user.id,
+      action: 'registered',
+      resource: `company:${company.id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { tradelines: tradelineList.filter(Boolean) }
+    });
+
+    await webhooks.emit('user.registered', {
+      user_id: user.id,
+      email: user.email,
+      name: user.name,
+      company_id: company.id,
+      company_name: company.name,
+      role: user.role,
+      via: 'registration'
+    }, { companyId: company.id });
+    for (const tradeline of tradelineList.filter(Boolean)) {
+      await webhooks.emit('tradeline.subscribed', { company_id: company.id, tradeline, expires_at: null }, { companyId: company.id });
+    }
+
     console.log(`[Auth] New registration: ${email} (company: ${company_name})`);
 
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (mailError) {
+      // Registration still succeeds - the user can resend from /verify-email
+      console.error('[Auth] Verification email error:', mailError.message);
+    }
+
     // Generate JWT tokens and auto-login
-    const tokens = generateTokens(user);
+    const session = await sessionStore.create(user.id, req);
+    const tokens = await generateTokens(user, session);
     setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
 
     res.redirect('/profile');
@@ -517,6 +1403,98 @@ app.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Accept a team invitation - sign up into the inviting company
+ */
+app.get('/invite/:token', async (req, res) => {
+  try {
+    const invitation = await team.findInvitation(req.params.token);
+    res.render('accept-invite', { error: null, invitation, token: req.params.token });
+  } catch (error) {
+    console.error('[Team] Invitation error:', error.message);
+    res.status(500).send('Error loading invitation');
+  }
+});
+
+/**
+ * Create the invited user and sign them in
+ */
+app.post('/invite/:token', async (req, res) => {
+  const { token } = req.params;
+  const { name, password, confirm_password } = req.body;
+
+  try {
+    const invitation = await team.findInvitation(token);
+    if (!invitation) {
+      return res.render('accept-invite', { error: null, invitation: null, token });
+    }
+
+    const renderError = error => res.render('accept-invite', { error, invitation, token });
+
+    if (!name || !name.trim()) {
+      return renderError('Please enter your name');
+    }
+    if (!password || password.length < 8) {
+      return renderError('Password must be at least 8 characters');
+    }
+    if (password !== confirm_password) {
+      return renderError('Passwords do not match');
+    }
+
+    const { data: existing } = await supabase
+      .from('nextbid_users')
+      .select('id')
+      .eq('email', invitation.email)
+      .single();
+
+    if (existing) {
+      return renderError('An account with this email already exists. Sign in instead.');
+    }
+
+    const password_hash = await bcrypt.hash(password, 12);
+    const accepted = await team.acceptInvitation(token, { name: name.trim(), passwordHash: password_hash });
+    if (!accepted) {
+      return res.render('accept-invite', { error: null, invitation: null, token });
+    }
+
+    const { user } = accepted;
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: user.id,
+      action: 'invitation_accepted',
+      resource: `company:${user.company_id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { invitation_id: invitation.id, invited_by: invitation.invited_by, role: user.role }
+    });
+
+    await webhooks.emit('user.registered', {
+      user_id: user.id,
+      email: user.email,
+      name: user.name,
+      company_id: user.company_id,
+      role: user.role,
+      via: 'invitation'
+    }, { companyId: user.company_id });
+    await emitProductChanges(user, { granted: accepted.granted, revoked: [] });
+
+    console.log(`[Team] Invitation accepted: ${user.email} (company: ${user.company_id})`);
+
+    user.products = await entitlements.resolve(user);
+
+    if (await twoFactor.isRequired(user, user.products)) {
+      setMfaCookie(res, user, { enroll: true });
+      return res.redirect('/login/2fa');
+    }
+
+    res.redirect(await completeLogin(req, res, user));
+
+  } catch (error) {
+    console.error('[Team] Accept invitation error:', error.message);
+    res.render('accept-invite', { error: 'An error occurred. Please try again.', invitation: null, token });
+  }
+});
+
 // ============================================================
 // AUTHENTICATED ROUTES
 // ============================================================
@@ -535,310 +1513,2925 @@ app.get('/', requireAuth, async (req, res) => {
     return res.redirect(getProductUrl(req.user.products[0]));
   }
 
-  // Multiple products - show choice page
-  if (req.user.products && req.user.products.length > 1) {
-    return res.redirect('/choose');
-  }
+  // Multiple products - show choice page
+  if (req.user.products && req.user.products.length > 1) {
+    return res.redirect('/choose');
+  }
+
+  // No products (shouldn't happen, but fallback)
+  res.redirect('/login');
+});
+
+/**
+ * Waiting for email confirmation
+ */
+app.get('/verify-email', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    const { data: account } = await supabase
+      .from('nextbid_users')
+      .select('email_verified')
+      .eq('id', req.user.id)
+      .single();
+
+    if (account && account.email_verified) {
+      return res.redirect('/');
+    }
+    res.render('verify-email', { email: req.user.email, error: null, notice: null });
+  } catch (error) {
+    console.error('[Auth] Verify email page error:', error.message);
+    res.status(500).send('Error loading page');
+  }
+});
+
+/**
+ * Resend the confirmation email
+ */
+app.post('/verify-email/resend', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    await sendVerificationEmail(req, req.user);
+    res.render('verify-email', { email: req.user.email, error: null, notice: 'Confirmation email sent.' });
+  } catch (error) {
+    console.error('[Auth] Resend verification error:', error.message);
+    res.render('verify-email', { email: req.user.email, error: 'Could not send the email. Please try again.', notice: null });
+  }
+});
+
+/**
+ * Choose page - for users with multiple products
+ */
+app.get('/choose', requireAuth, (req, res) => {
+  // Only show choice if user has multiple products
+  if (!req.user.products || req.user.products.length <= 1) {
+    return res.redirect('/');
+  }
+  res.render('choose', { user: req.user, products: req.user.products });
+});
+
+/**
+ * Hand the user over to another droplet - e.g. /sso/engine?redirect=31006
+ * The redirect (port, path or URL) must be allowed in config/droplets.json
+ */
+app.get('/sso/:droplet', requireAuth, requireInteractive, requireVerifiedEmail, async (req, res) => {
+  const droplet = sso.droplet(req.params.droplet);
+  if (!droplet) {
+    return res.status(404).json({ error: 'Unknown droplet' });
+  }
+
+  const redirectUrl = resolveRedirect(droplet, req.query.redirect);
+  if (!redirectUrl) {
+    return res.status(400).json({ error: 'Redirect not allowed for this droplet' });
+  }
+  if (droplet.product && !req.user.products.includes(droplet.product)) {
+    return res.status(403).json({ error: `Forbidden - ${droplet.product} access required` });
+  }
+
+  // Already on that droplet - our cookies work there
+  if (sso.self && sso.self.name === droplet.name) {
+    return res.redirect(redirectUrl);
+  }
+
+  try {
+    const code = await sso.issue(req.user.id, { audience: droplet.name, redirectUrl, ip: req.ip });
+    res.redirect(`${droplet.authUrl}/auto-login?code=${encodeURIComponent(code)}`);
+  } catch (error) {
+    console.error('[SSO] Issue error:', error.message);
+    res.status(500).json({ error: 'Failed to sign in to that droplet' });
+  }
+});
+
+/**
+ * One card per bid source - never the secrets
+ * state: missing | checking | valid | invalid | unverified (lib/credential-checker.js)
+ */
+async function credentialCards(companyId) {
+  const { data: rows } = await supabase
+    .from('nextbid_company_credentials')
+    .select('source, is_configured, status, last_error, last_used, last_checked_at, updated_at')
+    .eq('company_id', companyId);
+
+  return CREDENTIAL_SOURCES.map(({ source, label }) => {
+    const row = (rows || []).find(r => r.source === source);
+    return {
+      source,
+      label,
+      is_configured: Boolean(row && row.is_configured),
+      state: credentialState(row),
+      last_error: row ? row.last_error : null,
+      last_used: row ? row.last_used : null,
+      last_checked_at: row ? row.last_checked_at : null
+    };
+  });
+}
+
+/**
+ * Onboarding - video game style tutorial
+ */
+app.get('/onboarding', requireAuth, async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('nextbid_users')
+      .select('onboarding_step')
+      .eq('id', req.user.id)
+      .single();
+
+    const { data: company } = await supabase
+      .from('nextbid_companies')
+      .select('*, nextbid_company_tradelines(*)')
+      .eq('id', req.user.company_id)
+      .single();
+
+    res.render('onboarding', {
+      user: req.user,
+      company,
+      credentials: await credentialCards(req.user.company_id),
+      currentStep: user?.onboarding_step || 1
+    });
+  } catch (error) {
+    console.error('[Onboarding] Error:', error.message);
+    res.redirect('/opportunities');
+  }
+});
+
+/**
+ * Save onboarding progress
+ */
+app.post('/onboarding/progress', requireAuth, async (req, res) => {
+  const { step } = req.body;
+
+  try {
+    await supabase
+      .from('nextbid_users')
+      .update({ onboarding_step: step })
+      .eq('id', req.user.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Complete onboarding
+ */
+app.post('/onboarding/complete', requireAuth, async (req, res) => {
+  try {
+    await supabase
+      .from('nextbid_users')
+      .update({
+        onboarding_completed: true,
+        onboarding_step: 6
+      })
+      .eq('id', req.user.id);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'onboarding_completed',
+      resource: `user:${req.user.id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    await webhooks.emit('user.onboarded', {
+      user_id: req.user.id,
+      email: req.user.email,
+      company_id: req.user.company_id
+    }, { companyId: req.user.company_id });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * User profile
+ */
+app.get('/profile', requireAuth, async (req, res) => {
+  try {
+    const { data: company } = await supabase
+      .from('nextbid_companies')
+      .select('*, nextbid_company_tradelines(*)')
+      .eq('id', req.user.company_id)
+      .single();
+
+    const credentials = await credentialCards(req.user.company_id);
+
+    const sessions = await sessionStore.listActive(req.user.id);
+    const apiTokens = await apiTokenStore.list(req.user.id);
+    const alertSettings = await savedSearches.settings(req.user.id);
+    const notifications = await notifier.inbox(req.user.id);
+
+    const { data: account } = await supabase
+      .from('nextbid_users')
+      .select('role, company_id, totp_enabled')
+      .eq('id', req.user.id)
+      .single();
+
+    res.render('profile', {
+      user: req.user,
+      isOwner: Boolean(account && account.role === 'owner'),
+      company,
+      credentials,
+      sessions,
+      apiTokens,
+      alertSettings,
+      notifications,
+      twoFactor: {
+        enabled: Boolean(account && account.totp_enabled),
+        required: await twoFactor.isRequired({ company_id: account && account.company_id }, req.user.products),
+        canRequireForCompany: Boolean(account && account.role === 'owner')
+      }
+    });
+
+  } catch (error) {
+    console.error('[Profile] Error:', error.message);
+    res.status(500).send('Error loading profile');
+  }
+});
+
+/**
+ * Live status of the company's credentials, for the profile and onboarding cards
+ */
+app.get('/profile/credentials', requireAuth, async (req, res) => {
+  try {
+    res.json({ credentials: await credentialCards(req.user.company_id) });
+  } catch (error) {
+    console.error('[Credentials] Status error:', error.message);
+    res.status(500).json({ error: 'Failed to load credentials' });
+  }
+});
+
+/**
+ * Update company credentials
+ * Secrets are envelope-encrypted (lib/credential-vault.js) before they are stored
+ */
+app.post('/profile/credentials', requireAuth, requireInteractive, async (req, res) => {
+  const { source, username, password, api_key } = req.body;
+
+  if (!CREDENTIAL_SOURCES.some(s => s.source === source)) {
+    return res.status(400).json({ error: 'Unknown source' });
+  }
+
+  if (!credentialVault.isConfigured()) {
+    console.error('[Credentials] CREDENTIAL_MASTER_KEYS not configured - refusing to store secrets');
+    return res.status(500).json({ error: 'Failed to update credentials' });
+  }
+
+  try {
+    // A partial update (e.g. only api_key) keeps the other secret's ciphertext
+    // as it is - secrets are never decrypted on this path
+    const { data: existing } = await supabase
+      .from('nextbid_company_credentials')
+      .select('company_id, source, password_encrypted, api_key_encrypted, data_key_encrypted, key_version')
+      .eq('company_id', req.user.company_id)
+      .eq('source', source)
+      .single();
+
+    const secrets = {
+      password: username && password ? password : null,
+      api_key: api_key || null
+    };
+
+    let secretColumns;
+    try {
+      secretColumns = credentialVault.updateCredential(existing, secrets, { companyId: req.user.company_id, source });
+    } catch (vaultError) {
+      console.error(`[Credentials] ${source} for company ${req.user.company_id}:`, vaultError.message);
+      return res.status(409).json({ error: vaultError.message });
+    }
+
+    const credentialData = {
+      company_id: req.user.company_id,
+      source,
+      is_configured: true,
+      // New details go back into the pool, even after it marked the old ones invalid
+      status: 'pending',
+      consecutive_failures: 0,
+      last_error: null,
+      updated_at: new Date().toISOString(),
+      ...secretColumns
+    };
+
+    if (username && password) {
+      credentialData.username = username;
+    }
+
+    const { error } = await supabase
+      .from('nextbid_company_credentials')
+      .upsert(credentialData, { onConflict: 'company_id,source' });
+
+    if (error) {
+      console.error('[Credentials] Update error:', error);
+      return res.status(500).json({ error: 'Failed to update credentials' });
+    }
+
+    // Which fields changed - never their values
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'credentials_updated',
+      resource: `company:${req.user.company_id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { source, username: Boolean(username && password), password: Boolean(username && password), api_key: Boolean(api_key) }
+    });
+
+    await webhooks.emit('credential.updated', {
+      company_id: req.user.company_id,
+      source,
+      updated_by: req.user.id,
+      status: 'pending'
+    }, { companyId: req.user.company_id });
+
+    console.log(`[Credentials] Updated ${source} for company ${req.user.company_id}`);
+    credentialChecker.enqueue(req.user.company_id, source);
+    res.json({ success: true, state: 'checking' });
+
+  } catch (error) {
+    console.error('[Credentials] Error:', error.message);
+    res.status(500).json({ error: 'Failed to update credentials' });
+  }
+});
+
+/**
+ * Revoke one of the user's own sessions
+ */
+app.post('/profile/sessions/:sessionId/revoke', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    const revoked = await sessionStore.revoke(req.params.sessionId, { userId: req.user.id, reason: 'user_revoked' });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'session_revoked',
+      resource: `session:${req.params.sessionId}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    const current = req.params.sessionId === req.user.sid;
+    if (current) {
+      clearAuthCookies(res);
+    }
+    res.json({ success: true, signedOut: current });
+
+  } catch (error) {
+    console.error('[Sessions] Revoke error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+/**
+ * Sign out everywhere - revoke all of the user's sessions, including this one
+ */
+app.post('/profile/sessions/revoke-all', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    await sessionStore.revokeAll(req.user.id, 'user_revoked_all');
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'sessions_revoked_all',
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[Sessions] ${req.user.email} signed out everywhere`);
+    clearAuthCookies(res);
+    res.json({ success: true, signedOut: true });
+
+  } catch (error) {
+    console.error('[Sessions] Revoke all error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+/**
+ * Check a 2FA code from the profile page (rate limited like logins)
+ * Returns true, or sends the error response and returns false
+ */
+async function checkProfileTotp(req, res, code) {
+  const limit = await loginLimiter.check(req.user.email, req.ip);
+  if (!limit.allowed) {
+    res.status(429).json({ error: 'Too many failed attempts. Please try again later.' });
+    return false;
+  }
+
+  if (!await twoFactor.verifyCode(req.user.id, code)) {
+    await recordLoginFailure(req, req.user.email, req.user, 'bad_totp');
+    res.status(400).json({ error: 'Invalid code' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Start 2FA enrollment - returns the QR code and secret
+ */
+app.post('/profile/2fa/setup', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    const { qr, secret, uri } = await twoFactor.beginEnrollment(req.user.id);
+    res.json({ success: true, qr, secret, uri });
+  } catch (error) {
+    console.error('[2FA] Setup error:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Confirm 2FA enrollment - returns recovery codes (shown once)
+ */
+app.post('/profile/2fa/enable', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: '2fa_enabled',
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[2FA] Enabled for ${req.user.email}`);
+    res.json({ success: true, recoveryCodes });
+
+  } catch (error) {
+    console.error('[2FA] Enable error:', error.message);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * Replace recovery codes (requires a current code)
+ */
+app.post('/profile/2fa/recovery-codes', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    if (!await checkProfileTotp(req, res, req.body.code)) return;
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: '2fa_recovery_codes_regenerated',
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ success: true, recoveryCodes });
+
+  } catch (error) {
+    console.error('[2FA] Recovery codes error:', error.message);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * Turn 2FA off (requires a current code, not allowed when 2FA is mandatory)
+ */
+app.post('/profile/2fa/disable', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    const { data: account } = await supabase
+      .from('nextbid_users')
+      .select('company_id')
+      .eq('id', req.user.id)
+      .single();
+
+    if (await twoFactor.isRequired({ company_id: account && account.company_id }, req.user.products)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your account' });
+    }
+
+    if (!await checkProfileTotp(req, res, req.body.code)) return;
+
+    await twoFactor.disable(req.user.id);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: '2fa_disabled',
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[2FA] Disabled for ${req.user.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[2FA] Disable error:', error.message);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+/**
+ * Company owners: make 2FA mandatory for every user in the company
+ * Turning it on signs out users who haven't enrolled yet so they enroll at next login
+ */
+app.post('/profile/company/require-2fa', requireAuth, requireInteractive, async (req, res) => {
+  const required = req.body.required === true || req.body.required === 'true';
+
+  try {
+    const { data: account } = await supabase
+      .from('nextbid_users')
+      .select('role, company_id')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!account || account.role !== 'owner' || !account.company_id) {
+      return res.status(403).json({ error: 'Forbidden - company owner required' });
+    }
+
+    const { error } = await supabase
+      .from('nextbid_companies')
+      .update({ require_2fa: required, updated_at: new Date().toISOString() })
+      .eq('id', account.company_id);
+
+    if (error) {
+      console.error('[2FA] Company policy error:', error);
+      return res.status(500).json({ error: 'Failed to update company policy' });
+    }
+
+    if (required) {
+      const { data: unenrolled } = await supabase
+        .from('nextbid_users')
+        .select('id')
+        .eq('company_id', account.company_id)
+        .neq('totp_enabled', true);
+
+      for (const member of unenrolled || []) {
+        if (member.id !== req.user.id) {
+          await sessionStore.revokeAll(member.id, '2fa_required');
+        }
+      }
+    }
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: required ? 'company_2fa_required' : 'company_2fa_optional',
+      resource: `company:${account.company_id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[2FA] Company ${account.company_id} 2FA ${required ? 'required' : 'optional'} (by ${req.user.email})`);
+    res.json({ success: true, required });
+
+  } catch (error) {
+    console.error('[2FA] Company policy error:', error.message);
+    res.status(500).json({ error: 'Failed to update company policy' });
+  }
+});
+
+/**
+ * Create a personal API token - the token is only returned in this response
+ */
+app.post('/profile/tokens', requireAuth, requireInteractive, async (req, res) => {
+  const { name, scopes, expires_in_days } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Token name is required' });
+  }
+
+  try {
+    const { data: subscriptions } = await supabase
+      .from('nextbid_company_tradelines')
+      .select('tradeline')
+      .eq('company_id', req.user.company_id)
+      .eq('is_active', true);
+
+    let validScopes;
+    try {
+      validScopes = validateScopes(scopes, {
+        products: req.user.products || [],
+        tradelines: (subscriptions || []).map(s => s.tradeline)
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const days = parseInt(expires_in_days, 10);
+    const expiresAt = days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+
+    const apiToken = await apiTokenStore.create(req.user.id, {
+      name: name.trim().slice(0, 255),
+      scopes: validScopes,
+      expiresAt
+    });
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'api_token_created',
+      resource: `api_token:${apiToken.id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { name: apiToken.name, prefix: apiToken.prefix, scopes: validScopes }
+    });
+
+    console.log(`[Tokens] ${req.user.email} created API token nb_${apiToken.prefix}`);
+    res.json({ success: true, token: apiToken });
+
+  } catch (error) {
+    console.error('[Tokens] Create error:', error.message);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+/**
+ * Revoke a personal API token
+ */
+app.post('/profile/tokens/:tokenId/revoke', requireAuth, requireInteractive, async (req, res) => {
+  try {
+    const revoked = await apiTokenStore.revoke(req.user.id, req.params.tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'api_token_revoked',
+      resource: `api_token:${req.params.tokenId}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Tokens] Revoke error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+/**
+ * Upstream service status - state, latency and last error per proxied service
+ */
+app.get('/api/status', requireAuth, (req, res) => {
+  const upstreams = upstreamHealth.status({ detailed: true });
+
+  res.json({
+    status: upstreams.some(u => u.state === 'open') ? 'degraded' : 'healthy',
+    upstreams,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================
+// TEAM ROUTES - Company owners only
+// ============================================================
+
+/**
+ * product.granted / product.revoked for each product team.setProducts changed
+ */
+async function emitProductChanges(user, { granted, revoked }) {
+  for (const [event, products] of [['product.granted', granted], ['product.revoked', revoked]]) {
+    for (const product of products) {
+      await webhooks.emit(event, {
+        user_id: user.id,
+        email: user.email,
+        company_id: user.company_id,
+        product
+      }, { companyId: user.company_id });
+    }
+  }
+}
+
+/**
+ * Team page - members, roles, products and pending invitations
+ */
+app.get('/team', requireAuth, requireInteractive, requireCompanyOwner, async (req, res) => {
+  try {
+    const { data: company } = await supabase
+      .from('nextbid_companies')
+      .select('id, name, tier')
+      .eq('id', req.companyId)
+      .single();
+
+    res.render('team', {
+      user: req.user,
+      company,
+      members: await team.listMembers(req.companyId),
+      invitations: await team.listInvitations(req.companyId),
+      roles: ROLES,
+      products: await team.companyProducts(req.companyId)
+    });
+
+  } catch (error) {
+    console.error('[Team] Error:', error.message);
+    res.status(500).send('Error loading team');
+  }
+});
+
+/**
+ * Invite a coworker by email
+ */
+app.post('/team/invitations', requireAuth, requireInteractive, requireCompanyOwner, async (req, res) => {
+  const email = String(req.body.email || '').toLowerCase().trim();
+  const { role } = req.body;
+  const products = Array.isArray(req.body.products) ? req.body.products : [];
+
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+
+  try {
+    const invalid = validateMember({ role, products }, await team.companyProducts(req.companyId));
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data: existing } = await supabase
+      .from('nextbid_users')
+      .select('id')
+      .eq('email', email)
+      .single();
+
+    if (existing) {
+      return res.status(409).json({ error: 'A user with that email already exists' });
+    }
+
+    const { data: company } = await supabase
+      .from('nextbid_companies')
+      .select('name')
+      .eq('id', req.companyId)
+      .single();
+
+    const { invitation, token } = await team.invite(req.companyId, {
+      email,
+      role,
+      products,
+      invitedBy: req.user.id
+    });
+
+    await mailer.send({
+      to: email,
+      subject: `${req.user.name || req.user.email} invited you to ${company ? company.name : 'NextBid'}`,
+      template: 'team-invite',
+      locals: {
+        inviter: req.user.name || req.user.email,
+        company: company ? company.name : 'their company',
+        role,
+        link: publicUrl(req, `/invite/${token}`)
+      }
+    });
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'invitation_sent',
+      resource: `email:${email}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { invitation_id: invitation.id, role, products }
+    });
+
+    console.log(`[Team] ${req.user.email} invited ${email} as ${role}`);
+    res.status(201).json({ invitation });
+
+  } catch (error) {
+    console.error('[Team] Invite error:', error.message);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+/**
+ * Withdraw a pending invitation
+ */
+app.post('/team/invitations/:invitationId/revoke', requireAuth, requireInteractive, requireCompanyOwner, async (req, res) => {
+  try {
+    const revoked = await team.revokeInvitation(req.companyId, req.params.invitationId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'invitation_revoked',
+      resource: `invitation:${req.params.invitationId}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Team] Revoke invitation error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+/**
+ * Change a member's role and products
+ */
+app.post('/team/members/:userId', requireAuth, requireInteractive, requireCompanyOwner, async (req, res) => {
+  const { role } = req.body;
+  const products = Array.isArray(req.body.products) ? req.body.products : [];
+
+  // Owners are changed by another owner or staff, never by themselves
+  if (req.params.userId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own role or products' });
+  }
+
+  try {
+    const invalid = validateMember({ role, products }, await team.companyProducts(req.companyId));
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const member = await team.getMember(req.companyId, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && member.is_active && await team.countOwners(req.companyId) <= 1) {
+      return res.status(400).json({ error: 'A company needs at least one owner' });
+    }
+
+    const changes = await team.updateMember(req.companyId, member.id, { role, products });
+    entitlements.invalidate(member.id);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'member_updated',
+      resource: `user:${member.id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { previous_role: member.role, role, products }
+    });
+    await emitProductChanges({ ...member, company_id: req.companyId }, changes);
+
+    console.log(`[Team] ${member.email} updated by ${req.user.email} (role: ${role}, products: ${products.join(', ')})`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Team] Update member error:', error.message);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+/**
+ * Deactivate a member - signs them out everywhere and revokes their API tokens
+ */
+app.post('/team/members/:userId/deactivate', requireAuth, requireInteractive, requireCompanyOwner, async (req, res) => {
+  try {
+    const member = await team.getMember(req.companyId, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot deactivate yourself' });
+    }
+    if (member.role === 'owner' && member.is_active && await team.countOwners(req.companyId) <= 1) {
+      return res.status(400).json({ error: 'A company needs at least one owner' });
+    }
+
+    await team.setActive(req.companyId, member.id, false);
+    entitlements.invalidate(member.id);
+    await sessionStore.revokeAll(member.id, 'deactivated');
+    await apiTokenStore.revokeAll(member.id);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'member_deactivated',
+      resource: `user:${member.id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[Team] ${member.email} deactivated by ${req.user.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Team] Deactivate member error:', error.message);
+    res.status(500).json({ error: 'Failed to deactivate member' });
+  }
+});
+
+/**
+ * Reactivate a member
+ */
+app.post('/team/members/:userId/reactivate', requireAuth, requireInteractive, requireCompanyOwner, async (req, res) => {
+  try {
+    const member = await team.getMember(req.companyId, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await team.setActive(req.companyId, member.id, true);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'member_reactivated',
+      resource: `user:${member.id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[Team] ${member.email} reactivated by ${req.user.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Team] Reactivate member error:', error.message);
+    res.status(500).json({ error: 'Failed to reactivate member' });
+  }
+});
+
+// ============================================================
+// ADMIN API ROUTES - Staff with sessions:manage / users:manage
+// ============================================================
+
+/**
+ * List a user's active sessions
+ */
+app.get('/api/admin/users/:userId/sessions', requireAuth, requireInteractive, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const sessions = await sessionStore.listActive(req.params.userId);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('[Admin] Sessions error:', error.message);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * Revoke one of a user's sessions
+ */
+app.post('/api/admin/users/:userId/sessions/:sessionId/revoke', requireAuth, requireInteractive, requirePermission('sessions:manage'), async (req, res) => {
+  const { userId, sessionId } = req.params;
+
+  try {
+    const revoked = await sessionStore.revoke(sessionId, { userId, reason: 'admin_revoked' });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'admin_session_revoked',
+      resource: `session:${sessionId}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { target_user_id: userId }
+    });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Session revoke error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+/**
+ * Revoke all of a user's sessions
+ */
+app.post('/api/admin/users/:userId/sessions/revoke-all', requireAuth, requireInteractive, requirePermission('sessions:manage'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    await sessionStore.revokeAll(userId, 'admin_revoked_all');
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'admin_sessions_revoked_all',
+      resource: `user:${userId}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[Admin] ${req.user.email} revoked all sessions for user ${userId}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Session revoke all error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+/**
+ * Unlock an account locked out by failed logins
+ */
+app.post('/api/admin/users/:userId/unlock', requireAuth, requireInteractive, requirePermission('users:manage'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const { data: target } = await supabase
+      .from('nextbid_users')
+      .select('id, email')
+      .eq('id', userId)
+      .single();
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await loginLimiter.unlock(target.email);
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'admin_account_unlocked',
+      resource: `user:${userId}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    console.log(`[Admin] ${req.user.email} unlocked ${target.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Unlock error:', error.message);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// ============================================================
+// ADMIN CONSOLE - Dashboard users with users: / companies: permissions
+// ============================================================
+
+const adminConsole = [requireAuth, requireInteractive, requireProduct('dashboard')];
+
+/**
+ * Audit an admin change
+ */
+async function logAdminAction(req, action, resource, details) {
+  await supabase.from('nextbid_audit_log').insert({
+    user_id: req.user.id,
+    action,
+    resource,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    details: details || null
+  });
+}
+
+/**
+ * Tradelines in the service registry - the ones a company can subscribe to
+ */
+function knownTradelines() {
+  return serviceRegistry.services().filter(s => s.tradeline).map(s => s.tradeline);
+}
+
+app.get('/admin', ...adminConsole, (req, res) => {
+  res.redirect('/admin/users');
+});
+
+/**
+ * User search
+ */
+app.get('/admin/users', ...adminConsole, requirePermission('users:read'), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 0, 0);
+  try {
+    const users = await admin.searchUsers({ q: req.query.q, page });
+    res.render('admin', { user: req.user, section: 'users', q: req.query.q || '', page, users, companies: [], tiers: TIERS });
+  } catch (error) {
+    console.error('[Admin] User search error:', error.message);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+/**
+ * One user - account status and product access
+ */
+app.get('/admin/users/:userId', ...adminConsole, requirePermission('users:read'), async (req, res) => {
+  try {
+    const target = await admin.getUser(req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.render('admin-user', { user: req.user, target });
+  } catch (error) {
+    console.error('[Admin] User detail error:', error.message);
+    res.status(500).send('Error loading user');
+  }
+});
+
+/**
+ * Deactivate a user - signs them out everywhere
+ */
+app.post('/admin/users/:userId/deactivate', ...adminConsole, requirePermission('users:manage'), async (req, res) => {
+  const { userId } = req.params;
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot deactivate yourself' });
+  }
+
+  try {
+    const target = await admin.getUser(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await admin.setUserActive(userId, false);
+    entitlements.invalidate(userId);
+    await sessionStore.revokeAll(userId, 'deactivated');
+    await apiTokenStore.revokeAll(userId);
+    await logAdminAction(req, 'admin_user_deactivated', `user:${userId}`);
+
+    console.log(`[Admin] ${req.user.email} deactivated ${target.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Deactivate user error:', error.message);
+    res.status(500).json({ error: 'Failed to deactivate user' });
+  }
+});
+
+app.post('/admin/users/:userId/reactivate', ...adminConsole, requirePermission('users:manage'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const target = await admin.getUser(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await admin.setUserActive(userId, true);
+    await logAdminAction(req, 'admin_user_reactivated', `user:${userId}`);
+
+    console.log(`[Admin] ${req.user.email} reactivated ${target.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Reactivate user error:', error.message);
+    res.status(500).json({ error: 'Failed to reactivate user' });
+  }
+});
+
+/**
+ * Force a password reset - the old password stops working and a reset link is emailed
+ */
+app.post('/admin/users/:userId/force-password-reset', ...adminConsole, requirePermission('users:manage'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const target = await admin.getUser(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await admin.requirePasswordReset(userId);
+    await sessionStore.revokeAll(userId, 'password_reset_forced');
+    await apiTokenStore.revokeAll(userId);
+
+    const token = await oneTimeTokens.issue(userId, 'password_reset');
+    await mailer.send({
+      to: target.email,
+      subject: 'Reset your NextBid password',
+      template: 'password-reset',
+      locals: { name: target.name, link: publicUrl(req, `/reset-password/${token}`) }
+    });
+
+    await logAdminAction(req, 'admin_password_reset_forced', `user:${userId}`);
+
+    console.log(`[Admin] ${req.user.email} forced a password reset for ${target.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Force password reset error:', error.message);
+    res.status(500).json({ error: 'Failed to force a password reset' });
+  }
+});
+
+/**
+ * Grant or revoke a product - body: { active: true|false }
+ */
+app.post('/admin/users/:userId/products/:product', ...adminConsole, requirePermission('users:manage'), async (req, res) => {
+  const { userId, product } = req.params;
+  const active = req.body.active === true;
+
+  if (!PRODUCTS.some(p => p.name === product)) {
+    return res.status(400).json({ error: `Unknown product: ${product}` });
+  }
+
+  try {
+    const target = await admin.getUser(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await admin.setProductAccess(userId, product, active);
+    entitlements.invalidate(userId);
+    await logAdminAction(req, active ? 'admin_product_granted' : 'admin_product_revoked', `user:${userId}`, { product });
+    await webhooks.emit(active ? 'product.granted' : 'product.revoked', {
+      user_id: userId,
+      email: target.email,
+      company_id: target.company_id || null,
+      product
+    }, { companyId: target.company_id || null });
+
+    console.log(`[Admin] ${req.user.email} ${active ? 'granted' : 'revoked'} ${product} for ${target.email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Product access error:', error.message);
+    res.status(500).json({ error: 'Failed to update product access' });
+  }
+});
+
+/**
+ * View as user - the admin's access token is swapped for the user's until
+ * they stop or the time limit; their own refresh token is left in place
+ */
+app.post('/admin/users/:userId/impersonate', ...adminConsole, requirePermission('users:impersonate'), async (req, res) => {
+  const { userId } = req.params;
+  const reason = String(req.body.reason || '').trim().slice(0, 500);
+
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot impersonate yourself' });
+  }
+
+  try {
+    const { data: target } = await supabase
+      .from('nextbid_users')
+      .select('*')
+      .eq('id', userId)
+      .eq('is_active', true)
+      .single();
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found or deactivated' });
+    }
+    if ((target.domain || 'portal') !== 'portal') {
+      return res.status(403).json({ error: 'Only customer accounts can be impersonated' });
+    }
+
+    target.products = await entitlements.resolve(target);
+
+    const impersonation = await impersonations.start({
+      impersonatorId: req.user.id,
+      userId,
+      reason,
+      ip: req.ip,
+      ttlMs: IMPERSONATION_TTL_MS
+    });
+    const accessToken = await generateImpersonationToken(target, impersonation, req.user);
+
+    res.cookie('accessToken', accessToken, {
+      httpOnly: true,
+      secure: false, // Set to true when using HTTPS
+      sameSite: 'lax',
+      path: '/',
+      maxAge: IMPERSONATION_TTL_MS
+    });
+
+    await logAdminAction(req, 'impersonation_started', `user:${userId}`, {
+      impersonation: impersonation.id,
+      reason: reason || null,
+      expires_at: impersonation.expires_at
+    });
+
+    console.log(`[Admin] ${req.user.email} is impersonating ${target.email} until ${impersonation.expires_at}`);
+    res.json({ success: true, redirect: '/' });
+
+  } catch (error) {
+    console.error('[Admin] Impersonate error:', error.message);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+/**
+ * Stop impersonating - the next request refreshes back to the admin's own session
+ */
+app.post('/impersonation/stop', requireAuth, async (req, res) => {
+  if (!req.user.act) {
+    return res.redirect(303, '/');
+  }
+
+  try {
+    await endImpersonation(req, req.user, 'stopped');
+  } catch (error) {
+    // The cookie still goes - without it the admin is back on their own session
+    console.error('[Admin] Stop impersonation error:', error.message);
+  }
+  res.clearCookie('accessToken', { path: '/' });
+  res.redirect(303, `/admin/users/${req.user.id}`);
+});
+
+/**
+ * Company search and create form
+ */
+app.get('/admin/companies', ...adminConsole, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const companies = await admin.searchCompanies({ q: req.query.q });
+    res.render('admin', { user: req.user, section: 'companies', q: req.query.q || '', page: 0, users: [], companies, tiers: TIERS });
+  } catch (error) {
+    console.error('[Admin] Company search error:', error.message);
+    res.status(500).json({ error: 'Failed to search companies' });
+  }
+});
+
+app.post('/admin/companies', ...adminConsole, requirePermission('companies:manage'), async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const tier = req.body.tier || 'standard';
+
+  if (!name) {
+    return res.status(400).json({ error: 'Company name is required' });
+  }
+  if (!TIERS.includes(tier)) {
+    return res.status(400).json({ error: `Tier must be one of: ${TIERS.join(', ')}` });
+  }
+
+  try {
+    const company = await admin.createCompany({ name: name.slice(0, 255), tier });
+    await logAdminAction(req, 'admin_company_created', `company:${company.id}`, { name: company.name, tier });
+
+    console.log(`[Admin] ${req.user.email} created company ${company.name}`);
+    res.status(201).json({ success: true, company });
+
+  } catch (error) {
+    console.error('[Admin] Create company error:', error.message);
+    res.status(500).json({ error: 'Failed to create company' });
+  }
+});
+
+/**
+ * One company - details, members and tradeline subscriptions
+ */
+app.get('/admin/companies/:companyId', ...adminConsole, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const company = await admin.getCompany(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    res.render('admin-company', { user: req.user, company, tiers: TIERS, tradelines: knownTradelines() });
+  } catch (error) {
+    console.error('[Admin] Company detail error:', error.message);
+    res.status(500).send('Error loading company');
+  }
+});
+
+/**
+ * Update a company - body: { name, tier, is_active } (any subset)
+ */
+app.post('/admin/companies/:companyId', ...adminConsole, requirePermission('companies:manage'), async (req, res) => {
+  const { companyId } = req.params;
+  const changes = {};
+
+  if (req.body.name !== undefined) {
+    changes.name = String(req.body.name).trim().slice(0, 255);
+    if (!changes.name) {
+      return res.status(400).json({ error: 'Company name is required' });
+    }
+  }
+  if (req.body.tier !== undefined) {
+    if (!TIERS.includes(req.body.tier)) {
+      return res.status(400).json({ error: `Tier must be one of: ${TIERS.join(', ')}` });
+    }
+    changes.tier = req.body.tier;
+  }
+  if (req.body.is_active !== undefined) {
+    changes.is_active = req.body.is_active === true;
+  }
+
+  try {
+    const company = await admin.getCompany(companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await admin.updateCompany(companyId, changes);
+    await logAdminAction(req, 'admin_company_updated', `company:${companyId}`, changes);
+
+    console.log(`[Admin] ${req.user.email} updated company ${company.name}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Update company error:', error.message);
+    res.status(500).json({ error: 'Failed to update company' });
+  }
+});
+
+/**
+ * Add or change a tradeline subscription - body: { tradeline, active, expires_at }
+ */
+app.post('/admin/companies/:companyId/tradelines', ...adminConsole, requirePermission('companies:manage'), async (req, res) => {
+  const { companyId } = req.params;
+  const { tradeline } = req.body;
+  const active = req.body.active !== false;
+  const expiresAt = req.body.expires_at ? new Date(req.body.expires_at) : null;
+
+  if (!knownTradelines().includes(tradeline)) {
+    return res.status(400).json({ error: `Unknown tradeline: ${tradeline}` });
+  }
+  if (expiresAt && isNaN(expiresAt.getTime())) {
+    return res.status(400).json({ error: 'Invalid expiry date' });
+  }
+
+  try {
+    const company = await admin.getCompany(companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await admin.setTradeline(companyId, tradeline, { active, expiresAt: expiresAt ? expiresAt.toISOString() : null });
+    permissions.invalidate(companyId);
+    await logAdminAction(req, 'admin_tradeline_updated', `company:${companyId}`, {
+      tradeline,
+      active,
+      expires_at: expiresAt ? expiresAt.toISOString() : null
+    });
+    await webhooks.emit(active ? 'tradeline.subscribed' : 'tradeline.unsubscribed', {
+      company_id: companyId,
+      tradeline,
+      expires_at: expiresAt ? expiresAt.toISOString() : null
+    }, { companyId });
+
+    console.log(`[Admin] ${req.user.email} set ${tradeline} for ${company.name} (${active ? 'active' : 'inactive'})`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Tradeline error:', error.message);
+    res.status(500).json({ error: 'Failed to update tradeline' });
+  }
+});
+
+// ============================================================
+// AUDIT LOG - Staff with audit:read, company owners for their company
+// ============================================================
+
+const AUDIT_ACTION_PATTERN = /^[a-z0-9_]+\*?$/;
+
+/**
+ * Staff with audit:read see every event; company owners see their company's
+ * Sets req.auditCompanyId (null = everything)
+ */
+function requireAuditAccess(req, res, next) {
+  if (hasPermission(req.user.permissions, 'audit:read')) {
+    req.auditCompanyId = null;
+    return next();
+  }
+  requireCompanyOwner(req, res, () => {
+    req.auditCompanyId = req.companyId;
+    next();
+  });
+}
+
+/**
+ * Audit filters from the query string - user (id or email), company, action, from, to
+ * Returns { filters } or { error }; filters is null when nothing can match
+ */
+async function auditFilters(req) {
+  const { user, company, action, from, to } = req.query;
+  const filters = {
+    companyId: req.auditCompanyId || company || null,
+    action: action || null
+  };
+
+  if (action && !AUDIT_ACTION_PATTERN.test(action)) {
+    return { error: 'Invalid action filter' };
+  }
+  if (company && !req.auditCompanyId && !UUID_PATTERN.test(company)) {
+    return { error: 'Invalid company filter' };
+  }
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${key} date` };
+    }
+    filters[key] = date.toISOString();
+  }
+
+  if (user && user.includes('@')) {
+    const { data: account } = await supabase
+      .from('nextbid_users')
+      .select('id')
+      .eq('email', user.toLowerCase().trim())
+      .single();
+    if (!account) {
+      return { filters: null };
+    }
+    filters.userId = account.id;
+  } else if (user) {
+    if (!UUID_PATTERN.test(user)) {
+      return { error: 'User filter must be an email or a user id' };
+    }
+    filters.userId = user;
+  }
+
+  return { filters };
+}
+
+/**
+ * Audit log page - filter form, results and export links
+ */
+app.get('/audit', requireAuth, requireInteractive, requireAuditAccess, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 0, 0);
+  const query = { user: '', company: '', action: '', from: '', to: '', ...req.query };
+
+  try {
+    const { filters, error } = await auditFilters(req);
+    const result = filters ? await auditLog.search(filters, { page }) : { events: [], hasMore: false };
+    res.render('audit', {
+      user: req.user,
+      staff: req.auditCompanyId === null,
+      query,
+      page,
+      error: error || null,
+      events: error ? [] : result.events,
+      hasMore: !error && result.hasMore
+    });
+  } catch (err) {
+    console.error('[Audit] Search error:', err.message);
+    res.status(500).json({ error: 'Failed to search audit log' });
+  }
+});
+
+/**
+ * Search events - ?user=&company=&action=&from=&to=&page=
+ */
+app.get('/api/audit', requireAuth, requireInteractive, requireAuditAccess, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 0, 0);
+
+  try {
+    const { filters, error } = await auditFilters(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = filters ? await auditLog.search(filters, { page }) : { events: [], hasMore: false };
+    res.json({ page, ...result });
+  } catch (err) {
+    console.error('[Audit] Search error:', err.message);
+    res.status(500).json({ error: 'Failed to search audit log' });
+  }
+});
+
+/**
+ * Export events - same filters, ?format=csv|ndjson
+ */
+app.get('/api/audit/export', requireAuth, requireInteractive, requireAuditAccess, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'ndjson'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be csv or ndjson' });
+  }
+
+  let filters;
+  try {
+    const checked = await auditFilters(req);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error });
+    }
+    filters = checked.filters;
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: req.user.id,
+      action: 'audit_exported',
+      resource: req.auditCompanyId ? `company:${req.auditCompanyId}` : null,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { format, filters }
+    });
+  } catch (err) {
+    console.error('[Audit] Export error:', err.message);
+    return res.status(500).json({ error: 'Failed to export audit log' });
+  }
+
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'csv') {
+      res.write(EXPORT_COLUMNS.join(',') + '\n');
+    }
+    if (filters) {
+      for await (const row of auditLog.all(filters)) {
+        res.write(format === 'csv' ? csvLine(row) : JSON.stringify(row) + '\n');
+      }
+    }
+    res.end();
+
+  } catch (err) {
+    // Headers are gone - cut the download short so it isn't mistaken for complete
+    console.error('[Audit] Export error:', err.message);
+    res.destroy(err);
+  }
+});
+
+// ============================================================
+// API ROUTES - For internal services to get credentials
+// ============================================================
+
+/**
+ * Record an internal call against the calling service (or the key prefix it tried)
+ */
+async function recordServiceCall(req, res) {
+  const client = req.serviceClient;
+  const prefix = (String(req.headers['x-api-key'] || '').match(/^nbs_([a-f0-9]{8})_/) || [])[1] || null;
+
+  try {
+    await supabase.from('nextbid_audit_log').insert({
+      action: [401, 403].includes(res.statusCode) ? 'service_call_denied' : 'service_call',
+      resource: client ? `service:${client.name}` : null,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { key_prefix: prefix, method: req.method, path: req.originalUrl, status: res.statusCode }
+    });
+  } catch (error) {
+    console.error('[API] Failed to record service call:', error.message);
+  }
+}
+
+/**
+ * Authenticate an internal service by its X-API-Key (lib/service-clients.js)
+ * scope is a string or a function of req, e.g. req => `credentials:read:${req.params.source}`
+ */
+function requireServiceClient(scope) {
+  return async (req, res, next) => {
+    try {
+      res.on('finish', () => recordServiceCall(req, res));
+
+      const client = await serviceClients.authenticate(req.headers['x-api-key']);
+      if (!client) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      req.serviceClient = client;
+
+      if (!ipAllowed(client, req.ip)) {
+        return res.status(403).json({ error: 'Forbidden - address not allowed for this service' });
+      }
+
+      const required = typeof scope === 'function' ? scope(req) : scope;
+      if (required && !hasPermission(client.scopes, required)) {
+        return res.status(403).json({ error: `Forbidden - ${required} scope required` });
+      }
+      next();
+    } catch (error) {
+      console.error('[API] Service authentication error:', error.message);
+      next(error);
+    }
+  };
+}
+
+/**
+ * Get company credentials for a source
+ */
+app.get('/api/credentials/:companyId/:source', requireServiceClient(req => `credentials:read:${req.params.source}`), async (req, res) => {
+  const { companyId, source } = req.params;
+
+  try {
+    const { data: credential } = await supabase
+      .from('nextbid_company_credentials')
+      .select('*')
+      .eq('company_id', companyId)
+      .eq('source', source)
+      .single();
+
+    if (!credential) {
+      return res.status(404).json({ error: 'Credentials not found' });
+    }
+
+    // Secrets are only ever decrypted here and in the checkout below
+    const secrets = credentialVault.decryptCredential(credential);
+
+    res.json({
+      success: true,
+      source,
+      username: credential.username,
+      password: secrets.password,
+      api_key: secrets.api_key
+    });
+
+  } catch (error) {
+    console.error('[API] Credentials error:', error.message);
+    res.status(500).json({ error: 'Failed to get credentials' });
+  }
+});
+
+/**
+ * Check out the next healthy credential for a source - body: { source, worker, ttl_seconds }
+ * The lease keeps other workers off this login until it's reported or runs out
+ */
+app.post('/api/credentials/checkout', requireServiceClient(req => `credentials:lease:${req.body.source || ''}`), async (req, res) => {
+  const { source, worker, ttl_seconds } = req.body;
+
+  if (!source) {
+    return res.status(400).json({ error: 'source is required' });
+  }
+
+  try {
+    const lease = await credentialPool.checkout(source, {
+      worker: `${req.serviceClient.name}${worker ? `/${worker}` : ''}`.slice(0, 100),
+      ttlSeconds: ttl_seconds
+    });
+
+    if (!lease) {
+      return res.status(404).json({ error: `No credential available for ${source}` });
+    }
+
+    const secrets = credentialVault.decryptCredential(lease);
+
+    res.json({
+      success: true,
+      lease_id: lease.lease_id,
+      leased_until: lease.leased_until,
+      credential_id: lease.id,
+      company_id: lease.company_id,
+      source: lease.source,
+      username: lease.username,
+      password: secrets.password,
+      api_key: secrets.api_key
+    });
+
+  } catch (error) {
+    console.error('[API] Credential checkout error:', error.message);
+    res.status(500).json({ error: 'Failed to check out credential' });
+  }
+});
+
+/**
+ * Tell the company's owners their credential was taken out of the pool
+ */
+async function notifyCredentialInvalid(credential, { link, reason, failures }) {
+  const [{ data: company }, { data: owners }] = await Promise.all([
+    supabase.from('nextbid_companies').select('name').eq('id', credential.company_id).single(),
+    supabase
+      .from('nextbid_users')
+      .select('email, name')
+      .eq('company_id', credential.company_id)
+      .eq('role', 'owner')
+      .eq('is_active', true)
+  ]);
+
+  for (const owner of owners || []) {
+    await mailer.send({
+      to: owner.email,
+      subject: `Your ${credential.source} login stopped working`,
+      template: 'credential-invalid',
+      locals: {
+        name: owner.name,
+        company: company ? company.name : 'your company',
+        source: credential.source,
+        failures,
+        reason,
+        link
+      }
+    });
+  }
+}
+
+/**
+ * A background check (lib/credential-checker.js) changed a credential's status
+ * Owners only hear about logins that were working - new ones show on the profile
+ */
+async function credentialStatusChanged(credential) {
+  if (credential.status !== 'invalid') return;
+
+  await supabase.from('nextbid_audit_log').insert({
+    action: 'credential_invalidated',
+    resource: `company:${credential.company_id}`,
+    company_id: credential.company_id,
+    details: { source: credential.source, credential_id: credential.id, error: credential.error, via: 'check' }
+  });
+  await webhooks.emit('credential.invalidated', {
+    company_id: credential.company_id,
+    source: credential.source,
+    error: credential.error,
+    via: 'check'
+  }, { companyId: credential.company_id });
+
+  if (credential.previous_status === 'valid') {
+    const base = (process.env.GATEWAY_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+    try {
+      await notifyCredentialInvalid(credential, { link: `${base}/profile`, reason: credential.error });
+    } catch (mailError) {
+      console.error('[Credentials] Notification error:', mailError.message);
+    }
+  }
+}
+
+/**
+ * Report how a leased credential did - body: { success: true|false, error }
+ */
+app.post('/api/credentials/leases/:leaseId/result', requireServiceClient(), async (req, res) => {
+  const { leaseId } = req.params;
+
+  if (typeof req.body.success !== 'boolean') {
+    return res.status(400).json({ error: 'success must be true or false' });
+  }
+  if (!UUID_PATTERN.test(leaseId)) {
+    return res.status(404).json({ error: 'Lease not found' });
+  }
+
+  try {
+    const lease = await credentialPool.findLease(leaseId);
+    if (!lease) {
+      return res.status(409).json({ error: 'Lease not found or expired' });
+    }
+    if (!hasPermission(req.serviceClient.scopes, `credentials:lease:${lease.source}`)) {
+      return res.status(403).json({ error: `Forbidden - credentials:lease:${lease.source} scope required` });
+    }
+
+    const credential = await credentialPool.report(leaseId, { success: req.body.success, error: req.body.error });
+    if (!credential) {
+      return res.status(409).json({ error: 'Lease not found or expired' });
+    }
+
+    if (credential.status === 'invalid' && credential.previous_status !== 'invalid') {
+      await supabase.from('nextbid_audit_log').insert({
+        action: 'credential_invalidated',
+        resource: `company:${credential.company_id}`,
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+        company_id: credential.company_id,
+        details: { source: credential.source, credential_id: credential.id, error: req.body.error || null }
+      });
+      await webhooks.emit('credential.invalidated', {
+        company_id: credential.company_id,
+        source: credential.source,
+        error: req.body.error || null,
+        via: 'lease'
+      }, { companyId: credential.company_id });
+
+      try {
+        await notifyCredentialInvalid(credential, {
+          link: publicUrl(req, '/profile'),
+          reason: req.body.error,
+          failures: CREDENTIAL_FAILURE_THRESHOLD
+        });
+      } catch (mailError) {
+        console.error('[API] Credential notification error:', mailError.message);
+      }
+      console.log(`[API] ${credential.source} credential for company ${credential.company_id} is now invalid`);
+    }
+
+    res.json({ success: true, status: credential.status });
+
+  } catch (error) {
+    console.error('[API] Credential result error:', error.message);
+    res.status(500).json({ error: 'Failed to report credential result' });
+  }
+});
+
+/**
+ * Get all companies subscribed to a tradeline
+ */
+app.get('/api/tradeline/:tradeline/companies', requireServiceClient(req => `tradeline:${req.params.tradeline}:companies`), async (req, res) => {
+  const { tradeline } = req.params;
+
+  try {
+    const { data: subscriptions } = await supabase
+      .from('nextbid_company_tradelines')
+      .select('company_id, nextbid_companies(id, name)')
+      .eq('tradeline', tradeline)
+      .eq('is_active', true);
+
+    const companies = (subscriptions || []).map(s => ({
+      id: s.company_id,
+      name: s.nextbid_companies?.name
+    }));
+
+    res.json({ success: true, tradeline, companies });
+
+  } catch (error) {
+    console.error('[API] Tradeline companies error:', error.message);
+    res.status(500).json({ error: 'Failed to get companies' });
+  }
+});
+
+// ============================================================
+// OPENID CONNECT PROVIDER - Sign-in for products on other domains
+// ============================================================
+
+/**
+ * Relying parties call these from their own origin - no cookies are involved
+ */
+function oidcCors(req, res, next) {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+  next();
+}
+
+/**
+ * OAuth 2.0 error response
+ */
+function oauthError(res, status, error, description) {
+  res.status(status).json({ error, error_description: description });
+}
+
+/**
+ * Active user with fresh products - everything the ID token claims need
+ */
+async function loadOidcUser(userId) {
+  const { data: user } = await supabase
+    .from('nextbid_users')
+    .select('*')
+    .eq('id', userId)
+    .eq('is_active', true)
+    .single();
+
+  if (!user) return null;
+
+  user.products = await entitlements.resolve(user);
+  return user;
+}
+
+app.get('/.well-known/openid-configuration', oidcCors, (req, res) => {
+  res.json(oidc.discovery());
+});
+
+app.get('/.well-known/jwks.json', oidcCors, (req, res) => {
+  res.json(oidc.jwks());
+});
+
+/**
+ * Authorization endpoint - signed-out users go through /login and come back here
+ */
+app.get('/oauth/authorize', requireAuth, requireInteractive, requireVerifiedEmail, async (req, res) => {
+  const { client_id, redirect_uri, response_type, scope = '', state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  try {
+    const client = await oidc.findClient(client_id);
+
+    // Never redirect to a URI the client didn't register
+    if (!client || !oidc.allowsRedirect(client, redirect_uri)) {
+      return oauthError(res, 400, 'invalid_request', 'Unknown client_id or redirect_uri');
+    }
+
+    const respond = params => {
+      const url = new URL(redirect_uri);
+      for (const [key, value] of Object.entries({ ...params, state })) {
+        if (value) url.searchParams.set(key, value);
+      }
+      res.redirect(url.href);
+    };
+
+    const scopes = scope.split(' ').filter(Boolean);
+    if (response_type !== 'code') {
+      return respond({ error: 'unsupported_response_type', error_description: 'Only response_type=code is supported' });
+    }
+    if (!scopes.includes('openid') || scopes.some(s => !oidc.scopes.includes(s))) {
+      return respond({ error: 'invalid_scope', error_description: `Scopes must include openid and be among: ${oidc.scopes.join(', ')}` });
+    }
+    if (code_challenge_method !== 'S256' || !/^[A-Za-z0-9_-]{43}$/.test(code_challenge || '')) {
+      return respond({ error: 'invalid_request', error_description: 'PKCE with code_challenge_method=S256 is required' });
+    }
+
+    const user = await loadOidcUser(req.user.id);
+    if (!user) {
+      return respond({ error: 'access_denied', error_description: 'Account is deactivated' });
+    }
+    if (client.product && !user.products.includes(client.product)) {
+      return respond({ error: 'access_denied', error_description: `${client.product} access required` });
+    }
+
+    const code = await oidc.issueCode({
+      client,
+      userId: user.id,
+      sessionId: req.user.sid,
+      redirectUri: redirect_uri,
+      scope: scopes.join(' '),
+      nonce,
+      codeChallenge: code_challenge
+    });
+
+    await supabase.from('nextbid_audit_log').insert({
+      user_id: user.id,
+      action: 'oidc_authorize',
+      product: client.product,
+      resource: `user:${user.id}`,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'],
+      details: { client_id: client.client_id, scope: scopes.join(' ') }
+    });
+
+    console.log(`[OIDC] Authorized ${user.email} for ${client.client_id}`);
+    respond({ code });
+
+  } catch (error) {
+    console.error('[OIDC] Authorize error:', error.message);
+    oauthError(res, 500, 'server_error', 'Authorization failed');
+  }
+});
+
+app.options(['/oauth/token', '/oauth/userinfo'], oidcCors);
+
+/**
+ * Token endpoint - exchange an authorization code (client_secret_basic, client_secret_post or PKCE only)
+ */
+app.post('/oauth/token', oidcCors, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const basic = parseBasicAuth(req.headers.authorization);
+    if (basic === false) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+    const clientId = basic ? basic.clientId : req.body.client_id;
+    const clientSecret = basic ? basic.clientSecret : req.body.client_secret;
+
+    const client = await oidc.findClient(clientId);
+    if (!client || !oidc.authenticateClient(client, clientSecret)) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+      return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const code = await oidc.redeemCode(req.body.code, {
+      clientId: client.client_id,
+      redirectUri: req.body.redirect_uri,
+      codeVerifier: req.body.code_verifier
+    });
+    const user = code && await loadOidcUser(code.user_id);
+    if (!user) {
+      return oauthError(res, 400, 'invalid_grant', 'Code is invalid, expired or already used');
+    }
+
+    res.json(oidc.issueTokens(user, code));
+
+  } catch (error) {
+    console.error('[OIDC] Token error:', error.message);
+    oauthError(res, 500, 'server_error', 'Token request failed');
+  }
+});
+
+/**
+ * UserInfo endpoint - claims for the user behind an access token
+ */
+async function userinfo(req, res) {
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  const claims = bearer && oidc.verifyAccessToken(bearer[1]);
+  const user = claims && await loadOidcUser(claims.sub);
+
+  if (!user) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return oauthError(res, 401, 'invalid_token', 'Access token is invalid or expired');
+  }
+
+  res.json({ sub: String(user.id), ...oidc.userClaims(user, claims.scope) });
+}
+
+app.get('/oauth/userinfo', oidcCors, userinfo);
+app.post('/oauth/userinfo', oidcCors, userinfo);
+
+/**
+ * End session endpoint - signs out of the gateway, then back to a registered post_logout_redirect_uri
+ * GET only signs out when id_token_hint belongs to the signed-in user, so a
+ * link on another site can't; otherwise the user confirms with a POST
+ */
+async function oauthLogout(req, res, params) {
+  const { id_token_hint, post_logout_redirect_uri, state } = params;
+  const hint = id_token_hint ? oidc.verify(id_token_hint, { ignoreExpiration: true }) : null;
+  const clientId = hint ? hint.aud : params.client_id;
+  let redirectUrl = '/login';
+
+  try {
+    if (post_logout_redirect_uri) {
+      const client = await oidc.findClient(clientId);
+      if (client && oidc.allowsLogoutRedirect(client, post_logout_redirect_uri)) {
+        const url = new URL(post_logout_redirect_uri);
+        if (state) url.searchParams.set('state', state);
+        redirectUrl = url.href;
+      }
+    }
+
+    let user = verifyToken(req.cookies.accessToken);
+    if (user && user.act) {
+      // Same as /logout - ends the impersonation and signs the admin out too
+      await endImpersonation(req, user, 'logout');
+      user = { id: user.act.sub, email: user.act.email };
+    }
+    await sessionStore.revokeToken(req.cookies.refreshToken, 'logout');
+    if (user) {
+      console.log(`[OIDC] User logged out via ${clientId || 'unknown client'}: ${user.email}`);
+      await supabase.from('nextbid_audit_log').insert({
+        user_id: user.id,
+        action: 'logout',
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+        details: { client_id: clientId || null }
+      });
+    }
+  } catch (error) {
+    console.error('[OIDC] Logout error:', error.message);
+  }
+
+  clearAuthCookies(res);
+  res.redirect(303, redirectUrl);
+}
+
+app.get('/oauth/logout', async (req, res) => {
+  const { id_token_hint, post_logout_redirect_uri, state, client_id } = req.query;
+  const hint = id_token_hint ? oidc.verify(id_token_hint, { ignoreExpiration: true }) : null;
+  const user = verifyToken(req.cookies.accessToken);
+  const subject = user && (user.act ? user.act.sub : user.id);
+
+  if (!user && !req.cookies.refreshToken) {
+    return oauthLogout(req, res, req.query);
+  }
+  if (hint && subject && hint.sub === String(subject)) {
+    return oauthLogout(req, res, req.query);
+  }
+
+  res.render('logout-confirm', {
+    params: { id_token_hint, post_logout_redirect_uri, state, client_id }
+  });
+});
+
+app.post('/oauth/logout', (req, res) => oauthLogout(req, res, req.body));
+
+// ============================================================
+// REVERSE PROXY - Pass user info to backend services
+// ============================================================
+
+/**
+ * Fail fast when a service is down - branded page for browsers, JSON 503 otherwise
+ */
+function serviceUnavailable(req, res, name) {
+  const retryAfter = upstreamHealth.retryAfter(name) || 30;
+  res.set('Retry-After', String(retryAfter));
+
+  if (req.accepts(['html', 'json']) !== 'html' || (req.user && req.user.apiToken)) {
+    return res.status(503).json({ error: 'Service unavailable', service: name, retryAfter });
+  }
+  res.status(503).render('service-unavailable', { service: name, retryAfter });
+}
+
+/**
+ * Stop requests at the gateway while a service's circuit is open
+ */
+function requireUpstream(name) {
+  return (req, res, next) => {
+    if (upstreamHealth.allow(name)) {
+      return next();
+    }
+    serviceUnavailable(req, res, name);
+  };
+}
+
+/**
+ * Create proxy with user headers
+ * Backend services can trust these headers because only gateway can reach them
+ * Pass the service name to feed proxy results into its circuit breaker
+ */
+function createAuthProxy(target, pathRewrite = null, serviceName = null) {
+  const options = {
+    target,
+    changeOrigin: true,
+    proxyTimeout: UPSTREAM_TIMEOUT_MS,
+    onProxyRes: proxyRes => {
+      if (serviceName && proxyRes.statusCode < 500) {
+        upstreamHealth.recordSuccess(serviceName);
+      }
+    },
+    onError: (err, req, res) => {
+      console.error(`[Proxy] ${serviceName || target} ${req.method} ${req.originalUrl}: ${err.code || err.message}`);
+      if (serviceName) {
+        upstreamHealth.recordFailure(serviceName, err.code || err.message);
+      }
+      if (!res.headersSent) {
+        serviceUnavailable(req, res, serviceName || target);
+      }
+    },
+    onProxyReq: (proxyReq, req) => {
+      // Personal API tokens are for the gateway only - never forward them
+      if (req.user && req.user.apiToken) {
+        proxyReq.removeHeader('authorization');
+      }
+
+      // Pass authenticated user info to backend
+      // X-User-* are informational - backends trust only the signed X-Gateway-Assertion
+      if (req.user) {
+        proxyReq.setHeader('X-User-Id', req.user.id);
+        proxyReq.setHeader('X-User-Email', req.user.email);
+        proxyReq.setHeader('X-User-Name', req.user.name || '');
+        proxyReq.setHeader('X-User-Role', req.user.role || 'user');
+        proxyReq.setHeader('X-User-Domain', req.user.domain || 'portal');
+        proxyReq.setHeader('X-Company-Id', req.user.company_id || '');
+        if (req.user.act) {
+          proxyReq.setHeader('X-Gateway-Impersonator', req.user.act.email);
+        }
+
+        if (GATEWAY_ASSERTION_SECRET) {
+          proxyReq.setHeader('X-Gateway-Assertion', signGatewayAssertion(req.user, {
+            audience: serviceName || target,
+            method: req.method,
+            path: proxyReq.path
+          }));
+        }
+      }
+    }
+  };
+
+  if (pathRewrite) {
+    options.pathRewrite = pathRewrite;
+  }
+
+  return createProxyMiddleware(options);
+}
+
+/**
+ * Only let API tokens through to tradelines they are scoped for
+ */
+function requireTradelineScope(tradeline) {
+  return (req, res, next) => {
+    if (req.user.apiToken && !hasScope(req.user.apiToken.scopes, 'tradeline', tradeline)) {
+      return denyAccess(req, res, `Forbidden - token not scoped for tradeline ${tradeline}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Per-tradeline access - tradeline:<name>:read for safe methods, :write for the rest
+ */
+function requireTradelineAccess(tradeline) {
+  const read = requirePermission(`tradeline:${tradeline}:read`);
+  const write = requirePermission(`tradeline:${tradeline}:write`);
+  return (req, res, next) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? read : write)(req, res, next);
+}
+
+/**
+ * Build the proxy routes for the current service registry
+ */
+function buildServiceRouter(services) {
+  const router = express.Router();
+
+  for (const service of services) {
+    const proxy = createAuthProxy(service.target, service.pathRewrite, service.name);
+    const guards = [requireAuth, requireVerifiedEmail];
+
+    if (service.product) guards.push(requireProduct(service.product));
+    if (service.roles) guards.push(requireRole(service.roles));
+    if (service.permission) guards.push(requirePermission(service.permission));
+    if (service.tradeline) guards.push(requireTradelineScope(service.tradeline), requireTradelineAccess(service.tradeline));
+
+    router.use(service.mount, ...guards, requireUpstream(service.name), proxy);
+
+    // Static assets the backend's HTML loads from absolute paths like /css/
+    for (const assetPath of service.sharedAssets) {
+      router.use(assetPath, requireAuth, requireUpstream(service.name), proxy);
+    }
+  }
+
+  router.use('/tradelines/:name', requireAuth, (req, res) => {
+    res.status(404).json({ error: 'Unknown tradeline' });
+  });
+
+  return router;
+}
+
+// Swapped in place whenever the registry reloads - no restart needed
+let serviceRouter = express.Router();
+app.use((req, res, next) => serviceRouter(req, res, next));
+
+serviceRegistry.start(services => {
+  upstreamHealth.setServices(services);
+  serviceRouter = buildServiceRouter(services);
+}).then(() => upstreamHealth.start());
+
+credentialChecker.start();
+alertScheduler.start();
+webhooks.start();
+
+// Reload on demand: kill -HUP <pid>
+process.on('SIGHUP', () => serviceRegistry.reload());
+
+// ============================================================
+// PORTAL USER ROUTES
+// ============================================================
+
+app.get('/opportunities', requireAuth, requireVerifiedEmail, async (req, res) => {
+  res.render('opportunities', {
+    user: req.user,
+    canShareSearches: hasPermission(req.user.permissions, 'company:write')
+  });
+});
+
+app.get('/bids', requireAuth, requireVerifiedEmail, async (req, res) => {
+  res.render('bids', { user: req.user });
+});
+
+/**
+ * Search the company's opportunities (lib/opportunities.js)
+ * ?q=&source=&tradeline=&region=&due_after=&due_before=&new_since=&sort=newest|due&cursor=&limit=
+ */
+app.get('/api/opportunities', requireAuth, requireVerifiedEmail, requirePermission('opportunities:read'), async (req, res) => {
+  const param = name => (typeof req.query[name] === 'string' ? req.query[name].trim() : '');
+
+  const dates = {};
+  for (const [name, key] of [['due_after', 'dueAfter'], ['due_before', 'dueBefore'], ['new_since', 'newSince']]) {
+    if (!param(name)) continue;
+    const date = new Date(param(name));
+    if (isNaN(date)) {
+      return res.status(400).json({ error: `Invalid ${name}` });
+    }
+    dates[key] = date.toISOString();
+  }
+
+  if (param('cursor') && !decodeCursor(param('cursor'), param('sort'))) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  if (param('region') && !/^[A-Za-z]{2}$/.test(param('region'))) {
+    return res.status(400).json({ error: 'region must be a two-letter state code' });
+  }
+
+  try {
+    const result = await opportunitySearch.search(req.user.company_id, {
+      q: param('q'),
+      source: param('source'),
+      tradeline: param('tradeline'),
+      region: param('region').toUpperCase(),
+      sort: param('sort'),
+      cursor: param('cursor'),
+      limit: param('limit'),
+      ...dates
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('[Opportunities] Search error:', error.message);
+    res.status(500).json({ error: 'Failed to load opportunities' });
+  }
+});
+
+/**
+ * Opportunity detail - :opportunityId is "<tradeline>:<id>"
+ * Only for companies subscribed to the tradeline; shows the company's bid if there is one
+ */
+app.get('/opportunity/:opportunityId', requireAuth, requireVerifiedEmail, requirePermission('opportunities:read'), async (req, res) => {
+  const ref = parseOpportunityRef(req.params.opportunityId);
+  if (!ref) {
+    return res.status(404).json({ error: 'Opportunity not found' });
+  }
+
+  try {
+    const subscribed = await opportunitySearch.companyTradelines(req.user.company_id);
+    if (!subscribed.includes(ref.tradeline)) {
+      return denyAccess(req, res, `Forbidden - your company doesn't subscribe to ${ref.tradeline}`);
+    }
+
+    const opportunity = await opportunitySearch.find(req.user.company_id, ref.tradeline, ref.id);
+    if (!opportunity) {
+      return res.status(404).json({ error: 'Opportunity not found' });
+    }
+
+    const canReadBids = hasPermission(req.user.permissions, 'bids:read');
+    const bid = canReadBids ? await bids.findByOpportunity(req.user.company_id, ref.tradeline, ref.id) : null;
+
+    res.render('opportunity', {
+      user: req.user,
+      opportunity: opportunityDetail(opportunity),
+      bid,
+      canWriteBids: hasPermission(req.user.permissions, 'bids:write')
+    });
+  } catch (error) {
+    console.error('[Opportunities] Detail error:', error.message);
+    res.status(500).json({ error: 'Failed to load opportunity' });
+  }
+});
+
+// ============================================================
+// BID PIPELINE - My Bids (lib/bids.js)
+// ============================================================
+
+/**
+ * Bids belong to the user's company - portal users only
+ */
+function requireBidCompany(req, res, next) {
+  if (!req.user.company_id) {
+    return res.status(403).json({ error: 'Forbidden - no company' });
+  }
+  next();
+}
+
+const bidReader = [requireAuth, requireVerifiedEmail, requirePermission('bids:read'), requireBidCompany];
+const bidWriter = [requireAuth, requireVerifiedEmail, requirePermission('bids:write'), requireBidCompany];
+
+/**
+ * All of the company's bids with counts per status, and who they can be assigned to
+ */
+app.get('/api/bids', ...bidReader, async (req, res) => {
+  try {
+    const [all, { data: members }] = await Promise.all([
+      bids.list(req.user.company_id),
+      supabase
+        .from('nextbid_users')
+        .select('id, name, email')
+        .eq('company_id', req.user.company_id)
+        .eq('is_active', true)
+        .order('name')
+    ]);
+
+    res.json({ bids: all, stats: pipelineStats(all), members: members || [] });
+  } catch (error) {
+    console.error('[Bids] List error:', error.message);
+    res.status(500).json({ error: 'Failed to load bids' });
+  }
+});
+
+/**
+ * Save an opportunity or mark it interested - body: { opportunity: "<tradeline>:<id>", status }
+ * Marking a saved bid interested moves it along; otherwise an existing bid is returned as is
+ */
+app.post('/api/bids', ...bidWriter, async (req, res) => {
+  const ref = parseOpportunityRef(req.body.opportunity);
+  const status = req.body.status || 'interested';
+
+  if (!ref) {
+    return res.status(400).json({ error: 'opportunity must be "<tradeline>:<id>"' });
+  }
+  if (!['saved', 'interested'].includes(status)) {
+    return res.status(400).json({ error: 'status must be saved or interested' });
+  }
+
+  try {
+    const existing = await bids.findByOpportunity(req.user.company_id, ref.tradeline, ref.id);
+    if (existing) {
+      const bid = existing.status === 'saved' && status === 'interested'
+        ? await bids.transition(req.user.company_id, existing.id, 'interested', { userId: req.user.id })
+        : existing;
+      return res.json({ bid: bid || existing });
+    }
+
+    const opportunity = await opportunitySearch.find(req.user.company_id, ref.tradeline, ref.id);
+    if (!opportunity) {
+      return res.status(404).json({ error: 'Opportunity not found' });
+    }
+
+    const bid = await bids.create(req.user.company_id, opportunity, { status, userId: req.user.id });
+    console.log(`[Bids] ${req.user.email} added ${req.body.opportunity} as ${status}`);
+    res.status(201).json({ bid });
+  } catch (error) {
+    console.error('[Bids] Create error:', error.message);
+    res.status(500).json({ error: 'Failed to add bid' });
+  }
+});
+
+/**
+ * One bid with its history
+ */
+app.get('/api/bids/:bidId', ...bidReader, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.bidId)) {
+    return res.status(404).json({ error: 'Bid not found' });
+  }
+
+  try {
+    const bid = await bids.find(req.user.company_id, req.params.bidId);
+    if (!bid) {
+      return res.status(404).json({ error: 'Bid not found' });
+    }
+    res.json({ bid, history: await bids.history(bid.id) });
+  } catch (error) {
+    console.error('[Bids] Load error:', error.message);
+    res.status(500).json({ error: 'Failed to load bid' });
+  }
+});
+
+/**
+ * Move a bid along the pipeline - body: { status, note }
+ */
+app.post('/api/bids/:bidId/status', ...bidWriter, async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!UUID_PATTERN.test(req.params.bidId)) {
+    return res.status(404).json({ error: 'Bid not found' });
+  }
+
+  try {
+    const bid = await bids.find(req.user.company_id, req.params.bidId);
+    if (!bid) {
+      return res.status(404).json({ error: 'Bid not found' });
+    }
+
+    const moved = await bids.transition(req.user.company_id, bid.id, status, { userId: req.user.id, note });
+    if (!moved) {
+      return res.status(409).json({
+        error: bid.next_statuses.length
+          ? `Can't move this bid from ${bid.status} to ${status} - next is ${bid.next_statuses.join(' or ')}`
+          : `This bid is closed (${bid.status})`
+      });
+    }
+
+    console.log(`[Bids] ${req.user.email} moved bid ${bid.id} ${bid.status} -> ${status}`);
+    res.json({ bid: moved });
+  } catch (error) {
+    console.error('[Bids] Status error:', error.message);
+    res.status(500).json({ error: 'Failed to update bid' });
+  }
+});
+
+/**
+ * Change a bid's assignee, notes or attachment links - body: { assignee_id, notes, attachments: [{ name, url }] }
+ */
+app.post('/api/bids/:bidId', ...bidWriter, async (req, res) => {
+  const { assignee_id: assigneeId, notes, attachments } = req.body;
+
+  if (!UUID_PATTERN.test(req.params.bidId)) {
+    return res.status(404).json({ error: 'Bid not found' });
+  }
+
+  if (attachments !== undefined) {
+    try {
+      validateAttachments(attachments);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  try {
+    if (assigneeId) {
+      const { data: assignee } = await supabase
+        .from('nextbid_users')
+        .select('id')
+        .eq('id', assigneeId)
+        .eq('company_id', req.user.company_id)
+        .eq('is_active', true)
+        .single();
+
+      if (!assignee) {
+        return res.status(400).json({ error: 'Assignee must be an active member of your company' });
+      }
+    }
+
+    const bid = await bids.update(req.user.company_id, req.params.bidId, {
+      assigneeId: assigneeId === undefined ? undefined : assigneeId || null,
+      notes,
+      attachments
+    }, { userId: req.user.id });
+
+    if (!bid) {
+      return res.status(404).json({ error: 'Bid not found' });
+    }
+    res.json({ bid });
+  } catch (error) {
+    console.error('[Bids] Update error:', error.message);
+    res.status(500).json({ error: 'Failed to update bid' });
+  }
+});
+
+// ============================================================
+// SAVED SEARCHES AND ALERTS (lib/saved-searches.js, lib/alerts.js)
+// ============================================================
 
-  // No products (shouldn't happen, but fallback)
-  res.redirect('/login');
-});
+const searchUser = [requireAuth, requireVerifiedEmail, requirePermission('opportunities:read'), requireBidCompany];
 
 /**
- * Choose page - for users with multiple products
+ * Personal searches are managed by their owner, shared ones by company owners and admins
  */
-app.get('/choose', requireAuth, (req, res) => {
-  // Only show choice if user has multiple products
-  if (!req.user.products || req.user.products.length <= 1) {
-    return res.redirect('/');
+function canManageSearch(user, search) {
+  return search.shared ? hasPermission(user.permissions, 'company:write') : search.user_id === user.id;
+}
+
+/**
+ * The user's saved searches and the company's shared ones
+ */
+app.get('/api/saved-searches', ...searchUser, async (req, res) => {
+  try {
+    const searches = await savedSearches.list(req.user);
+    res.json({ searches: searches.map(search => ({ ...search, can_manage: canManageSearch(req.user, search) })) });
+  } catch (error) {
+    console.error('[Alerts] Saved search list error:', error.message);
+    res.status(500).json({ error: 'Failed to load saved searches' });
   }
-  res.render('choose', { user: req.user, products: req.user.products });
 });
 
 /**
- * Onboarding - video game style tutorial
+ * Save a search - body: { name, filters: { q, source, tradeline, region }, shared, digest }
  */
-app.get('/onboarding', requireAuth, async (req, res) => {
-  try {
-    const { data: user } = await supabase
-      .from('nextbid_users')
-      .select('onboarding_step')
-      .eq('id', req.user.id)
-      .single();
+app.post('/api/saved-searches', ...searchUser, requireInteractive, async (req, res) => {
+  const { name, filters, shared, digest } = req.body;
 
-    const { data: company } = await supabase
-      .from('nextbid_companies')
-      .select('*, nextbid_company_tradelines(*)')
-      .eq('id', req.user.company_id)
-      .single();
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  try {
+    validateFilters(filters);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (shared && !hasPermission(req.user.permissions, 'company:write')) {
+    return denyAccess(req, res, 'Forbidden - company:write permission required to share searches');
+  }
 
-    res.render('onboarding', {
-      user: req.user,
-      company,
-      currentStep: user?.onboarding_step || 1
-    });
+  try {
+    const search = await savedSearches.create(req.user, { name, filters, shared, digest });
+    if (!search) {
+      return res.status(409).json({ error: `You can have at most ${MAX_SEARCHES_PER_USER} saved searches` });
+    }
+    console.log(`[Alerts] ${req.user.email} saved search "${search.name}"${search.shared ? ' for the company' : ''}`);
+    res.status(201).json({ search: { ...search, can_manage: true } });
   } catch (error) {
-    console.error('[Onboarding] Error:', error.message);
-    res.redirect('/opportunities');
+    console.error('[Alerts] Saved search create error:', error.message);
+    res.status(500).json({ error: 'Failed to save search' });
   }
 });
 
 /**
- * Save onboarding progress
+ * Change a saved search - body: any of { name, filters, shared, digest }
  */
-app.post('/onboarding/progress', requireAuth, async (req, res) => {
-  const { step } = req.body;
+app.post('/api/saved-searches/:searchId', ...searchUser, requireInteractive, async (req, res) => {
+  const { name, filters, shared, digest } = req.body;
+
+  if (!UUID_PATTERN.test(req.params.searchId)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  if (filters !== undefined) {
+    try {
+      validateFilters(filters);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
 
   try {
-    await supabase
-      .from('nextbid_users')
-      .update({ onboarding_step: step })
-      .eq('id', req.user.id);
+    const search = await savedSearches.find(req.user, req.params.searchId);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    if (!canManageSearch(req.user, search) || (shared && !hasPermission(req.user.permissions, 'company:write'))) {
+      return denyAccess(req, res, 'Forbidden - only the owner or a company admin can change this search');
+    }
 
-    res.json({ success: true });
+    const updated = await savedSearches.update(search.id, { name, filters, shared, digest });
+    res.json({ search: { ...updated, can_manage: canManageSearch(req.user, updated) } });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('[Alerts] Saved search update error:', error.message);
+    res.status(500).json({ error: 'Failed to update saved search' });
   }
 });
 
-/**
- * Complete onboarding
- */
-app.post('/onboarding/complete', requireAuth, async (req, res) => {
+app.post('/api/saved-searches/:searchId/delete', ...searchUser, requireInteractive, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.searchId)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+
   try {
-    await supabase
-      .from('nextbid_users')
-      .update({
-        onboarding_completed: true,
-        onboarding_step: 6
-      })
-      .eq('id', req.user.id);
+    const search = await savedSearches.find(req.user, req.params.searchId);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    if (!canManageSearch(req.user, search)) {
+      return denyAccess(req, res, 'Forbidden - only the owner or a company admin can delete this search');
+    }
 
+    await savedSearches.remove(search.id);
+    console.log(`[Alerts] ${req.user.email} deleted saved search "${search.name}"`);
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('[Alerts] Saved search delete error:', error.message);
+    res.status(500).json({ error: 'Failed to delete saved search' });
   }
 });
 
 /**
- * User profile
+ * The user's alert channels, webhook URL and reminder offsets (hours before due)
  */
-app.get('/profile', requireAuth, async (req, res) => {
+app.get('/api/alerts/settings', requireAuth, requireVerifiedEmail, async (req, res) => {
   try {
-    const { data: company } = await supabase
-      .from('nextbid_companies')
-      .select('*, nextbid_company_tradelines(*)')
-      .eq('id', req.user.company_id)
-      .single();
+    res.json({ settings: await savedSearches.settings(req.user.id), channels: NOTIFICATION_CHANNELS });
+  } catch (error) {
+    console.error('[Alerts] Settings load error:', error.message);
+    res.status(500).json({ error: 'Failed to load alert settings' });
+  }
+});
 
-    const { data: credentials } = await supabase
-      .from('nextbid_company_credentials')
-      .select('source, is_configured, status, last_used')
-      .eq('company_id', req.user.company_id);
+/**
+ * Body: any of { channels: ['email', 'webhook', 'in_app'], webhook_url, reminder_offsets: [hours] }
+ */
+app.post('/api/alerts/settings', requireAuth, requireVerifiedEmail, requireInteractive, async (req, res) => {
+  const { channels, webhook_url, reminder_offsets } = req.body;
 
-    res.render('profile', {
-      user: req.user,
-      company,
-      credentials: credentials || []
-    });
+  try {
+    await validateSettings({ channels, webhook_url, reminder_offsets });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
+  try {
+    const settings = await savedSearches.saveSettings(req.user.id, { channels, webhook_url, reminder_offsets });
+    res.json({ settings });
   } catch (error) {
-    console.error('[Profile] Error:', error.message);
-    res.status(500).send('Error loading profile');
+    console.error('[Alerts] Settings save error:', error.message);
+    res.status(500).json({ error: 'Failed to save alert settings' });
   }
 });
 
 /**
- * Update company credentials
+ * The user's in-app notifications
  */
-app.post('/profile/credentials', requireAuth, async (req, res) => {
-  const { source, username, password, api_key } = req.body;
-
+app.get('/api/notifications', requireAuth, requireVerifiedEmail, async (req, res) => {
   try {
-    const credentialData = {
-      company_id: req.user.company_id,
-      source,
-      is_configured: true,
-      updated_at: new Date().toISOString()
-    };
-
-    if (api_key) {
-      credentialData.api_key_encrypted = api_key; // TODO: Actually encrypt this
-    }
-    if (username && password) {
-      credentialData.username = username;
-      credentialData.password_encrypted = password; // TODO: Actually encrypt this
-    }
+    res.json(await notifier.inbox(req.user.id));
+  } catch (error) {
+    console.error('[Alerts] Inbox error:', error.message);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
 
-    const { error } = await supabase
-      .from('nextbid_company_credentials')
-      .upsert(credentialData, { onConflict: 'company_id,source' });
+/**
+ * Mark notifications read - body: { ids } (all of them if left out)
+ */
+app.post('/api/notifications/read', requireAuth, requireVerifiedEmail, requireInteractive, async (req, res) => {
+  const { ids } = req.body;
 
-    if (error) {
-      console.error('[Credentials] Update error:', error);
-      return res.status(500).json({ error: 'Failed to update credentials' });
-    }
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => UUID_PATTERN.test(id)))) {
+    return res.status(400).json({ error: 'ids must be a list of notification ids' });
+  }
 
-    console.log(`[Credentials] Updated ${source} for company ${req.user.company_id}`);
+  try {
+    await notifier.markRead(req.user.id, ids);
     res.json({ success: true });
-
   } catch (error) {
-    console.error('[Credentials] Error:', error.message);
-    res.status(500).json({ error: 'Failed to update credentials' });
+    console.error('[Alerts] Mark read error:', error.message);
+    res.status(500).json({ error: 'Failed to update notifications' });
   }
 });
 
 // ============================================================
-// API ROUTES - For internal services to get credentials
+// WEBHOOKS - outbound gateway events (lib/webhooks.js)
 // ============================================================
 
 /**
- * Get company credentials for a source
+ * Staff manage system-level webhooks, portal users their company's
+ * Sets req.webhookCompanyId (null = system-level)
  */
-app.get('/api/credentials/:companyId/:source', async (req, res) => {
-  const { companyId, source } = req.params;
-  const apiKey = req.headers['x-api-key'];
-
-  if (apiKey !== process.env.INTERNAL_API_KEY) {
-    return res.status(401).json({ error: 'Invalid API key' });
+function requireWebhookScope(req, res, next) {
+  if (req.user.domain === 'engine') {
+    req.webhookCompanyId = null;
+    return next();
+  }
+  if (!req.user.company_id) {
+    return res.status(403).json({ error: 'Forbidden - no company' });
   }
+  req.webhookCompanyId = req.user.company_id;
+  next();
+}
 
-  try {
-    const { data: credential } = await supabase
-      .from('nextbid_company_credentials')
-      .select('*')
-      .eq('company_id', companyId)
-      .eq('source', source)
-      .single();
+const webhookManager = [requireAuth, requireInteractive, requirePermission('webhooks:manage'), requireWebhookScope];
+
+async function logWebhookAction(req, action, webhookId, details) {
+  await supabase.from('nextbid_audit_log').insert({
+    user_id: req.user.id,
+    action,
+    resource: `webhook:${webhookId}`,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    company_id: req.webhookCompanyId,
+    details
+  });
+}
 
-    if (!credential) {
-      return res.status(404).json({ error: 'Credentials not found' });
+/**
+ * Load :webhookId within the user's scope into req.webhook
+ */
+async function loadWebhook(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.webhookId)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  try {
+    req.webhook = await webhooks.find(req.webhookCompanyId, req.params.webhookId);
+    if (!req.webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
+    next();
+  } catch (error) {
+    console.error('[Webhooks] Load error:', error.message);
+    res.status(500).json({ error: 'Failed to load webhook' });
+  }
+}
 
-    res.json({
-      success: true,
-      source,
-      username: credential.username,
-      password: credential.password_encrypted,
-      api_key: credential.api_key_encrypted
-    });
+/**
+ * Check body.url and body.events where given - sends a 400 and returns false if bad
+ * Only system-level webhooks may point at internal hosts
+ */
+async function checkWebhookBody(req, res) {
+  try {
+    if (req.body.url !== undefined) req.body.url = await checkWebhookUrl(req.body.url, { allowInternal: !req.webhookCompanyId });
+    if (req.body.events !== undefined) validateWebhookEvents(req.body.events);
+    return true;
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return false;
+  }
+}
 
+app.get('/api/webhooks', ...webhookManager, async (req, res) => {
+  try {
+    res.json({ webhooks: await webhooks.list(req.webhookCompanyId), events: WEBHOOK_EVENTS });
   } catch (error) {
-    console.error('[API] Credentials error:', error.message);
-    res.status(500).json({ error: 'Failed to get credentials' });
+    console.error('[Webhooks] List error:', error.message);
+    res.status(500).json({ error: 'Failed to load webhooks' });
   }
 });
 
 /**
- * Get all companies subscribed to a tradeline
+ * Subscribe a URL - body: { url, events: ['user.registered', ...] or ['*'], description }
+ * The signing secret is only returned here (and when rotated)
  */
-app.get('/api/tradeline/:tradeline/companies', async (req, res) => {
-  const { tradeline } = req.params;
-  const apiKey = req.headers['x-api-key'];
+app.post('/api/webhooks', ...webhookManager, async (req, res) => {
+  if (!req.body.url || !req.body.events) {
+    return res.status(400).json({ error: 'url and events are required' });
+  }
+  if (!(await checkWebhookBody(req, res))) return;
 
-  if (apiKey !== process.env.INTERNAL_API_KEY) {
-    return res.status(401).json({ error: 'Invalid API key' });
+  if (!credentialVault.isConfigured()) {
+    console.error('[Webhooks] CREDENTIAL_MASTER_KEYS not configured - refusing to store signing secrets');
+    return res.status(500).json({ error: 'Failed to create webhook' });
   }
 
   try {
-    const { data: subscriptions } = await supabase
-      .from('nextbid_company_tradelines')
-      .select('company_id, nextbid_companies(id, name)')
-      .eq('tradeline', tradeline)
-      .eq('is_active', true);
-
-    const companies = (subscriptions || []).map(s => ({
-      id: s.company_id,
-      name: s.nextbid_companies?.name
-    }));
-
-    res.json({ success: true, tradeline, companies });
+    const { webhook, secret } = await webhooks.create(req.webhookCompanyId, {
+      url: req.body.url,
+      events: req.body.events,
+      description: req.body.description,
+      userId: req.user.id
+    });
+    await logWebhookAction(req, 'webhook_created', webhook.id, { url: webhook.url, events: webhook.events });
 
+    console.log(`[Webhooks] ${req.user.email} subscribed ${webhook.url} (${req.webhookCompanyId ? `company ${req.webhookCompanyId}` : 'system'})`);
+    res.status(201).json({ webhook, secret });
   } catch (error) {
-    console.error('[API] Tradeline companies error:', error.message);
-    res.status(500).json({ error: 'Failed to get companies' });
+    console.error('[Webhooks] Create error:', error.message);
+    res.status(500).json({ error: 'Failed to create webhook' });
   }
 });
 
-// ============================================================
-// REVERSE PROXY - Pass user info to backend services
-// ============================================================
-
 /**
- * Create proxy with user headers
- * Backend services can trust these headers because only gateway can reach them
+ * Change a webhook - body: any of { url, events, description, is_active }
  */
-function createAuthProxy(target, pathRewrite = null) {
-  const options = {
-    target,
-    changeOrigin: true,
-    onProxyReq: (proxyReq, req) => {
-      // Pass authenticated user info to backend
-      if (req.user) {
-        proxyReq.setHeader('X-User-Id', req.user.id);
-        proxyReq.setHeader('X-User-Email', req.user.email);
-        proxyReq.setHeader('X-User-Name', req.user.name || '');
-        proxyReq.setHeader('X-User-Role', req.user.role || 'user');
-        proxyReq.setHeader('X-User-Domain', req.user.domain || 'portal');
-        proxyReq.setHeader('X-Company-Id', req.user.company_id || '');
-        proxyReq.setHeader('X-Gateway-Auth', 'true');
-      }
-    }
-  };
+app.post('/api/webhooks/:webhookId', ...webhookManager, loadWebhook, async (req, res) => {
+  if (!(await checkWebhookBody(req, res))) return;
+  const { url, events, description, is_active } = req.body;
 
-  if (pathRewrite) {
-    options.pathRewrite = pathRewrite;
+  try {
+    const webhook = await webhooks.update(req.webhookCompanyId, req.webhook.id, { url, events, description, is_active });
+    await logWebhookAction(req, 'webhook_updated', webhook.id, { url, events, is_active });
+    res.json({ webhook });
+  } catch (error) {
+    console.error('[Webhooks] Update error:', error.message);
+    res.status(500).json({ error: 'Failed to update webhook' });
   }
+});
 
-  return createProxyMiddleware(options);
-}
-
-// Dashboard (7500) - proxy all paths including static assets
-app.use('/dashboard', requireAuth, createAuthProxy('http://localhost:7500', { '^/dashboard': '' }));
-
-// Dashboard static assets (CSS, JS, images) - needed because dashboard HTML uses absolute paths like /css/
-app.use('/css', requireAuth, createAuthProxy('http://localhost:7500'));
-app.use('/js', requireAuth, createAuthProxy('http://localhost:7500'));
-app.use('/images', requireAuth, createAuthProxy('http://localhost:7500'));
-
-// Patcher API (7101) - Admin only
-app.use('/patcher', requireAuth, requireDashboard, createAuthProxy('http://localhost:7101'));
+app.post('/api/webhooks/:webhookId/delete', ...webhookManager, loadWebhook, async (req, res) => {
+  try {
+    await webhooks.remove(req.webhookCompanyId, req.webhook.id);
+    await logWebhookAction(req, 'webhook_deleted', req.webhook.id, { url: req.webhook.url });
 
-// Dev sync (7101) - Dashboard users only
-app.use('/dev-sync', requireAuth, requireDashboard, createAuthProxy('http://localhost:7101', { '^/dev-sync': '/dev' }));
+    console.log(`[Webhooks] ${req.user.email} deleted webhook ${req.webhook.url}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Webhooks] Delete error:', error.message);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
 
-// Tradeline engine servers (31001-31020) - dynamic routing
-// Engine Droplet: 64.23.151.201
-const ENGINE_HOST = process.env.ENGINE_HOST || '64.23.151.201';
-const tradelinePorts = {
-  security: 31001, administrative: 31002, facilities: 31003, logistics: 31004,
-  electrical: 31005, lowvoltage: 31006, landscaping: 31007, hvac: 31008,
-  plumbing: 31009, janitorial: 31010, support: 31011, waste: 31012,
-  construction: 31013, roofing: 31014, painting: 31015, flooring: 31016,
-  demolition: 31017, environmental: 31018, concrete: 31019, fencing: 31020
-};
+app.post('/api/webhooks/:webhookId/rotate-secret', ...webhookManager, loadWebhook, async (req, res) => {
+  if (!credentialVault.isConfigured()) {
+    console.error('[Webhooks] CREDENTIAL_MASTER_KEYS not configured - refusing to store signing secrets');
+    return res.status(500).json({ error: 'Failed to rotate secret' });
+  }
 
-app.use('/tradelines/:name', requireAuth, (req, res, next) => {
-  const port = tradelinePorts[req.params.name];
-  if (!port) {
-    return res.status(404).json({ error: 'Unknown tradeline' });
+  try {
+    const secret = await webhooks.rotateSecret(req.webhookCompanyId, req.webhook.id);
+    await logWebhookAction(req, 'webhook_secret_rotated', req.webhook.id);
+    res.json({ secret });
+  } catch (error) {
+    console.error('[Webhooks] Rotate error:', error.message);
+    res.status(500).json({ error: 'Failed to rotate secret' });
   }
+});
 
-  createAuthProxy(`http://${ENGINE_HOST}:${port}`, {
-    [`^/tradelines/${req.params.name}`]: ''
-  })(req, res, next);
+/**
+ * Delivery log - the latest deliveries with their status, attempts and last response
+ */
+app.get('/api/webhooks/:webhookId/deliveries', ...webhookManager, loadWebhook, async (req, res) => {
+  try {
+    res.json({ deliveries: await webhooks.deliveries(req.webhook.id) });
+  } catch (error) {
+    console.error('[Webhooks] Delivery log error:', error.message);
+    res.status(500).json({ error: 'Failed to load deliveries' });
+  }
 });
 
-// ============================================================
-// PORTAL USER ROUTES
-// ============================================================
+/**
+ * Send a delivery again - logged as a new delivery with the same event id
+ */
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', ...webhookManager, loadWebhook, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.deliveryId)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
 
-app.get('/opportunities', requireAuth, async (req, res) => {
-  res.render('opportunities', { user: req.user });
-});
+  try {
+    const delivery = await webhooks.findDelivery(req.webhook.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
 
-app.get('/bids', requireAuth, async (req, res) => {
-  res.render('bids', { user: req.user });
+    const copy = await webhooks.redeliver(delivery);
+    await logWebhookAction(req, 'webhook_redelivered', req.webhook.id, { delivery_id: delivery.id, event: delivery.event });
+    res.status(202).json({ delivery: copy });
+  } catch (error) {
+    console.error('[Webhooks] Redeliver error:', error.message);
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
 });
 
 // ============================================================
@@ -857,6 +4450,14 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================================
 
+if (!GATEWAY_ASSERTION_SECRET) {
+  console.warn('[Auth] GATEWAY_ASSERTION_SECRET is not set - backends using middleware/gateway-auth.js will reject proxied requests');
+}
+
+if (!sso.self) {
+  console.warn('[SSO] SSO_DROPLET is not set - /auto-login will reject every code');
+}
+
 app.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════════╗
@@ -877,15 +4478,20 @@ app.listen(PORT, () => {
 ║   GET  /register         - Registration page                   ║
 ║   POST /register         - Process registration                ║
 ║   GET  /profile          - User profile                        ║
+║   GET  /sso/:droplet     - Sign in to another droplet          ║
+║   GET  /auto-login       - Redeem a droplet SSO code           ║
+║   GET  /admin            - Admin console (dashboard staff)     ║
+║   POST /impersonation/stop - End "view as user"                ║
+║   GET  /audit            - Audit log (staff, company owners)   ║
+║                                                                ║
+║   OpenID Connect:                                              ║
+║   /.well-known/openid-configuration, /oauth/*                  ║
 ║                                                                ║
 ║   Proxied Routes (with user headers):                          ║
-║   /dashboard/*           → 7500 Dashboard                      ║
-║   /patcher/*             → 7101 Patcher (admin only)           ║
-║   /dev-sync/*            → 7101 Dev Sync (admin only)          ║
-║   /tradelines/:name/*    → 3002-3021 Tradeline admins          ║
+║   config/services.json   → reloaded on change or SIGHUP        ║
 ║                                                                ║
 ║   Backend services receive headers:                            ║
-║   X-User-Id, X-User-Email, X-User-Role, X-Company-Id           ║
+║   X-Gateway-Assertion (signed), X-User-* (informational)       ║
 ║                                                                ║
 ╚════════════════════════════════════════════════════════════════╝
   `);
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+process.env.CREDENTIAL_MASTER_KEYS = `1:${key()},2:${key()}`;
+delete process.env.CREDENTIAL_KEY_VERSION;
+
+const vault = require('../lib/credential-vault');
+
+const context = { companyId: 'company-1', source: 'sam' };
+const asRow = columns => ({ ...columns, company_id: context.companyId, source: context.source });
+
+function writtenWith(version, secrets) {
+  process.env.CREDENTIAL_KEY_VERSION = String(version);
+  try {
+    return asRow(vault.encryptCredential(secrets, context));
+  } finally {
+    delete process.env.CREDENTIAL_KEY_VERSION;
+  }
+}
+
+test('credentials round trip and are bound to their row', () => {
+  const row = asRow(vault.encryptCredential({ password: 'hunter2', api_key: 'key-123' }, context));
+
+  assert.equal(row.key_version, 2);
+  assert.notEqual(row.password_encrypted, 'hunter2');
+  assert.deepEqual(vault.decryptCredential(row), { password: 'hunter2', api_key: 'key-123' });
+  assert.throws(() => vault.decryptCredential({ ...row, source: 'other' }));
+});
+
+test('updateCredential re-wraps under the current key and keeps secrets not given', () => {
+  const row = writtenWith(1, { password: 'old-password', api_key: 'old-key' });
+  const columns = vault.updateCredential(row, { password: 'new-password' }, context);
+
+  assert.equal(columns.key_version, 2);
+  assert.equal(columns.api_key_encrypted, row.api_key_encrypted);
+  assert.deepEqual(vault.decryptCredential(asRow(columns)), { password: 'new-password', api_key: 'old-key' });
+});
+
+test('updateCredential encrypts rows stored before encryption', () => {
+  const legacy = asRow({ password_encrypted: 'plain-password', api_key_encrypted: null, key_version: null });
+  const columns = vault.updateCredential(legacy, { api_key: 'new-key' }, context);
+
+  assert.deepEqual(vault.decryptCredential(asRow(columns)), { password: 'plain-password', api_key: 'new-key' });
+});
+
+test('updateCredential refuses to drop secrets it cannot read', () => {
+  const row = { ...writtenWith(2, { password: 'p', api_key: 'k' }), key_version: 3 };
+
+  assert.throws(() => vault.updateCredential(row, { password: 'new' }, context), /api key/);
+  const columns = vault.updateCredential(row, { password: 'new', api_key: 'new-key' }, context);
+  assert.deepEqual(vault.decryptCredential(asRow(columns)), { password: 'new', api_key: 'new-key' });
+});
+
+test('standalone secrets carry their key version', () => {
+  const sealed = vault.encryptSecret('JBSWY3DPEHPK3PXP', 'totp:user-1');
+
+  assert.equal(vault.secretKeyVersion(sealed), 2);
+  assert.equal(vault.decryptSecret(sealed, 'totp:user-1'), 'JBSWY3DPEHPK3PXP');
+  assert.throws(() => vault.decryptSecret(sealed, 'totp:user-2'));
+});
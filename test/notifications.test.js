@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+
+const { checkWebhookUrl, isInternalAddress, postWebhook } = require('../lib/notifications');
+
+test('isInternalAddress covers loopback, private, link-local and reserved ranges', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '192.0.0.8', '192.0.2.1', '198.18.0.1', '198.19.255.255',
+    '198.51.100.7', '203.0.113.9', '224.0.0.1', '255.255.255.255',
+    '::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '2001:db8::1',
+    '::ffff:127.0.0.1', '::ffff:10.0.0.1', '64:ff9b::a00:1'
+  ]) {
+    assert.equal(isInternalAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '198.20.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isInternalAddress(address), false, address);
+  }
+});
+
+test('checkWebhookUrl refuses internal hosts unless allowInternal', async () => {
+  for (const url of ['http://127.0.0.1/hook', 'http://localhost:8080/', 'http://[::1]/', 'http://[::ffff:7f00:1]/', 'http://0x7f.1/', 'http://169.254.169.254/latest/meta-data']) {
+    await assert.rejects(checkWebhookUrl(url), /public address/, url);
+  }
+  await assert.rejects(checkWebhookUrl('ftp://example.com/'), /Invalid webhook URL/);
+  await assert.rejects(checkWebhookUrl('not a url'), /Invalid webhook URL/);
+  assert.equal(await checkWebhookUrl('http://127.0.0.1:9000/hook', { allowInternal: true }), 'http://127.0.0.1:9000/hook');
+  assert.equal(await checkWebhookUrl('https://8.8.8.8/hook'), 'https://8.8.8.8/hook');
+});
+
+test('checkWebhookUrl refuses a name that resolves to any internal address', async t => {
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '8.8.8.8', family: 4 }, { address: '10.0.0.7', family: 4 }]);
+  await assert.rejects(checkWebhookUrl('https://hooks.example.com/'), /public address/);
+});
+
+test('postWebhook connects to the checked address, not a second lookup (DNS rebinding)', async t => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  // The check sees a public address; a second lookup would get loopback
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '192.88.99.1', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const done = typeof options === 'function' ? options : callback;
+    if (options && options.all) return done(null, [{ address: '127.0.0.1', family: 4 }]);
+    done(null, '127.0.0.1', 4);
+  });
+
+  const url = `http://rebind.example:${server.address().port}/hook`;
+  await assert.rejects(postWebhook(url, { headers: {}, body: '{}', timeoutMs: 500 }));
+  assert.equal(received, 0);
+});
+
+test('postWebhook reports redirects instead of following them', async t => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(req.url === '/moved' ? 302 : 204, { Location: '/elsewhere' });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const options = { headers: { 'Content-Type': 'application/json' }, body: '{}', timeoutMs: 2000 };
+  assert.deepEqual(await postWebhook(`${base}/hook`, options, { allowInternal: true }), { ok: true, status: 204 });
+  assert.deepEqual(await postWebhook(`${base}/moved`, options, { allowInternal: true }), { ok: false, status: 302 });
+  await assert.rejects(postWebhook(`${base}/hook`, options), /public address/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { createOidcProvider, parseBasicAuth } = require('../lib/oidc');
+
+/**
+ * Just enough of supabase-js for nextbid_oidc_codes: insert, and
+ * select / update filtered with eq, is and gt
+ */
+function fakeSupabase() {
+  const rows = [];
+  return {
+    rows,
+    from() {
+      const filters = [];
+      let changes = null;
+      const query = {
+        insert(row) {
+          rows.push({ id: crypto.randomUUID(), used_at: null, ...row });
+          return Promise.resolve({ error: null });
+        },
+        select() { return query; },
+        update(values) { changes = values; return query; },
+        eq(column, value) { filters.push(row => row[column] === value); return query; },
+        is(column, value) { filters.push(row => row[column] === value); return query; },
+        gt(column, value) { filters.push(row => row[column] > value); return query; },
+        single() {
+          const found = rows.filter(row => filters.every(f => f(row)));
+          return Promise.resolve({ data: found.length === 1 ? { ...found[0] } : null });
+        },
+        then(resolve) {
+          const found = rows.filter(row => filters.every(f => f(row)));
+          found.forEach(row => Object.assign(row, changes));
+          resolve({ data: found.map(row => ({ id: row.id })), error: null });
+        }
+      };
+      return query;
+    }
+  };
+}
+
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64');
+const env = { OIDC_SIGNING_KEYS: `test:${signingKey}` };
+const client = { client_id: 'dashboard', redirect_uris: ['https://app.test/callback'] };
+const verifier = crypto.randomBytes(32).toString('base64url');
+const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+async function issued() {
+  const supabase = fakeSupabase();
+  const oidc = createOidcProvider(supabase, { issuer: 'https://gateway.test', env });
+  const code = await oidc.issueCode({ client, userId: 'user-1', redirectUri: 'https://app.test/callback', scope: 'openid', codeChallenge: challenge });
+  return { oidc, supabase, code };
+}
+
+const redeemAs = { clientId: 'dashboard', redirectUri: 'https://app.test/callback', codeVerifier: verifier };
+
+test('a code is redeemed once, with the matching PKCE verifier', async () => {
+  const { oidc, code } = await issued();
+
+  const row = await oidc.redeemCode(code, redeemAs);
+  assert.equal(row.user_id, 'user-1');
+  assert.equal(await oidc.redeemCode(code, redeemAs), null);
+});
+
+test('a wrong verifier, client or redirect_uri does not use the code up', async () => {
+  const { oidc, code } = await issued();
+
+  assert.equal(await oidc.redeemCode(code, { ...redeemAs, codeVerifier: crypto.randomBytes(32).toString('base64url') }), null);
+  assert.equal(await oidc.redeemCode(code, { ...redeemAs, codeVerifier: undefined }), null);
+  assert.equal(await oidc.redeemCode(code, { ...redeemAs, clientId: 'other' }), null);
+  assert.equal(await oidc.redeemCode(code, { ...redeemAs, redirectUri: 'https://app.test/other' }), null);
+  assert.equal((await oidc.redeemCode(code, redeemAs)).user_id, 'user-1');
+});
+
+test('an expired code is refused', async () => {
+  const { oidc, supabase, code } = await issued();
+  supabase.rows[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+  assert.equal(await oidc.redeemCode(code, redeemAs), null);
+});
+
+test('confidential clients need their secret, public clients must not send one', async () => {
+  const { oidc } = await issued();
+  const secret = 'client-secret';
+  const confidential = { client_secret_hash: crypto.createHash('sha256').update(secret).digest('hex') };
+
+  assert.equal(oidc.authenticateClient(confidential, secret), true);
+  assert.equal(oidc.authenticateClient(confidential, 'wrong'), false);
+  assert.equal(oidc.authenticateClient(confidential, undefined), false);
+  assert.equal(oidc.authenticateClient({ is_public: true }, undefined), true);
+  assert.equal(oidc.authenticateClient({ is_public: true }, secret), false);
+});
+
+test('parseBasicAuth decodes client_secret_basic and flags malformed headers', () => {
+  const basic = value => `Basic ${Buffer.from(value).toString('base64')}`;
+
+  assert.equal(parseBasicAuth(undefined), null);
+  assert.equal(parseBasicAuth('Bearer abc'), null);
+  assert.deepEqual(parseBasicAuth(basic('dash%3Aboard:s%25cret:x')), { clientId: 'dash:board', clientSecret: 's%cret:x' });
+  assert.deepEqual(parseBasicAuth(basic('public:')), { clientId: 'public', clientSecret: '' });
+  assert.equal(parseBasicAuth(basic('no-separator')), false);
+  assert.equal(parseBasicAuth(basic('%E0:secret')), false);
+  assert.equal(parseBasicAuth('Basic JUUw'), false);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ROLE_PERMISSIONS, matches, hasPermission, intersect, narrowPermissions } = require('../lib/permissions');
+const { TOKEN_READ_PERMISSIONS, scopePermissions } = require('../lib/api-tokens');
+
+test('matches: exact, * segments and trailing *', () => {
+  assert.equal(matches('dashboard:read', 'dashboard:read'), true);
+  assert.equal(matches('dashboard:read', 'dashboard:write'), false);
+  assert.equal(matches('dashboard:*', 'dashboard:read'), true);
+  assert.equal(matches('dashboard:*', 'dashboard'), false);
+  assert.equal(matches('*', 'tradeline:security:write'), true);
+  assert.equal(matches('tradeline:*:read', 'tradeline:security:read'), true);
+  assert.equal(matches('tradeline:*:read', 'tradeline:security:write'), false);
+  assert.equal(matches('tradeline:*:read', 'tradeline:security'), false);
+  assert.equal(matches('tradeline:security', 'tradeline:security:read'), false);
+});
+
+test('hasPermission checks every granted pattern', () => {
+  assert.equal(hasPermission(ROLE_PERMISSIONS.portal.owner, 'team:invite'), true);
+  assert.equal(hasPermission(ROLE_PERMISSIONS.portal.viewer, 'bids:write'), false);
+  assert.equal(hasPermission(null, 'company:read'), false);
+});
+
+test('intersect: the overlap of two patterns', () => {
+  assert.equal(intersect('tradeline:*:read', 'tradeline:security:*'), 'tradeline:security:read');
+  assert.equal(intersect('tradeline:*:*', 'tradeline:hvac:*'), 'tradeline:hvac:*');
+  assert.equal(intersect('*', 'bids:read'), 'bids:read');
+  assert.equal(intersect('bids:*', 'bids:read'), 'bids:read');
+  assert.equal(intersect('dashboard:*', 'patcher:*'), null);
+  assert.equal(intersect('bids:read', 'bids:write'), null);
+  assert.equal(intersect('bids', 'bids:read'), null);
+});
+
+test('narrowPermissions keeps only what the allowed patterns cover', () => {
+  const owner = ROLE_PERMISSIONS.portal.owner.concat('tradeline:security:read');
+
+  assert.deepEqual(
+    narrowPermissions(owner, ['opportunities:read', 'bids:read', 'tradeline:security:*']),
+    ['bids:read', 'opportunities:read', 'tradeline:security:read']
+  );
+  assert.deepEqual(narrowPermissions(['*'], ['bids:read', 'bids:read']), ['bids:read']);
+  assert.deepEqual(narrowPermissions(null, ['*']), []);
+});
+
+test('API token scopes only reach their products, tradelines and the read APIs', () => {
+  const services = [{ product: 'dashboard', permission: 'patcher:read' }, { product: 'portal', permission: null }];
+  const allowed = scopePermissions(['product:dashboard', 'tradeline:hvac'], services);
+
+  assert.deepEqual(allowed, [...TOKEN_READ_PERMISSIONS, 'dashboard:*', 'patcher:*', 'tradeline:hvac:*']);
+
+  const admin = narrowPermissions(ROLE_PERMISSIONS.engine.admin, allowed);
+  assert.equal(hasPermission(admin, 'patcher:deploy'), true);
+  assert.equal(hasPermission(admin, 'tradeline:hvac:write'), true);
+  assert.equal(hasPermission(admin, 'tradeline:security:read'), false);
+  assert.equal(hasPermission(admin, 'users:manage'), false);
+  assert.equal(hasPermission(admin, 'webhooks:manage'), false);
+
+  const owner = narrowPermissions(ROLE_PERMISSIONS.portal.owner, scopePermissions(['tradeline:*'], services));
+  assert.deepEqual(owner, ['bids:read', 'opportunities:read']);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const totp = require('../lib/totp');
+
+// RFC 6238 appendix B (SHA-1), last six digits - secret "12345678901234567890"
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+const STEP_MS = 30 * 1000;
+
+test('accepts the RFC 6238 codes and returns their time step', () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(totp.verify(SECRET, code, { now: seconds * 1000 }), Math.floor(seconds / 30), `T=${seconds}`);
+  }
+});
+
+test('allows one step of clock drift either way', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / STEP_MS);
+
+  assert.equal(totp.verify(SECRET, '050471', { now: now + STEP_MS }), step);
+  assert.equal(totp.verify(SECRET, '050471', { now: now - STEP_MS }), step);
+  assert.equal(totp.verify(SECRET, '050471', { now: now + 2 * STEP_MS }), null);
+  assert.equal(totp.verify(SECRET, '050471', { now, window: 0 }), step);
+});
+
+test('rejects steps at or before the last one used', () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / STEP_MS);
+
+  assert.equal(totp.verify(SECRET, '005924', { now, lastStep: step }), null);
+  assert.equal(totp.verify(SECRET, '005924', { now, lastStep: step + 1 }), null);
+  assert.equal(totp.verify(SECRET, '005924', { now, lastStep: step - 1 }), step);
+});
+
+test('rejects malformed codes and tolerates spaces', () => {
+  const now = 59 * 1000;
+
+  for (const code of ['', null, '28708', '2870822', 'abcdef', '287O82']) {
+    assert.equal(totp.verify(SECRET, code, { now }), null, String(code));
+  }
+  assert.equal(totp.verify(SECRET, '287 082', { now }), 1);
+});
+
+test('recovery codes hash the same whatever the case or padding', () => {
+  const [code] = totp.generateRecoveryCodes(1);
+
+  assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  assert.equal(totp.hashRecoveryCode(` ${code.toUpperCase()} `), totp.hashRecoveryCode(code));
+});